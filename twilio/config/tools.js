@@ -1,53 +1,40 @@
 /**
  * Ultravox Tools Configuration
- * 
- * This file contains the definitions for all custom tools used with Ultravox.
- * All tools are defined through environment variables.
+ *
+ * This file assembles the catalog of all custom tools used with Ultravox:
+ * JSON/YAML definitions in ULTRAVOX_TOOL_CATALOG (default: config/tools/),
+ * tools defined through ULTRAVOX_TOOL_<n>_* environment variables, and the
+ * tools hosted by this server from tools/ (see utils/tool-handlers.js).
+ * ULTRAVOX_ENABLED_TOOLS limits the catalog to the listed tools.
  */
 
 // Import environment variables
 import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildToolCatalog } from '../utils/tool-catalog.js';
+import { getHostedToolDefinitions } from '../utils/tool-handlers.js';
 dotenv.config();
 
-// Function to parse a tool definition from environment variables
-function parseToolFromEnv(prefix) {
-  const name = process.env[`${prefix}_NAME`];
-  if (!name) return null;
-  
-  return {
-    name,
-    description: process.env[`${prefix}_DESCRIPTION`],
-    http: {
-      baseUrlPattern: process.env[`${prefix}_URL`],
-      httpMethod: process.env[`${prefix}_METHOD`] || 'GET'
-    },
-    // Parse response schema if provided
-    responseSchema: process.env[`${prefix}_RESPONSE_SCHEMA`] 
-      ? JSON.parse(process.env[`${prefix}_RESPONSE_SCHEMA`])
-      : undefined,
-    // Parse examples if provided
-    examples: process.env[`${prefix}_EXAMPLES`]
-      ? JSON.parse(process.env[`${prefix}_EXAMPLES`])
-      : undefined,
-    // Parse dynamic parameters if provided
-    dynamicParameters: process.env[`${prefix}_PARAMS`] 
-      ? JSON.parse(process.env[`${prefix}_PARAMS`]) 
-      : []
-  };
-}
+const projectDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
 
-// Parse tools from environment variables
-const tools = {};
+// Comma-separated files or directories, relative to the project directory
+const catalogPaths = (process.env.ULTRAVOX_TOOL_CATALOG || 'config/tools')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => path.resolve(projectDir, entry));
 
-// Look for ULTRAVOX_TOOL_1, ULTRAVOX_TOOL_2, etc.
-for (let i = 1; i <= 10; i++) {
-  const toolPrefix = `ULTRAVOX_TOOL_${i}`;
-  const tool = parseToolFromEnv(toolPrefix);
-  if (tool) {
-    tools[tool.name] = tool;
-  }
-}
+// Invalid definitions are skipped and reported in toolCatalogErrors instead of failing the import
+const {
+  tools,
+  definedTools,
+  errors: toolCatalogErrors,
+  warnings: toolCatalogWarnings
+} = buildToolCatalog({
+  paths: catalogPaths,
+  baseDir: projectDir,
+  hostedTools: getHostedToolDefinitions()
+});
 
-// Remove logging statements to ensure clean output
-
-export { tools }; 
\ No newline at end of file
+export { tools, definedTools, toolCatalogErrors, toolCatalogWarnings };
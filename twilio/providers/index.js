@@ -0,0 +1,62 @@
+/**
+ * Telephony Providers
+ *
+ * Registry of provider adapters. Every adapter exposes the same operations
+ * (answer, startStream, dial, hangup, fetchStatus, parseInboundCall,
+ * parseStatusEvent, getMedium, testConnection, ...) so routes never branch on the carrier.
+ *
+ * VOICE_PROVIDER picks the default for outbound calls; individual requests
+ * may choose another configured provider.
+ */
+
+import { twilioProvider } from './twilio.js';
+import { telnyxProvider } from './telnyx.js';
+
+const providers = {
+  [twilioProvider.name]: twilioProvider,
+  [telnyxProvider.name]: telnyxProvider
+};
+
+const DEFAULT_PROVIDER = (process.env.VOICE_PROVIDER || 'twilio').toLowerCase();
+
+if (!providers[DEFAULT_PROVIDER]) {
+  throw new Error(`VOICE_PROVIDER must be one of: ${Object.keys(providers).join(', ')} (got "${DEFAULT_PROVIDER}")`);
+}
+
+/**
+ * Get a provider adapter by name
+ * @param {string} name - Provider name; defaults to VOICE_PROVIDER
+ * @returns {Object|undefined} - The adapter, or undefined for an unknown name
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  const key = String(name).toLowerCase();
+  return Object.hasOwn(providers, key) ? providers[key] : undefined;
+}
+
+/**
+ * Names of all supported providers
+ * @returns {Array<string>}
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Work out which provider sent a webhook
+ * Telnyx posts JSON events ({ data: { event_type } }); Twilio posts form fields.
+ * @param {Object} req - Express request
+ * @returns {Object} - The adapter
+ */
+function detectProvider(req) {
+  if (req.is('application/json') && req.body?.data?.event_type) {
+    return telnyxProvider;
+  }
+  return twilioProvider;
+}
+
+export {
+  DEFAULT_PROVIDER,
+  getProvider,
+  listProviders,
+  detectProvider
+};
@@ -0,0 +1,412 @@
+/**
+ * Telnyx Provider Adapter
+ *
+ * Telephony operations for Telnyx Call Control. Inbound calls are answered
+ * with the `answer` action when `call.initiated` arrives, and audio is
+ * streamed through this server's media bridge (/stream-ws) to Ultravox.
+ */
+
+import axios from 'axios';
+import { getBridgeMedium, registerBridge, getBridgeStreamUrl } from '../utils/media-bridge.js';
+
+const TELNYX_API_URL = 'https://api.telnyx.com/v2';
+const REQUIRED_ENV = ['TELNYX_API_KEY', 'TELNYX_PUBLIC_KEY', 'TELNYX_APP_ID', 'TELNYX_PHONE_NUMBER'];
+
+/**
+ * Call the Telnyx v2 API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /v2
+ * @param {Object} data - JSON body
+ * @returns {Promise<Object>} - Response body
+ */
+async function telnyxRequest(method, path, data) {
+  const response = await axios({
+    method,
+    url: `${TELNYX_API_URL}${path}`,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'Authorization': `Bearer ${process.env.TELNYX_API_KEY}`
+    },
+    data
+  });
+  return response.data;
+}
+
+/**
+ * Run a Call Control action on a call
+ * @param {string} callControlId - Call control ID
+ * @param {string} action - Action name (answer, hangup, streaming_start, ...)
+ * @param {Object} data - Action parameters
+ * @returns {Promise<Object>} - Response body
+ */
+async function callAction(callControlId, action, data = {}) {
+  return telnyxRequest('POST', `/calls/${callControlId}/actions/${action}`, data);
+}
+
+// Telnyx reports direction as 'incoming'/'outgoing'
+function normalizeDirection(payload = {}) {
+  return payload.direction === 'outgoing' ? 'outbound' : 'inbound';
+}
+
+// Map a Telnyx call event onto the Twilio-style status names used by the call registry
+function eventToCallStatus(event) {
+  switch (event.event_type) {
+    case 'call.initiated':
+      return 'initiated';
+    case 'call.answered':
+      return 'in-progress';
+    case 'call.hangup': {
+      const cause = event.payload?.hangup_cause;
+      if (cause === 'user_busy') return 'busy';
+      if (cause === 'timeout' || cause === 'no_answer') return 'no-answer';
+      if (cause === 'originator_cancel') return 'canceled';
+      if (cause === 'call_rejected' || cause === 'unallocated_number') return 'failed';
+      return 'completed';
+    }
+    default:
+      return null;
+  }
+}
+
+const telnyxProvider = {
+  name: 'telnyx',
+  callAction,
+
+  getPhoneNumber() {
+    return process.env.TELNYX_PHONE_NUMBER;
+  },
+
+  getConfigWarnings() {
+    return REQUIRED_ENV
+      .filter(key => !process.env[key])
+      .map(key => key === 'TELNYX_PUBLIC_KEY'
+        ? 'TELNYX_PUBLIC_KEY is not set - all Telnyx webhooks will be rejected'
+        : `${key} is not set`);
+  },
+
+  isConfigured() {
+    return this.getConfigWarnings().length === 0;
+  },
+
+  // Ultravox `medium` for calls carried by Telnyx (joined through our media bridge)
+  getMedium() {
+    return getBridgeMedium();
+  },
+
+  /**
+   * Answer an inbound call
+   * @param {string} callControlId - Call control ID
+   */
+  async answer(callControlId) {
+    await callAction(callControlId, 'answer');
+    console.log(`Answered call with control ID: ${callControlId}`);
+  },
+
+  /**
+   * Refuse an inbound call without answering it
+   * @param {string} callControlId - Call control ID
+   */
+  async reject(callControlId) {
+    await callAction(callControlId, 'reject', { cause: 'CALL_REJECTED' });
+    console.log(`Rejected call with control ID: ${callControlId}`);
+  },
+
+  /**
+   * Forward a call to another number
+   * @param {string} callControlId - Call control ID
+   * @param {string} to - Number to transfer to
+   */
+  async forward(callControlId, to) {
+    await callAction(callControlId, 'transfer', { to });
+    console.log(`Forwarded call ${callControlId} to ${to}`);
+  },
+
+  /**
+   * Move a live call from Ultravox to a transfer target
+   * A cold transfer uses the `transfer` action. A warm transfer dials the
+   * target as a separate call, so its events (carrying `clientState`) can
+   * trigger the summary and the bridge; meanwhile the caller hears
+   * `holdAudioUrl`, if given. Either way the media stream is stopped, which
+   * ends the Ultravox call.
+   * @param {string} callControlId - Call control ID
+   * @param {Object} options - Transfer options
+   * @param {string} options.to - Number or SIP URI to dial
+   * @param {number} options.timeout - Seconds to ring before giving up
+   * @param {string} options.whisper - Summary for the answering party (warm transfer only)
+   * @param {string} options.webhookUrl - Where Telnyx posts the target leg's events
+   * @param {string} options.clientState - Base64 state echoed on the target leg's events
+   * @param {string} options.holdAudioUrl - Audio played to the caller during a warm transfer
+   */
+  async transfer(callControlId, { to, timeout, whisper, webhookUrl, clientState, holdAudioUrl }) {
+    if (whisper) {
+      await telnyxRequest('POST', '/calls', {
+        to,
+        from: process.env.TELNYX_PHONE_NUMBER,
+        connection_id: process.env.TELNYX_APP_ID,
+        timeout_secs: timeout,
+        link_to: callControlId,
+        client_state: clientState,
+        webhook_url: webhookUrl,
+        webhook_url_method: 'POST'
+      });
+    } else {
+      await callAction(callControlId, 'transfer', {
+        to,
+        timeout_secs: timeout,
+        target_leg_client_state: clientState,
+        webhook_url: webhookUrl,
+        webhook_url_method: 'POST'
+      });
+    }
+
+    try {
+      await callAction(callControlId, 'streaming_stop');
+      if (whisper && holdAudioUrl) {
+        await callAction(callControlId, 'playback_start', { audio_url: holdAudioUrl, loop: 'infinity' });
+      }
+    } catch (error) {
+      console.warn(`Could not hand over the audio of call ${callControlId}:`, error.response?.data || error.message);
+    }
+    console.log(`Transferring Telnyx call ${callControlId} to ${to}${whisper ? ' (warm)' : ''}`);
+  },
+
+  /**
+   * Connect two live calls, stopping any hold audio on the first
+   * @param {string} callControlId - Call control ID of the caller
+   * @param {string} otherCallControlId - Call control ID of the other party
+   */
+  async bridge(callControlId, otherCallControlId) {
+    await callAction(callControlId, 'playback_stop').catch(() => {});
+    await callAction(callControlId, 'bridge', { call_control_id: otherCallControlId });
+    console.log(`Bridged call ${callControlId} with ${otherCallControlId}`);
+  },
+
+  /**
+   * Say something on an answered call (call.speak.ended follows)
+   * @param {string} callControlId - Call control ID
+   * @param {string} message - Text to speak
+   */
+  async speak(callControlId, message) {
+    await callAction(callControlId, 'speak', {
+      payload: message,
+      voice: 'female',
+      language: 'en-US'
+    });
+  },
+
+  /**
+   * Play an audio file on an answered call (call.playback.ended follows)
+   * @param {string} callControlId - Call control ID
+   * @param {string} audioUrl - WAV or MP3 URL
+   * @param {Object} options - { loop } to repeat until stopped (hold music)
+   */
+  async playAudio(callControlId, audioUrl, { loop = false } = {}) {
+    await callAction(callControlId, 'playback_start', {
+      audio_url: audioUrl,
+      ...(loop ? { loop: 'infinity' } : {})
+    });
+  },
+
+  /**
+   * Stop any audio playing on a call (ignored if nothing is playing)
+   * @param {string} callControlId - Call control ID
+   */
+  async stopAudio(callControlId) {
+    await callAction(callControlId, 'playback_stop').catch(() => {});
+  },
+
+  /**
+   * Record the caller after a beep (call.recording.saved follows, and
+   * call.recording.transcription.saved when transcribing)
+   * @param {string} callControlId - Call control ID
+   * @param {Object} options - { maxLength (seconds), transcribe }
+   */
+  async startRecording(callControlId, { maxLength, transcribe } = {}) {
+    await callAction(callControlId, 'record_start', {
+      format: 'mp3',
+      channels: 'single',
+      play_beep: true,
+      ...(maxLength ? { max_length: maxLength } : {}),
+      ...(transcribe ? { transcription: true } : {})
+    });
+  },
+
+  /**
+   * Stream an answered call through the media bridge to Ultravox
+   * @param {string} callControlId - Call control ID
+   * @param {Object} options - { joinUrl, baseUrl }
+   */
+  async startStream(callControlId, { joinUrl, baseUrl }) {
+    const bridgeToken = registerBridge(joinUrl, { callControlId });
+    const streamUrl = getBridgeStreamUrl(baseUrl, bridgeToken);
+
+    console.log(`Setting up Telnyx media streaming for call: ${callControlId}`);
+    try {
+      const response = await callAction(callControlId, 'streaming_start', {
+        stream_url: streamUrl,
+        stream_track: 'inbound_track',
+        stream_bidirectional_mode: 'rtp',
+        stream_bidirectional_codec: 'PCMU'
+      });
+      console.log('Telnyx streaming started successfully:', response);
+      return response;
+    } catch (error) {
+      // Check if there's a more specific error message from Telnyx
+      if (error.response?.data?.errors) {
+        console.error('Telnyx streaming error details:', JSON.stringify(error.response.data.errors));
+
+        if (error.response.status === 422) {
+          console.error('Call may not be in correct state for streaming. If this is a new call, try waiting for call.answered event before streaming.');
+        }
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Place an outbound call that streams through the media bridge once answered
+   * @param {Object} options - Dial options
+   * @param {string} options.to - Destination number
+   * @param {string} options.from - Caller ID (defaults to TELNYX_PHONE_NUMBER)
+   * @param {string} options.joinUrl - Ultravox join URL (call created with getMedium())
+   * @param {string} options.baseUrl - Public base URL of this server
+   * @param {string} options.statusCallbackUrl - Where Telnyx posts call events
+   * @param {Object} options.machineDetection - { waitForBeep } to detect answering machines first;
+   *   the stream is then started with startStream() once the call.machine.* events are in
+   * @returns {Promise<{callId: string, from: string}>}
+   */
+  async dial({ to, from = process.env.TELNYX_PHONE_NUMBER, joinUrl, baseUrl, statusCallbackUrl, machineDetection }) {
+    console.log(`Initiating Telnyx outbound call to ${to} from ${from}`);
+
+    const media = machineDetection
+      ? { answering_machine_detection: machineDetection.waitForBeep ? 'detect_beep' : 'detect' }
+      : {
+        stream_url: getBridgeStreamUrl(baseUrl, registerBridge(joinUrl)),
+        stream_track: 'inbound_track',
+        stream_bidirectional_mode: 'rtp',
+        stream_bidirectional_codec: 'PCMU'
+      };
+    const response = await telnyxRequest('POST', '/calls', {
+      to,
+      from,
+      connection_id: process.env.TELNYX_APP_ID,
+      ...media,
+      webhook_url: statusCallbackUrl,
+      webhook_url_method: 'POST'
+    });
+
+    const callId = response?.data?.call_control_id;
+    if (!callId) {
+      throw new Error('Failed to initiate call with Telnyx');
+    }
+    console.log(`Outbound Telnyx call initiated with call control ID: ${callId}`);
+    return { callId, from };
+  },
+
+  /**
+   * End a live call
+   * @param {string} callControlId - Call control ID
+   */
+  async hangup(callControlId) {
+    await callAction(callControlId, 'hangup');
+    console.log(`Hung up Telnyx call ${callControlId}`);
+  },
+
+  /**
+   * Ask Telnyx whether a call is still alive (for calls whose webhooks never arrived)
+   * Telnyx forgets a call some time after it ends, so an unknown call counts as completed.
+   * @param {string} callControlId - Call control ID
+   * @returns {Promise<{status: string, duration: number}>} - 'in-progress' or 'completed', and duration in seconds
+   */
+  async fetchStatus(callControlId) {
+    try {
+      const { data } = await telnyxRequest('GET', `/calls/${callControlId}`);
+      return {
+        status: data?.is_alive ? 'in-progress' : 'completed',
+        duration: data?.call_duration
+      };
+    } catch (error) {
+      if (error.response?.status === 404) return { status: 'completed' };
+      throw error;
+    }
+  },
+
+  /**
+   * Extract caller details from a Telnyx call event
+   * @param {Object} event - The `data` object of a Telnyx webhook
+   * @returns {{callId: string, from: string, to: string, direction: string, callerName: string, details: Object}}
+   */
+  parseInboundCall(event) {
+    return {
+      callId: event.payload?.call_control_id,
+      from: event.payload?.from,
+      to: event.payload?.to,
+      direction: normalizeDirection(event.payload),
+      status: eventToCallStatus(event) || 'initiated',
+      callerName: event.payload?.caller_id_name,
+      details: event.payload || {}
+    };
+  },
+
+  /**
+   * Normalize a Telnyx webhook into a call registry status update
+   * @param {Object} body - Webhook body ({ data: { event_type, payload } })
+   * @returns {{callId: string, status: string, providerStatus: string}|null}
+   */
+  parseStatusEvent(body) {
+    const event = body?.data;
+    const status = event && eventToCallStatus(event);
+    if (!status || !event.payload?.call_control_id) return null;
+    return {
+      callId: event.payload.call_control_id,
+      status,
+      providerStatus: event.event_type,
+      direction: normalizeDirection(event.payload)
+    };
+  },
+
+  /**
+   * Verify the configured credentials against the Telnyx API
+   * @returns {Promise<Object>} - { success, message, configuration }
+   */
+  async testConnection() {
+    const apiKey = process.env.TELNYX_API_KEY;
+    const configuration = {
+      apiKey: apiKey ? `${apiKey.substring(0, 10)}...` : 'Not set',
+      appId: process.env.TELNYX_APP_ID,
+      phoneNumber: process.env.TELNYX_PHONE_NUMBER
+    };
+
+    for (const key of ['TELNYX_API_KEY', 'TELNYX_APP_ID', 'TELNYX_PHONE_NUMBER']) {
+      if (!process.env[key]) {
+        return { success: false, message: `${key} is not set. Please add it to your .env file.` };
+      }
+    }
+
+    try {
+      await telnyxRequest('GET', '/calls');
+      return { success: true, message: 'Telnyx API key is valid and working.', configuration };
+    } catch (error) {
+      let errorMessage = 'Error calling Telnyx API';
+
+      if (error.response) {
+        const status = error.response.status;
+
+        if (status === 401) {
+          errorMessage = 'Invalid Telnyx API key - authentication failed';
+        } else if (status === 403) {
+          errorMessage = 'Telnyx API key does not have permission to access this resource';
+        } else if (status === 404) {
+          errorMessage = 'Telnyx API endpoint not found - check API version';
+        } else {
+          errorMessage = `Telnyx API error: ${status} - ${error.response.data?.errors?.[0]?.title || error.message}`;
+        }
+      }
+
+      return { success: false, message: errorMessage, error: error.message, configuration };
+    }
+  }
+};
+
+export { telnyxProvider };
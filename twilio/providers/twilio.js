@@ -0,0 +1,380 @@
+/**
+ * Twilio Provider Adapter
+ *
+ * Telephony operations for Twilio Programmable Voice. Twilio answers an
+ * inbound call with whatever TwiML the /incoming webhook returns, and streams
+ * audio straight to the Ultravox join URL (Ultravox `twilio` medium).
+ *
+ * With TWILIO_MEDIA_BRIDGE=true the stream goes through this server's media
+ * bridge (/stream-ws) instead, like Telnyx calls, so the server sees the
+ * call's keypresses.
+ */
+
+import twilio from 'twilio';
+import { getBridgeMedium, registerBridge, getBridgeStreamUrl } from '../utils/media-bridge.js';
+
+const REQUIRED_ENV = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'];
+
+function getClient() {
+  return twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+}
+
+// Whether calls are relayed through the media bridge rather than streamed to Ultravox directly
+function useMediaBridge() {
+  return process.env.TWILIO_MEDIA_BRIDGE === 'true';
+}
+
+/**
+ * TwiML that connects the call's audio to an Ultravox join URL
+ * @param {string} joinUrl - Ultravox join URL (call created with getMedium())
+ * @param {Object} options - { baseUrl, callId }; the public base URL is required with the media bridge
+ * @returns {string} - TwiML document
+ */
+function connectTwiml(joinUrl, { baseUrl, callId } = {}) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const connect = twiml.connect();
+  // Stream events tell us when the caller hangs up, even without a call status callback
+  const statusCallback = baseUrl ? { statusCallback: `${baseUrl}/stream-status`, statusCallbackMethod: 'POST' } : {};
+  if (!useMediaBridge()) {
+    connect.stream({
+      url: joinUrl,
+      name: 'ultravox',
+      ...statusCallback
+    });
+    return twiml.toString();
+  }
+
+  if (!baseUrl) {
+    throw new Error('TWILIO_MEDIA_BRIDGE needs a public base URL (set PUBLIC_BASE_URL)');
+  }
+  // Twilio drops query strings from stream URLs; the token goes in a custom parameter
+  const bridgeToken = registerBridge(joinUrl, { provider: 'twilio', callId });
+  const stream = connect.stream({
+    url: getBridgeStreamUrl(baseUrl),
+    name: 'ultravox',
+    ...statusCallback
+  });
+  stream.parameter({ name: 'bridge', value: bridgeToken });
+  return twiml.toString();
+}
+
+/**
+ * TwiML that apologises and ends the call
+ * @param {string} message - What to say
+ * @returns {string} - TwiML document
+ */
+function errorTwiml(message) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(message);
+  return twiml.toString();
+}
+
+/**
+ * TwiML that refuses a call, optionally saying something first
+ * @param {string} message - What to say before hanging up (omit to reject without answering)
+ * @returns {string} - TwiML document
+ */
+function rejectTwiml(message) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (message) {
+    twiml.say(message);
+    twiml.hangup();
+  } else {
+    twiml.reject({ reason: 'rejected' });
+  }
+  return twiml.toString();
+}
+
+/**
+ * TwiML that forwards the call to another number
+ * @param {string} to - Number to dial
+ * @returns {string} - TwiML document
+ */
+function forwardTwiml(to) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.dial(to);
+  return twiml.toString();
+}
+
+/**
+ * TwiML that dials a transfer target and reports the result to `actionUrl`
+ * @param {string} to - Number or SIP URI to dial
+ * @param {Object} options - Dial options
+ * @param {number} options.timeout - Seconds to ring before giving up
+ * @param {string} options.actionUrl - Where Twilio posts DialCallStatus once the dial ends
+ * @param {string} options.whisperUrl - TwiML played to the answering party before connecting (warm transfer)
+ * @returns {string} - TwiML document
+ */
+function transferTwiml(to, { timeout, actionUrl, whisperUrl } = {}) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const dial = twiml.dial({ timeout, action: actionUrl, method: 'POST' });
+  const attributes = whisperUrl ? { url: whisperUrl, method: 'POST' } : {};
+  if (to.startsWith('sip:')) {
+    dial.sip(attributes, to);
+  } else {
+    dial.number(attributes, to);
+  }
+  return twiml.toString();
+}
+
+/**
+ * TwiML that leaves a voicemail message and ends the call
+ * @param {Object} message - { audioUrl } to play a recording, or { message } to read text
+ * @returns {string} - TwiML document
+ */
+function voicemailTwiml({ audioUrl, message }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (audioUrl) {
+    twiml.play(audioUrl);
+  } else {
+    twiml.say(message);
+  }
+  twiml.hangup();
+  return twiml.toString();
+}
+
+/**
+ * TwiML that records a voicemail from the caller
+ * @param {string} message - Read out before the beep
+ * @param {Object} options - { maxLength (seconds), transcribe, actionUrl (requested when recording ends),
+ *   transcribeCallbackUrl (receives the transcription) }
+ * @returns {string} - TwiML document
+ */
+function recordTwiml(message, { maxLength, transcribe, actionUrl, transcribeCallbackUrl } = {}) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (message) {
+    twiml.say(message);
+  }
+  twiml.record({
+    maxLength,
+    playBeep: true,
+    action: actionUrl,
+    method: 'POST',
+    ...(transcribe ? { transcribe: true, transcribeCallback: transcribeCallbackUrl } : {})
+  });
+  // Reached only if the caller records nothing
+  twiml.hangup();
+  return twiml.toString();
+}
+
+/**
+ * TwiML that puts the caller in a hold queue
+ * @param {string} queueName - Twilio queue name
+ * @param {Object} options - { waitUrl } returning what the caller hears while waiting
+ * @returns {string} - TwiML document
+ */
+function enqueueTwiml(queueName, { waitUrl } = {}) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.enqueue({ waitUrl, waitUrlMethod: 'POST' }, queueName);
+  return twiml.toString();
+}
+
+/**
+ * TwiML played to a caller waiting in a queue
+ * @param {Object} options - { message (said once), audioUrl (looped) }
+ * @returns {string} - TwiML document
+ */
+function holdTwiml({ message, audioUrl } = {}) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (message) {
+    twiml.say(message);
+  }
+  twiml.play({ loop: 0 }, audioUrl);
+  return twiml.toString();
+}
+
+/**
+ * TwiML that ends the call
+ * @returns {string} - TwiML document
+ */
+function hangupTwiml() {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.hangup();
+  return twiml.toString();
+}
+
+const twilioProvider = {
+  name: 'twilio',
+  connectTwiml,
+  errorTwiml,
+  rejectTwiml,
+  forwardTwiml,
+  transferTwiml,
+  voicemailTwiml,
+  recordTwiml,
+  enqueueTwiml,
+  holdTwiml,
+  hangupTwiml,
+
+  getPhoneNumber() {
+    return process.env.TWILIO_PHONE_NUMBER;
+  },
+
+  getConfigWarnings() {
+    return REQUIRED_ENV
+      .filter(key => !process.env[key])
+      .map(key => `${key} is not set`);
+  },
+
+  isConfigured() {
+    return this.getConfigWarnings().length === 0;
+  },
+
+  // Ultravox `medium` for calls carried by Twilio
+  getMedium() {
+    return useMediaBridge() ? getBridgeMedium() : { twilio: {} };
+  },
+
+  /**
+   * Twilio calls are answered by the TwiML returned from the voice webhook,
+   * so there is no separate answer action.
+   */
+  async answer() {
+    return null;
+  },
+
+  /**
+   * Connect a live call to Ultravox by replacing its TwiML
+   * @param {string} callId - Call SID
+   * @param {Object} options - { joinUrl, baseUrl }
+   */
+  async startStream(callId, { joinUrl, baseUrl }) {
+    return getClient().calls(callId).update({ twiml: connectTwiml(joinUrl, { baseUrl, callId }) });
+  },
+
+  /**
+   * Place an outbound call that streams to Ultravox once answered
+   * @param {Object} options - Dial options
+   * @param {string} options.to - Destination number
+   * @param {string} options.from - Caller ID (defaults to TWILIO_PHONE_NUMBER)
+   * @param {string} options.joinUrl - Ultravox join URL (call created with getMedium())
+   * @param {string} options.baseUrl - Public base URL of this server (needed with the media bridge)
+   * @param {string} options.statusCallbackUrl - Where Twilio posts status updates
+   * @param {Object} options.machineDetection - { waitForBeep, answerUrl } to detect answering machines first;
+   *   Twilio then posts AnsweredBy to answerUrl, whose TwiML connects the call
+   * @returns {Promise<{callId: string, from: string}>}
+   */
+  async dial({ to, from = process.env.TWILIO_PHONE_NUMBER, joinUrl, baseUrl, statusCallbackUrl, machineDetection }) {
+    const call = await getClient().calls.create({
+      ...(machineDetection
+        ? {
+          url: machineDetection.answerUrl,
+          method: 'POST',
+          machineDetection: machineDetection.waitForBeep ? 'DetectMessageEnd' : 'Enable'
+        }
+        : { twiml: connectTwiml(joinUrl, { baseUrl }) }),
+      to,
+      from,
+      statusCallback: statusCallbackUrl,
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+    });
+
+    console.log(`Outbound Twilio call initiated with SID: ${call.sid}`);
+    return { callId: call.sid, from };
+  },
+
+  /**
+   * Move a live call from Ultravox to a transfer target
+   * Replacing the TwiML ends the media stream, and with it the Ultravox call.
+   * @param {string} callId - Call SID
+   * @param {Object} options - { to, timeout, actionUrl, whisperUrl } (see transferTwiml)
+   */
+  async transfer(callId, { to, timeout, actionUrl, whisperUrl }) {
+    await getClient().calls(callId).update({ twiml: transferTwiml(to, { timeout, actionUrl, whisperUrl }) });
+    console.log(`Transferring Twilio call ${callId} to ${to}`);
+  },
+
+  /**
+   * Replace what a live call is doing with new TwiML
+   * @param {string} callId - Call SID
+   * @param {string} twiml - TwiML document
+   */
+  async redirect(callId, twiml) {
+    await getClient().calls(callId).update({ twiml });
+  },
+
+  /**
+   * End a live call
+   * @param {string} callId - Call SID
+   */
+  async hangup(callId) {
+    await getClient().calls(callId).update({ status: 'completed' });
+    console.log(`Hung up Twilio call ${callId}`);
+  },
+
+  /**
+   * Ask Twilio for a call's current status (for calls whose status callbacks never arrived)
+   * @param {string} callId - Call SID
+   * @returns {Promise<{status: string, duration: number}>} - Twilio status name and duration in seconds
+   */
+  async fetchStatus(callId) {
+    const call = await getClient().calls(callId).fetch();
+    return {
+      status: call.status,
+      duration: call.duration ? parseInt(call.duration, 10) : undefined
+    };
+  },
+
+  /**
+   * Extract caller details from an inbound voice webhook
+   * @param {Object} body - Webhook body
+   * @returns {{callId: string, from: string, to: string, direction: string, callerName: string, details: Object}}
+   */
+  parseInboundCall(body) {
+    const { AccountSid, ...details } = body;
+    return {
+      callId: body.CallSid,
+      from: body.From,
+      to: body.To,
+      direction: 'inbound',
+      status: body.CallStatus || 'ringing',
+      callerName: body.CallerName,
+      details
+    };
+  },
+
+  /**
+   * Normalize a status callback; Twilio status names are used as-is by the call registry
+   * @param {Object} body - Webhook body
+   * @returns {{callId: string, status: string, providerStatus: string, duration: number}|null}
+   */
+  parseStatusEvent(body) {
+    if (!body?.CallSid || !body.CallStatus) return null;
+    return {
+      callId: body.CallSid,
+      status: body.CallStatus,
+      providerStatus: body.CallStatus,
+      duration: body.CallDuration ? parseInt(body.CallDuration, 10) : undefined
+    };
+  },
+
+  /**
+   * Verify the configured credentials against the Twilio API
+   * @returns {Promise<Object>} - { success, message, configuration }
+   */
+  async testConnection() {
+    const configuration = {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      phoneNumber: process.env.TWILIO_PHONE_NUMBER
+    };
+    const warnings = this.getConfigWarnings();
+    if (warnings.length > 0) {
+      return { success: false, message: `${warnings[0]}. Please add it to your .env file.`, configuration };
+    }
+
+    try {
+      await getClient().api.v2010.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
+      return { success: true, message: 'Twilio credentials are valid and working.', configuration };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.status === 401 ? 'Invalid Twilio credentials - authentication failed' : `Twilio API error: ${error.message}`,
+        error: error.message,
+        configuration
+      };
+    }
+  }
+};
+
+export { twilioProvider };
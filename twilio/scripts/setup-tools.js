@@ -1,15 +1,24 @@
 /**
  * Tool Setup Script
- * 
- * This script registers all tools defined in the config/tools.js file with Ultravox.
- * It creates tools that don't exist yet and skips those that do.
- * 
- * Usage: node scripts/setup-tools.js
+ *
+ * Manages the permanent Ultravox tools that mirror the local tool catalog
+ * (config/tools.js), for use with ULTRAVOX_USE_PERMANENT_TOOLS=true.
+ *
+ * Usage: node scripts/setup-tools.js [command] [--dry-run]
+ *
+ *   list    List the tools registered with Ultravox
+ *   diff    Compare the local catalog with the registered tools
+ *   sync    Create missing tools and update changed ones (default)
+ *   prune   Delete registered tools that are no longer in the local catalog
+ *
+ * ULTRAVOX_TOOLS_TO_REGISTER limits diff and sync to the listed tools.
+ * Tools left out by ULTRAVOX_ENABLED_TOOLS still count as local, so prune
+ * keeps them, and prune refuses to run while a local definition is invalid.
+ * Server-hosted tools are registered at PUBLIC_BASE_URL/tools/<name>.
+ * Exits with status 1 if any tool could not be processed.
  */
 
 import dotenv from 'dotenv';
-import axios from 'axios';
-import { tools } from '../config/tools.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -17,130 +26,258 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load environment variables from the twilio directory
+// Load environment variables from the twilio directory before the catalog is built
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-// Configuration from environment
-const ultravoxApiKey = process.env.ULTRAVOX_API_KEY;
-
-// Normalize the API URL
-function normalizeApiUrl(url = 'https://api.ultravox.ai') {
-  // Remove trailing slashes
-  url = url.replace(/\/+$/, '');
-  
-  // Remove /calls if present
-  url = url.replace(/\/calls$/, '');
-  
-  // Remove /api if present at the end
-  url = url.replace(/\/api$/, '');
-  
-  // Ensure the URL has a protocol
-  if (!url.startsWith('http')) {
-    url = `https://${url}`;
+const { tools, definedTools, toolCatalogErrors } = await import('../config/tools.js');
+const { createUltravoxClient, UltravoxApiError } = await import('../utils/ultravox-client.js');
+const { buildToolDefinition } = await import('../utils/tool-manager.js');
+
+const COMMANDS = ['list', 'diff', 'sync', 'prune'];
+
+// Client is created after .env has been loaded above
+const ultravox = createUltravoxClient();
+
+// Short description of a failed API call
+function describeError(error) {
+  if (error instanceof UltravoxApiError && error.status) {
+    return `${error.status} ${typeof error.body === 'object' ? JSON.stringify(error.body) : error.body || error.message}`;
   }
-  
-  return url;
+  return error.message;
 }
 
-const ultravoxApiUrl = normalizeApiUrl(process.env.ULTRAVOX_API_URL);
+/**
+ * Whether every field of `local` has the same value in `remote`
+ * Ultravox fills in defaults (e.g. `required: false`), so fields that
+ * only exist remotely are not treated as differences.
+ * @param {*} local - Local value
+ * @param {*} remote - Registered value
+ * @returns {boolean}
+ */
+function matches(local, remote) {
+  if (Array.isArray(local)) {
+    return Array.isArray(remote) && local.length === remote.length &&
+      local.every((item, index) => matches(item, remote[index]));
+  }
+  if (local && typeof local === 'object') {
+    return !!remote && typeof remote === 'object' &&
+      Object.entries(local).every(([key, value]) => matches(value, remote[key]));
+  }
+  return local === remote;
+}
+
+/**
+ * Compare the local catalog with the registered tools
+ * @param {Array<Object>} remoteTools - Tools from the Ultravox API
+ * @returns {{entries: Array<Object>, failures: number}} - One entry per tool:
+ *   { name, state: 'missing'|'changed'|'unchanged'|'remote-only'|'invalid', definition, remote, fields, reason }
+ */
+function compareTools(remoteTools) {
+  const baseUrl = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, '');
+  const wanted = process.env.ULTRAVOX_TOOLS_TO_REGISTER
+    ? process.env.ULTRAVOX_TOOLS_TO_REGISTER.split(',').map(name => name.trim()).filter(Boolean)
+    : Object.keys(tools);
+  // Ultravox's built-in tools (hangUp, queryCorpus, ...) are not ours to manage
+  const ownRemote = remoteTools.filter(tool => tool.ownership !== 'public');
+  const remoteByName = new Map(ownRemote.map(tool => [tool.name, tool]));
+
+  const entries = [];
+  for (const name of wanted) {
+    if (!tools[name]) {
+      entries.push({ name, state: 'invalid', reason: 'not found in the local catalog' });
+      continue;
+    }
+    const definition = buildToolDefinition(tools[name], { baseUrl });
+    if (!definition) {
+      entries.push({ name, state: 'invalid', reason: 'hosted tool needs PUBLIC_BASE_URL' });
+      continue;
+    }
 
-if (!ultravoxApiKey) {
-  console.error('Error: ULTRAVOX_API_KEY environment variable is not set');
-  console.error('Make sure you have a .env file in the twilio directory');
-  process.exit(1);
+    const remote = remoteByName.get(name);
+    if (!remote) {
+      entries.push({ name, state: 'missing', definition });
+      continue;
+    }
+    const fields = Object.keys(definition).filter(field => !matches(definition[field], remote.definition?.[field]));
+    entries.push({ name, state: fields.length > 0 ? 'changed' : 'unchanged', definition, remote, fields });
+  }
+
+  // Remote-only means missing from the whole catalog, not just from ULTRAVOX_TOOLS_TO_REGISTER
+  // or ULTRAVOX_ENABLED_TOOLS
+  ownRemote
+    .filter(tool => !definedTools[tool.name])
+    .forEach(tool => entries.push({ name: tool.name, state: 'remote-only', remote: tool }));
+
+  return { entries, failures: entries.filter(entry => entry.state === 'invalid').length };
 }
 
 /**
- * Create or update a tool in Ultravox
- * @param {Object} toolConfig - The tool configuration
+ * Print the registered tools
+ * @param {Array<Object>} remoteTools - Tools from the Ultravox API
+ * @returns {number} - Number of failures
  */
-async function registerTool(toolConfig) {
-  try {
-    const url = `${ultravoxApiUrl}/tools`;
-    console.log(`Registering tool ${toolConfig.name} at ${url}...`);
-    console.log('Tool configuration:', JSON.stringify(toolConfig, null, 2));
-    
-    const response = await axios({
-      method: 'POST',
-      url,
-      headers: {
-        'Authorization': `Bearer ${ultravoxApiKey}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      data: toolConfig,
-      validateStatus: null // Allow us to handle all status codes
-    });
-    
-    console.log(`✅ Successfully registered tool: ${toolConfig.name}`);
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      console.error(`❌ Error registering tool ${toolConfig.name}:`, {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data,
-        headers: error.response.headers,
-        url: error.config.url,
-        method: error.config.method,
-        requestHeaders: error.config.headers
-      });
-      
-      if (error.response.status === 409) {
-        console.log(`⚠️ Tool ${toolConfig.name} already exists`);
-        return { exists: true };
+function listCommand(remoteTools) {
+  if (remoteTools.length === 0) {
+    console.log('No tools registered with Ultravox');
+    return 0;
+  }
+  for (const tool of remoteTools) {
+    const where = tool.ownership === 'public' ? 'built-in' : definedTools[tool.name] ? 'in local catalog' : 'remote only';
+    console.log(`  ${tool.name.padEnd(24)} ${tool.toolId || ''}  ${tool.created || ''}  (${where})`);
+  }
+  console.log(`${remoteTools.length} tool(s)`);
+  return 0;
+}
+
+/**
+ * Print how the local catalog differs from the registered tools
+ * @param {Array<Object>} remoteTools - Tools from the Ultravox API
+ * @returns {number} - Number of failures
+ */
+function diffCommand(remoteTools) {
+  const { entries, failures } = compareTools(remoteTools);
+  for (const entry of entries) {
+    switch (entry.state) {
+      case 'missing':
+        console.log(`  + ${entry.name} (not registered)`);
+        break;
+      case 'changed':
+        console.log(`  ~ ${entry.name} (changed: ${entry.fields.join(', ')})`);
+        break;
+      case 'unchanged':
+        console.log(`  = ${entry.name}`);
+        break;
+      case 'remote-only':
+        console.log(`  - ${entry.name} (registered, not in local catalog)`);
+        break;
+      default:
+        console.log(`  ❌ ${entry.name}: ${entry.reason}`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Create missing tools and update changed ones
+ * @param {Array<Object>} remoteTools - Tools from the Ultravox API
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<number>} - Number of failures
+ */
+async function syncCommand(remoteTools, { dryRun }) {
+  const { entries, failures: invalid } = compareTools(remoteTools);
+  let failures = invalid;
+  const prefix = dryRun ? '[dry-run] would ' : '';
+
+  for (const entry of entries) {
+    const { name, definition } = entry;
+    try {
+      if (entry.state === 'missing') {
+        if (!dryRun) await ultravox.createTool({ name, definition });
+        console.log(`  ✅ ${prefix}create ${name}`);
+      } else if (entry.state === 'changed') {
+        if (!dryRun) await ultravox.updateTool(entry.remote.toolId, { name, definition });
+        console.log(`  🔄 ${prefix}update ${name} (${entry.fields.join(', ')})`);
+      } else if (entry.state === 'unchanged') {
+        console.log(`  ⏭️  ${name} is up to date`);
+      } else if (entry.state === 'invalid') {
+        console.log(`  ❌ ${name}: ${entry.reason}`);
       }
-    } else if (error.request) {
-      console.error(`❌ No response received for tool ${toolConfig.name}:`, error.message);
-      console.error('Request details:', {
-        url: error.config.url,
-        method: error.config.method,
-        headers: error.config.headers
-      });
-    } else {
-      console.error(`❌ Error setting up request for tool ${toolConfig.name}:`, error.message);
+    } catch (error) {
+      failures++;
+      console.log(`  ❌ ${name}: ${entry.state === 'missing' ? 'create' : 'update'} failed (${describeError(error)})`);
     }
-    return null;
   }
+  return failures;
 }
 
 /**
- * Setup all tools defined in the configuration
+ * Delete registered tools that are not in the local catalog
+ * @param {Array<Object>} remoteTools - Tools from the Ultravox API
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<number>} - Number of failures
  */
-async function setupTools() {
-  console.log('🔧 Setting up Ultravox tools...');
-  console.log(`Using API URL: ${ultravoxApiUrl}`);
-  console.log('API Key present:', !!ultravoxApiKey);
-  console.log('Current directory:', __dirname);
-  console.log('Env file path:', join(__dirname, '..', '.env'));
-  
-  // Get tool names from environment or use all available tools
-  const toolsToSetup = process.env.ULTRAVOX_TOOLS_TO_REGISTER
-    ? process.env.ULTRAVOX_TOOLS_TO_REGISTER.split(',').map(t => t.trim())
-    : Object.keys(tools);
-  
-  console.log(`📋 Registering ${toolsToSetup.length} tools:`, toolsToSetup.join(', '));
-  
-  const results = [];
-  for (const name of toolsToSetup) {
-    if (tools[name]) {
-      const result = await registerTool(tools[name]);
-      results.push(result);
-    } else {
-      console.warn(`⚠️ Tool "${name}" not found in configuration`);
+async function pruneCommand(remoteTools, { dryRun }) {
+  // A tool whose local definition is broken would look remote-only and be deleted
+  if (toolCatalogErrors.length > 0) {
+    console.log('  ❌ Not pruning while local tool definitions are invalid; fix them first');
+    return 1;
+  }
+
+  const stale = compareTools(remoteTools).entries.filter(entry => entry.state === 'remote-only');
+  if (stale.length === 0) {
+    console.log('  Nothing to prune');
+    return 0;
+  }
+
+  let failures = 0;
+  for (const { name, remote } of stale) {
+    try {
+      if (!dryRun) await ultravox.deleteTool(remote.toolId);
+      console.log(`  🗑️  ${dryRun ? '[dry-run] would delete' : 'deleted'} ${name} (${remote.toolId})`);
+    } catch (error) {
+      failures++;
+      console.log(`  ❌ ${name}: delete failed (${describeError(error)})`);
     }
   }
-  
-  console.log('🎉 Tool setup complete!');
-  return results;
+  return failures;
 }
 
-// Run the setup if this script is executed directly
+/**
+ * Run a tool lifecycle command
+ * @param {string} command - list, diff, sync or prune
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<number>} - Number of failures
+ */
+async function runCommand(command, { dryRun = false } = {}) {
+  console.log(`🔧 Ultravox tools: ${command}${dryRun ? ' (dry run)' : ''} against ${ultravox.baseUrl}`);
+
+  // Broken local definitions are a failure for anything that compares against them
+  let failures = 0;
+  if (command !== 'list' && toolCatalogErrors.length > 0) {
+    console.log('Invalid local tool definitions (skipped):');
+    toolCatalogErrors.forEach(error => console.log(`  ❌ ${error}`));
+    failures += toolCatalogErrors.length;
+  }
+
+  const remoteTools = await ultravox.listTools();
+  switch (command) {
+    case 'list':
+      return failures + listCommand(remoteTools);
+    case 'diff':
+      return failures + diffCommand(remoteTools);
+    case 'sync':
+      return failures + await syncCommand(remoteTools, { dryRun });
+    case 'prune':
+      return failures + await pruneCommand(remoteTools, { dryRun });
+  }
+  throw new Error(`Unknown command ${command}`);
+}
+
+// Run the command if this script is executed directly
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  setupTools().catch(error => {
-    console.error('Failed to set up tools:', error);
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [command = 'sync', ...extra] = args.filter(arg => arg !== '--dry-run');
+
+  if (!COMMANDS.includes(command) || extra.length > 0) {
+    console.error(`Usage: node scripts/setup-tools.js [${COMMANDS.join('|')}] [--dry-run]`);
+    process.exit(2);
+  }
+  if (!process.env.ULTRAVOX_API_KEY) {
+    console.error('Error: ULTRAVOX_API_KEY environment variable is not set');
+    console.error('Make sure you have a .env file in the twilio directory');
     process.exit(1);
-  });
+  }
+
+  runCommand(command, { dryRun })
+    .then(failures => {
+      console.log(failures > 0 ? `❌ ${command} finished with ${failures} failure(s)` : `🎉 ${command} complete`);
+      process.exit(failures > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`Failed to ${command} tools:`, describeError(error));
+      process.exit(1);
+    });
 }
 
-export { setupTools, registerTool }; 
\ No newline at end of file
+export { compareTools, runCommand };
@@ -0,0 +1,160 @@
+/**
+ * Tool Test Script
+ *
+ * Calls a catalog tool the way Ultravox would and checks the response
+ * against its responseSchema (see utils/tool-tester.js).
+ *
+ * Usage: node scripts/test-tool.js <tool> [options]
+ *
+ *   --arg name=value    Tool argument (repeatable; JSON values are parsed for non-string parameters)
+ *   --args '<json>'     All arguments as one JSON object
+ *   --examples          Run every example that has `arguments`
+ *   --fixture <file>    Answer from a recorded response instead of sending the request
+ *   --record <file>     Save the live response as a fixture
+ *   --dry-run           Only build and print the request
+ *   --call-id <id>      Value for the call ID automatic parameter
+ *
+ * Exits with status 1 if any test case fails.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from the twilio directory before the catalog is built
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const { tools, toolCatalogErrors } = await import('../config/tools.js');
+const { runToolTest, exampleTestCases } = await import('../utils/tool-tester.js');
+
+const USAGE = 'Usage: node scripts/test-tool.js <tool> [--arg name=value ...] [--args <json>] [--examples] ' +
+  '[--fixture <file>] [--record <file>] [--dry-run] [--call-id <id>]';
+
+// Parse the command line into { name, args, examples, fixture, record, dryRun, callId }
+function parseArguments(argv, tool) {
+  const options = { args: {}, examples: false, dryRun: false };
+  const schemaType = name => tool?.dynamicParameters?.find(parameter => parameter.name === name)?.schema?.type;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--arg': {
+        const [name, ...rest] = (argv[++i] || '').split('=');
+        const value = rest.join('=');
+        if (!name || rest.length === 0) throw new Error('--arg expects name=value');
+        if (schemaType(name) === 'string') {
+          options.args[name] = value;
+        } else {
+          try {
+            options.args[name] = JSON.parse(value);
+          } catch {
+            options.args[name] = value;
+          }
+        }
+        break;
+      }
+      case '--args':
+        Object.assign(options.args, JSON.parse(argv[++i] || '{}'));
+        break;
+      case '--examples':
+        options.examples = true;
+        break;
+      case '--fixture':
+        options.fixture = argv[++i];
+        break;
+      case '--record':
+        options.record = argv[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--call-id':
+        options.callId = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+// Print one test result
+function report(label, result) {
+  console.log(`\n${result.ok ? '✅' : '❌'} ${label}`);
+  if (result.request) {
+    const { method, url, headers, body } = result.request;
+    console.log(`  ${method} ${url}`);
+    Object.entries(headers).forEach(([name, value]) => console.log(`  ${name}: ${value}`));
+    if (body) console.log(`  ${JSON.stringify(body)}`);
+  }
+  if (result.response) {
+    const { status, durationMs, fixture, body } = result.response;
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    console.log(`  -> ${status}${fixture ? ' (fixture)' : ` in ${durationMs}ms`}: ${text.length > 500 ? `${text.slice(0, 500)}...` : text}`);
+  }
+  result.errors.forEach(error => console.log(`  ❌ ${error}`));
+}
+
+async function main() {
+  const [name, ...rest] = process.argv.slice(2);
+  if (!name || name.startsWith('--')) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const tool = tools[name];
+  if (!tool) {
+    console.error(`Tool ${name} is not in the catalog. Available: ${Object.keys(tools).join(', ') || 'none'}`);
+    toolCatalogErrors.forEach(error => console.error(`  ❌ ${error}`));
+    return 1;
+  }
+
+  let options;
+  try {
+    options = parseArguments(rest, tool);
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const cases = options.examples
+    ? exampleTestCases(tool)
+    : [{ name: `${name} ${JSON.stringify(options.args)}`, args: options.args }];
+  if (cases.length === 0) {
+    console.error(`Tool ${name} has no examples with arguments`);
+    return 1;
+  }
+  const fixture = options.fixture ? JSON.parse(fs.readFileSync(options.fixture, 'utf8')) : undefined;
+
+  let failures = 0;
+  for (const testCase of cases) {
+    const result = await runToolTest(tool, {
+      args: testCase.args,
+      fixture,
+      execute: !options.dryRun,
+      baseUrl: process.env.PUBLIC_BASE_URL?.replace(/\/+$/, ''),
+      callId: options.callId
+    });
+    report(testCase.name, result);
+    if (!result.ok) failures++;
+
+    if (options.record && result.response && !result.response.fixture) {
+      const { status, contentType, body } = result.response;
+      fs.writeFileSync(options.record, JSON.stringify({ status, contentType, body }, null, 2));
+      console.log(`  Recorded response to ${options.record}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failures}/${cases.length} passed`);
+  return failures > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Tool test failed:', error.message);
+    process.exit(1);
+  });
@@ -1,13 +1,146 @@
 import express from 'express';
-import twilio from 'twilio';
-import https from 'https';
 import http from 'http';
 import 'dotenv/config';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getToolsForCall } from './utils/tool-manager.js';
-import { tools } from './config/tools.js';
-import axios from 'axios';
+import { tools, toolCatalogErrors, toolCatalogWarnings } from './config/tools.js';
+import { callEvents, findCall, recordCall, updateCall, updateCallStatus, listCalls } from './utils/call-registry.js';
+import { reconcileCallSoon, startCallReconciler } from './utils/call-reconciler.js';
+import {
+    captureRawBody,
+    isValidationDisabled,
+    validateTwilioWebhook,
+    validateTelnyxWebhook,
+    validateProviderWebhook
+} from './utils/webhook-security.js';
+import { getPublicBaseUrl } from './utils/public-url.js';
+import { handleStreamConnection } from './utils/media-bridge.js';
+import { attachDtmfForwarding, forwardDtmf, formatDigitsForLog } from './utils/dtmf.js';
+import { ultravox } from './utils/ultravox-client.js';
+import {
+    validateProfile,
+    isValidProfileName,
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile
+} from './utils/profiles.js';
+import {
+    validateRoutingTable,
+    getRoutingTable,
+    saveRoutingTable,
+    routeInboundCall,
+    listRoutedProfiles,
+    listProfileRoutes
+} from './utils/inbound-routing.js';
+import {
+    parseCsv,
+    normalizeContact,
+    validateCampaign,
+    createCampaign,
+    getCampaign,
+    listCampaigns,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    startCampaignRunner
+} from './utils/campaigns.js';
+import {
+    STATUSES as SCHEDULED_CALL_STATUSES,
+    scheduleCall,
+    listScheduledCalls,
+    getScheduledCall,
+    rescheduleCall,
+    cancelScheduledCall,
+    startScheduler
+} from './utils/scheduled-calls.js';
+import { TemplateError, renderTemplateFields, buildTemplateContext } from './utils/templates.js';
+import {
+    captureTranscript,
+    fetchLiveTranscript,
+    scheduleTranscriptCapture,
+    getTranscript,
+    toText,
+    toSrt,
+    toVtt
+} from './utils/transcripts.js';
+import {
+    captureRecording,
+    scheduleRecordingCapture,
+    openRecording,
+    startRecordingRetention
+} from './utils/recordings.js';
+import {
+    EVENTS as WEBHOOK_EVENTS,
+    validateSubscription,
+    createSubscription,
+    listSubscriptions,
+    getSubscription,
+    updateSubscription,
+    deleteSubscription,
+    listDeliveries,
+    getDelivery,
+    redeliver,
+    startWebhookDispatcher
+} from './utils/webhook-subscriptions.js';
+import {
+    DISPOSITION_TOOL_NAME,
+    getDispositionSchemaErrors,
+    getDispositionSchema,
+    isDispositionToolEnabled,
+    buildDispositionTool,
+    recordDisposition
+} from './utils/dispositions.js';
+import {
+    TRANSFER_TOOL_NAME,
+    getTransferConfigErrors,
+    getTransferConfig,
+    isTransferToolEnabled,
+    buildTransferTool,
+    startTransfer,
+    handleTwilioDialResult,
+    twilioWhisper,
+    handleTelnyxTransferEvent
+} from './utils/call-transfer.js';
+import {
+    getBusinessHoursErrors,
+    getBusinessHours,
+    checkBusinessHours,
+    applyBusinessHours,
+    saveVoicemail
+} from './utils/business-hours.js';
+import {
+    QUEUE_NAME,
+    getQueueSettings,
+    getQueueConfigErrors,
+    acquireSlot,
+    releaseSlot,
+    enqueueCaller,
+    isQueued,
+    getQueueStatus,
+    startCallQueue
+} from './utils/call-queue.js';
+import {
+    getMachineDetectionConfigErrors,
+    validateMachineDetection,
+    resolveMachineDetection,
+    classifyAnsweredBy,
+    registerPendingCall,
+    takePendingCall,
+    getPendingCall,
+    recordDetection
+} from './utils/machine-detection.js';
+import {
+    getToolHandlerErrors,
+    getToolHandler,
+    getHostedToolDefinitions,
+    requireToolSecret,
+    validateToolParameters
+} from './utils/tool-handlers.js';
+import { runToolTest, exampleTestCases } from './utils/tool-tester.js';
+import { redactSecrets } from './utils/secrets.js';
+import { DEFAULT_PROVIDER, getProvider, listProviders, detectProvider } from './providers/index.js';
 import { WebSocketServer } from 'ws';
 
 // Get __dirname equivalent in ES modules
@@ -15,34 +148,24 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around: Telnyx signs the exact bytes it sends
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Configuration from environment variables
 const PORT = process.env.PORT || 3000;
-const VOICE_PROVIDER = process.env.VOICE_PROVIDER || 'twilio';
 
 // UI Configuration
 const UI_LOGO_URL = process.env.UI_LOGO_URL || 'https://brand.aipowergrid.io/_data/i/upload/2024/03/14/20240314185634-06dfd4e5-2s.png';
 const UI_APP_NAME = process.env.UI_APP_NAME || 'AI Voice Agent';
 
-// Twilio configuration
-const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
-const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
-
-// Telnyx configuration
-const TELNYX_API_KEY = process.env.TELNYX_API_KEY;
-const TELNYX_PUBLIC_KEY = process.env.TELNYX_PUBLIC_KEY;
-const TELNYX_APP_ID = process.env.TELNYX_APP_ID;
-const TELNYX_PHONE_NUMBER = process.env.TELNYX_PHONE_NUMBER;
+// Provider credentials are read by the adapters in providers/
 
 // Ultravox configuration
 const ULTRAVOX_API_KEY = process.env.ULTRAVOX_API_KEY;
-const ULTRAVOX_API_URL = process.env.ULTRAVOX_API_URL;
 const ULTRAVOX_AGENT_ID = process.env.ULTRAVOX_AGENT_ID;
 const ULTRAVOX_CORPUS_ID = process.env.ULTRAVOX_CORPUS_ID;
 
@@ -126,53 +249,84 @@ function enhancePromptWithToolInfo(basePrompt, toolNames = []) {
 }
 
 // Update verifyCorpusStatus function with more concise logging
-async function verifyCorpusStatus() {
-    return new Promise((resolve, reject) => {
-        const request = https.request(`${ULTRAVOX_API_URL.replace('/calls', '')}/corpora/${ULTRAVOX_CORPUS_ID}`, {
-            method: 'GET',
-            headers: {
-                'X-API-Key': ULTRAVOX_API_KEY
-            }
-        });
-
-        let data = '';
-        
-        request.on('response', (response) => {
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => {
-                try {
-                    const corpus = JSON.parse(data);
-                    if (corpus.stats?.status === 'CORPUS_STATUS_READY') {
-                        resolve(true);
-                    } else {
-                        resolve(false);
-                    }
-                } catch (error) {
-                    console.error('❌ Error checking corpus status:', error.message);
-                    reject(error);
-                }
-            });
-        });
+async function verifyCorpusStatus(corpusId = ULTRAVOX_CORPUS_ID) {
+    try {
+        const corpus = await ultravox.getCorpus(corpusId);
+        return corpus.stats?.status === 'CORPUS_STATUS_READY';
+    } catch (error) {
+        console.error('❌ Error checking corpus status:', error.message);
+        throw error;
+    }
+}
 
-        request.on('error', (error) => {
-            console.error('❌ Error checking corpus status:', error.message);
-            reject(error);
-        });
+/**
+ * Resolve the persona settings for a call
+ * A named agent profile supplies the base values (falling back to
+ * DEFAULT_INBOUND_PROFILE / DEFAULT_OUTBOUND_PROFILE), and any option given
+ * explicitly on the request overrides the profile. Anything still unset
+ * falls back to the environment defaults in createUltravoxCall. Template
+ * variables are merged: the profile's defaults, then the request's.
+ * @param {Object} options - createUltravoxCall options
+ * @returns {Object} - { profile, systemPrompt, agentName, voiceId, temperature, firstSpeaker, toolNames, corpusId, greeting, variables, strictVariables }
+ */
+function resolveCallSettings(options = {}) {
+    const { isOutbound = false } = options;
+    const profileName = options.profile ||
+        (isOutbound ? process.env.DEFAULT_OUTBOUND_PROFILE : process.env.DEFAULT_INBOUND_PROFILE) ||
+        null;
+
+    let profile = {};
+    if (profileName) {
+        profile = getProfile(profileName);
+        if (!profile) {
+            throw new Error(`Unknown agent profile "${profileName}"`);
+        }
+    }
 
-        request.end();
-    });
+    const pick = (override, fromProfile) =>
+        override !== undefined && override !== null && override !== '' ? override : fromProfile;
+
+    return {
+        profile: profileName,
+        systemPrompt: pick(options.systemPrompt, profile.systemPrompt),
+        agentName: pick(options.agentName, profile.agentName),
+        voiceId: pick(options.voiceId, profile.voiceId),
+        temperature: pick(options.temperature, profile.temperature),
+        firstSpeaker: pick(options.firstSpeaker, profile.firstSpeaker),
+        toolNames: pick(options.toolNames, profile.tools),
+        corpusId: pick(options.corpusId, profile.corpusId),
+        greeting: pick(options.greeting, profile.greeting),
+        variables: { ...profile.variables, ...options.variables },
+        strictVariables: pick(options.strictVariables, profile.strictVariables)
+    };
 }
 
-// Create Ultravox call and get join URL
-async function createUltravoxCall(options = {}) {
+// Build the Ultravox create-call request (throws a TemplateError for missing strict variables)
+async function buildUltravoxCallConfig(options = {}) {
     const {
-        systemPrompt,
         isOutbound = false,
+        medium = { twilio: {} },
+        call = {},
+        baseUrl = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, ''),
+        voicemailPrompt
+    } = options;
+    const {
+        profile,
+        systemPrompt,
         voiceId,
         corpusId: overrideCorpusId,
         toolNames,
-        agentName
-    } = options;
+        agentName,
+        temperature,
+        firstSpeaker,
+        greeting,
+        variables,
+        strictVariables
+    } = resolveCallSettings(options);
+
+    if (profile) {
+        console.log(`Using agent profile "${profile}" for ${isOutbound ? 'outbound' : 'inbound'} call`);
+    }
 
     // Create base call config
     const callConfig = {
@@ -181,13 +335,19 @@ async function createUltravoxCall(options = {}) {
             getSystemPrompt(isOutbound, agentName),
         model: 'fixie-ai/ultravox-70B',  // Ensure we use 70B model which handles tools better
         voice: voiceId || AI_VOICE,
-        temperature: AI_TEMPERATURE,
-        firstSpeaker: isOutbound ? OUTBOUND_FIRST_SPEAKER : INBOUND_FIRST_SPEAKER,
-        medium: { "twilio": {} },
+        temperature: temperature ?? AI_TEMPERATURE,
+        firstSpeaker: firstSpeaker || (isOutbound ? OUTBOUND_FIRST_SPEAKER : INBOUND_FIRST_SPEAKER),
+        medium,
         recordingEnabled: true,
         selectedTools: []
     };
 
+    // An answering machine picked up: the agent leaves a message instead of holding a conversation
+    if (voicemailPrompt) {
+        callConfig.systemPrompt = `${callConfig.systemPrompt}\n\n${voicemailPrompt}`;
+        callConfig.firstSpeaker = 'FIRST_SPEAKER_AGENT';
+    }
+
     // Add tools only if explicitly provided or if ULTRAVOX_USE_TOOLS is true and toolNames is undefined
     // If toolNames is an empty array, tools should be disabled
     const useTools = toolNames === undefined ? 
@@ -196,7 +356,7 @@ async function createUltravoxCall(options = {}) {
     
     if (useTools) {
         // Get tools from the tool manager, using provided tool names if specified
-        const tools = getToolsForCall(toolNames || process.env.ULTRAVOX_CALL_TOOLS?.split(',').filter(Boolean));
+        const tools = getToolsForCall(toolNames || process.env.ULTRAVOX_CALL_TOOLS?.split(',').filter(Boolean), { baseUrl });
         
         if (tools.length > 0) {
             callConfig.selectedTools = callConfig.selectedTools.concat(tools);
@@ -212,6 +372,26 @@ async function createUltravoxCall(options = {}) {
         // Always add the built-in hangUp tool
         callConfig.selectedTools.push({ toolName: "hangUp" });
         console.log(`Added built-in hangUp tool to ${isOutbound ? 'outbound' : 'inbound'} call`);
+
+        // The disposition tool calls back into this server, so it needs our public URL
+        if (isDispositionToolEnabled()) {
+            if (baseUrl) {
+                callConfig.selectedTools.push(buildDispositionTool(baseUrl));
+                console.log(`Added built-in ${DISPOSITION_TOOL_NAME} tool to ${isOutbound ? 'outbound' : 'inbound'} call`);
+            } else {
+                console.warn(`⚠️ Skipping ${DISPOSITION_TOOL_NAME} tool: no public base URL known (set PUBLIC_BASE_URL)`);
+            }
+        }
+
+        // Live transfer to a person, when departments are configured
+        if (isTransferToolEnabled()) {
+            if (baseUrl) {
+                callConfig.selectedTools.push(buildTransferTool(baseUrl));
+                console.log(`Added built-in ${TRANSFER_TOOL_NAME} tool to ${isOutbound ? 'outbound' : 'inbound'} call`);
+            } else {
+                console.warn(`⚠️ Skipping ${TRANSFER_TOOL_NAME} tool: no public base URL known (set PUBLIC_BASE_URL)`);
+            }
+        }
     } else {
         console.log('Tools disabled for this call');
     }
@@ -246,174 +426,62 @@ async function createUltravoxCall(options = {}) {
         callConfig.systemPrompt = `${callConfig.systemPrompt}
 
 Important: You have access to several tools that enhance your capabilities. Always use these tools when relevant to provide accurate and up-to-date information. When using tools:
-1. Use them proactively when relevant to the conversation
-2. Format the information naturally in your responses
-3. Don't mention that you're using a tool - just provide the information
-4. If a tool call fails, gracefully inform the user you're unable to get that information right now
-5. For the hangUp tool, only use it when the user requests to end the call or the conversation has reached a natural conclusion
-6. Before using hangUp, always say "Alrighty, goodbye.." followed by a brief summary or closing statement to the user
 `;
+        const guidelines = [
+            'Use them proactively when relevant to the conversation',
+            'Format the information naturally in your responses',
+            "Don't mention that you're using a tool - just provide the information",
+            "If a tool call fails, gracefully inform the user you're unable to get that information right now",
+            'For the hangUp tool, only use it when the user requests to end the call or the conversation has reached a natural conclusion',
+            'Before using hangUp, always say "Alrighty, goodbye.." followed by a brief summary or closing statement to the user'
+        ];
+        if (callConfig.selectedTools.some(tool => tool.temporaryTool?.modelToolName === DISPOSITION_TOOL_NAME)) {
+            guidelines.push(`Right before using hangUp, use the ${DISPOSITION_TOOL_NAME} tool once to report the outcome of the call and any details the user gave`);
+        }
+        if (callConfig.selectedTools.some(tool => tool.temporaryTool?.modelToolName === TRANSFER_TOOL_NAME)) {
+            guidelines.push(`When the user asks for a person or needs help you cannot give, tell them you are transferring them, then use the ${TRANSFER_TOOL_NAME} tool with a short summary of the call. Do not use hangUp after a transfer`);
+        }
+        callConfig.systemPrompt += guidelines.map((guideline, index) => `${index + 1}. ${guideline}\n`).join('');
     }
 
-    console.log('Final call configuration:', JSON.stringify(callConfig, null, 2));
-
-    return new Promise((resolve, reject) => {
-        // Create HTTPS request
-        const request = https.request(ULTRAVOX_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': ULTRAVOX_API_KEY
-            }
-        });
-
-        let data = '';
-
-        request.on('response', (response) => {
-            console.log(`Ultravox API Status Code: ${response.statusCode}`);
-            
-            response.on('data', chunk => data += chunk);
-            
-            response.on('end', () => {
-                try {
-                    console.log('Ultravox API raw response:', data);
-                    
-                    // Check if response is HTML error page
-                    if (data.includes('<!doctype html>') || data.includes('<html>')) {
-                        console.error('Received HTML error page instead of JSON');
-                        return reject(new Error('Received HTML error page from Ultravox API'));
-                    }
-                    
-                    const parsedData = JSON.parse(data);
-                    
-                    if (!parsedData.joinUrl) {
-                        console.error('Error: Ultravox API did not return a joinUrl', parsedData);
-                        return reject(new Error('Ultravox API did not return a joinUrl'));
-                    }
-                    
-                    console.log(`Successfully got join URL: ${parsedData.joinUrl}`);
-                    resolve(parsedData);
-                } catch (error) {
-                    console.error('Failed to parse Ultravox API response:', error, data);
-                    reject(new Error(`Failed to parse response: ${error.message}`));
-                }
-            });
-        });
+    // Fill {{variables}} in the prompt (which now includes any tool guidelines) and the greeting.
+    // Strict mode throws a TemplateError before anything is sent to Ultravox.
+    const rendered = renderTemplateFields(
+        { systemPrompt: callConfig.systemPrompt, greeting },
+        buildTemplateContext({ variables, call, agentName: agentName || AI_NAME }),
+        { strict: strictVariables ?? (isOutbound && process.env.TEMPLATE_STRICT === 'true') }
+    );
+    callConfig.systemPrompt = rendered.systemPrompt;
+
+    // A greeting means the agent opens the call with exactly that text (not used for voicemail)
+    if (rendered.greeting && !voicemailPrompt) {
+        delete callConfig.firstSpeaker;
+        callConfig.firstSpeakerSettings = { agent: { text: rendered.greeting } };
+    }
 
-        request.on('error', (error) => {
-            console.error('Ultravox API request error:', error);
-            reject(error);
-        });
-        
-        const requestBody = JSON.stringify(callConfig);
-        console.log('Sending request to Ultravox API:', requestBody);
-        request.write(requestBody);
-        request.end();
-    });
+    return callConfig;
 }
 
-// Initialize Telnyx client if using Telnyx provider
-if (VOICE_PROVIDER === 'telnyx' && TELNYX_API_KEY) {
-    // Initialize the Telnyx client with the API key
-    // Note: Using axios for API calls rather than SDK initialization
-    // as the telnyx SDK doesn't have setApiKey method
-    console.log('Using Telnyx API Key for requests');
-}
+// Create Ultravox call and get join URL
+async function createUltravoxCall(options = {}) {
+    const callConfig = await buildUltravoxCallConfig(options);
 
-// Helper function to handle Telnyx media streaming
-async function setupTelnyxMediaStreaming(req, callControlId, options = {}) {
-    try {
-        const {
-            streamUrl,
-            streamTrack = 'both_tracks',
-            streamBidirectionalMode = 'rtp',
-            streamBidirectionalCodec = 'PCMU'
-        } = options;
-
-        console.log(`Setting up Telnyx media streaming for call: ${callControlId}`);
-        console.log(`Stream URL: ${streamUrl}, Stream Track: ${streamTrack}`);
-
-        // Make sure we have a valid URL
-        if (!streamUrl) {
-            throw new Error('Stream URL is required for Telnyx media streaming');
-        }
+    // Tool static parameters may carry credentials
+    console.log('Final call configuration:', JSON.stringify(redactSecrets(callConfig), null, 2));
 
-        // Make API call to start streaming
-        try {
-            const response = await axios({
-                method: 'POST',
-                url: `https://api.telnyx.com/v2/calls/${callControlId}/actions/streaming_start`,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'Authorization': `Bearer ${TELNYX_API_KEY}`
-                },
-                data: {
-                    stream_url: streamUrl,
-                    stream_track: streamTrack,
-                    stream_bidirectional_mode: streamBidirectionalMode,
-                    stream_bidirectional_codec: streamBidirectionalCodec
-                }
-            });
+    console.log('Sending request to Ultravox API...');
+    try {
+        const parsedData = await ultravox.createCall(callConfig);
 
-            console.log('Telnyx streaming started successfully:', response.data);
-            return response.data;
-        } catch (error) {
-            // Check if there's a more specific error message from Telnyx
-            if (error.response && error.response.data && error.response.data.errors) {
-                console.error('Telnyx streaming error details:', JSON.stringify(error.response.data.errors));
-                
-                // If the call isn't ready yet, we might want to retry
-                if (error.response.status === 422) {
-                    console.error('Call may not be in correct state for streaming. If this is a new call, try waiting for call.answered event before streaming.');
-                }
-            }
-            throw error;
+        if (!parsedData.joinUrl) {
+            console.error('Error: Ultravox API did not return a joinUrl', parsedData);
+            throw new Error('Ultravox API did not return a joinUrl');
         }
-    } catch (error) {
-        console.error('Error setting up Telnyx media streaming:', error.message);
-        throw error;
-    }
-}
-
-// Initiates an outbound call using Telnyx
-async function makeTelnyxOutboundCall(options = {}) {
-    try {
-        const {
-            to,
-            from = TELNYX_PHONE_NUMBER,
-            streamUrl,
-            streamTrack = 'both_tracks',
-            answerUrl,
-            statusCallback
-        } = options;
-
-        console.log(`Initiating Telnyx outbound call to ${to} from ${from}`);
-
-        // Create the outbound call
-        const response = await axios({
-            method: 'POST',
-            url: 'https://api.telnyx.com/v2/calls',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'Authorization': `Bearer ${TELNYX_API_KEY}`
-            },
-            data: {
-                to,
-                from,
-                connection_id: TELNYX_APP_ID,
-                stream_url: streamUrl,
-                stream_track: streamTrack,
-                webhook_url: statusCallback,
-                webhook_url_method: 'POST'
-            }
-        });
 
-        console.log('Telnyx outbound call initiated:', response.data);
-        return response.data;
+        console.log(`Successfully got join URL: ${parsedData.joinUrl}`);
+        return parsedData;
     } catch (error) {
-        console.error('Error initiating Telnyx outbound call:', error);
+        console.error('Ultravox API request error:', error.message, error.body || '');
         throw error;
     }
 }
@@ -435,24 +503,407 @@ function generateTelnyxTeXML(options = {}) {
     return texml;
 }
 
+/**
+ * Look up the routing decision for an inbound call and store it on the call record
+ * Outside business hours, calls for the agent get the after-hours action instead.
+ * @param {Object} provider - Provider adapter
+ * @param {Object} call - Parsed inbound call ({ callId, from, to, status })
+ * @returns {Object} - Routing decision ({ action, profile, to, message, reason, route })
+ */
+function routeIncomingCall(provider, call) {
+    const routing = applyBusinessHours(routeInboundCall(call));
+    console.log(`🧭 Routing ${provider.name} call ${call.callId} from ${call.from} to ${call.to}: ${routing.action} (${routing.reason})`);
+
+    recordCall({
+        provider: provider.name,
+        providerCallId: call.callId,
+        direction: 'inbound',
+        from: call.from,
+        to: call.to,
+        profile: routing.profile,
+        status: call.status,
+        source: provider.name,
+        metadata: { routing }
+    });
+    return routing;
+}
+
+/**
+ * TwiML for a Twilio routing decision that does not connect the agent
+ * @param {Object} provider - Twilio provider adapter
+ * @param {Object} routing - Decision whose action is reject, forward or voicemail
+ * @param {string} baseUrl - Public base URL (for voicemail callbacks)
+ * @returns {string} - TwiML document
+ */
+function twilioRoutingTwiml(provider, routing, baseUrl) {
+    switch (routing.action) {
+        case 'forward':
+            return provider.forwardTwiml(routing.to);
+        case 'voicemail':
+            return provider.recordTwiml(routing.message, {
+                maxLength: routing.maxLength,
+                transcribe: routing.transcribe,
+                actionUrl: `${baseUrl}/voicemail/recorded`,
+                transcribeCallbackUrl: `${baseUrl}/voicemail/transcription`
+            });
+        default:
+            return provider.rejectTwiml(routing.message);
+    }
+}
+
+/**
+ * Carry out a routing decision that does not connect the agent on an answered Telnyx call
+ * Messages are spoken first; call.speak.ended then hangs up or starts the voicemail recording.
+ * @param {string} callControlId - Call control ID
+ * @param {Object} routing - Decision whose action is reject, forward or voicemail
+ */
+async function applyTelnyxRouting(callControlId, routing) {
+    const provider = getProvider('telnyx');
+    await provider.stopAudio(callControlId);
+    if (routing.action === 'forward') {
+        await provider.forward(callControlId, routing.to);
+    } else if (routing.message) {
+        await provider.speak(callControlId, routing.message);
+    } else {
+        await provider.hangup(callControlId);
+    }
+}
+
+/**
+ * Connect a caller who waited in the hold queue to the agent
+ * @param {Object} entry - Queue entry ({ callId, provider, call, routing, baseUrl })
+ */
+async function connectQueuedCall(entry) {
+    const provider = getProvider(entry.provider);
+    const response = await createInboundUltravoxCall(provider, { ...entry.call, status: 'in-progress' }, {
+        profile: entry.routing.profile,
+        baseUrl: entry.baseUrl
+    });
+    if (provider.name === 'telnyx') {
+        await provider.stopAudio(entry.callId);
+    }
+    await provider.startStream(entry.callId, { joinUrl: response.joinUrl, baseUrl: entry.baseUrl });
+}
+
+/**
+ * Give a queued caller the overflow action (queue full or waited too long)
+ * @param {Object} entry - Queue entry ({ callId, provider, call, routing, baseUrl })
+ * @param {Object} decision - Overflow routing decision
+ */
+async function overflowQueuedCall(entry, decision) {
+    updateCall(entry.callId, { metadata: { routing: decision } });
+    const provider = getProvider(entry.provider);
+    if (provider.name === 'telnyx') {
+        await applyTelnyxRouting(entry.callId, decision);
+    } else {
+        await provider.redirect(entry.callId, twilioRoutingTwiml(provider, decision, entry.baseUrl));
+    }
+}
+
+// Create the Ultravox session for an inbound call and record it in the call registry
+async function createInboundUltravoxCall(provider, call, options = {}) {
+    console.log(`🔍 Verifying RAG configuration for incoming ${provider.name} call...`);
+    let corpusReady = false;
+    if (ULTRAVOX_CORPUS_ID) {
+        try {
+            corpusReady = await verifyCorpusStatus();
+            console.log('Corpus ready status:', corpusReady);
+        } catch (error) {
+            console.error('Error checking corpus:', error);
+        }
+    }
+
+    console.log(`Setting up incoming ${provider.name} call ${call.callId} with${corpusReady ? '' : 'out'} RAG support...`);
+
+    const response = await createUltravoxCall({
+        ...options,
+        isOutbound: false,
+        medium: provider.getMedium(),
+        call: { ...call, provider: provider.name }
+    });
+
+    if (!response || !response.joinUrl) {
+        throw new Error('Failed to get a valid join URL from Ultravox');
+    }
+
+    recordCall({
+        provider: provider.name,
+        providerCallId: call.callId,
+        ultravoxCallId: response.callId,
+        direction: 'inbound',
+        from: call.from,
+        to: call.to,
+        profile: options.profile || process.env.DEFAULT_INBOUND_PROFILE || null,
+        status: call.status,
+        source: provider.name
+    });
+
+    return response;
+}
+
+/**
+ * Forward a key the caller pressed on a Telnyx call to its agent
+ * Telnyx posts these to /telnyx-webhook (or /incoming) for inbound calls and to
+ * /call-status for calls we dialed.
+ * The payload is not logged: digits may be a PIN.
+ * @param {Object} event - Telnyx call.dtmf.received event (the webhook's `data`)
+ */
+function handleTelnyxDtmf(event) {
+    const { callId } = getProvider('telnyx').parseInboundCall(event);
+    const digit = event.payload?.digit || '';
+    const forwarded = forwardDtmf(callId, digit);
+    console.log(`Telnyx DTMF received on call ${callId}: ${formatDigitsForLog(digit)}${forwarded ? '' : ' (not forwarded)'}`);
+}
+
+// Handle a Telnyx Call Control event (delivered to /telnyx-webhook, or to /incoming
+// when that is configured as the Telnyx webhook URL)
+async function handleTelnyxEvent(event, req) {
+    // Legs we dialed for a call transfer are not calls of their own
+    if (await handleTelnyxTransferEvent(event)) return;
+
+    const provider = getProvider('telnyx');
+    const call = provider.parseInboundCall(event);
+    const statusEvent = provider.parseStatusEvent({ data: event });
+
+    if (event.event_type === 'call.initiated') {
+        recordCall({
+            provider: provider.name,
+            providerCallId: call.callId,
+            direction: call.direction,
+            from: call.from,
+            to: call.to,
+            status: 'initiated',
+            source: provider.name
+        });
+    } else if (statusEvent) {
+        updateCallStatus(statusEvent.callId, statusEvent.status, {
+            source: provider.name,
+            providerStatus: statusEvent.providerStatus
+        });
+    }
+
+    switch (event.event_type) {
+        case 'call.initiated': {
+            console.log('Telnyx call initiated:', event.payload);
+            // Outbound calls we dialed ourselves are already being answered by the callee
+            if (call.direction !== 'inbound') break;
+
+            const routing = routeIncomingCall(provider, call);
+            if (routing.action === 'forward') {
+                await provider.forward(call.callId, routing.to);
+            } else if (routing.action === 'reject' && !routing.message) {
+                await provider.reject(call.callId);
+            } else {
+                // Agent calls, and rejections that say something first, need the call answered
+                await provider.answer(call.callId);
+            }
+            break;
+        }
+
+        case 'call.answered': {
+            console.log('Telnyx call answered:', event.payload);
+            // Outbound calls were given their stream when dialed
+            if (call.direction !== 'inbound') break;
+
+            const routing = findCall(call.callId)?.metadata?.routing;
+            if (routing?.action === 'reject') {
+                await provider.speak(call.callId, routing.message);
+                break;
+            }
+            if (routing?.action === 'voicemail') {
+                // Recording starts once the greeting has been read out (call.speak.ended)
+                await provider.speak(call.callId, routing.message);
+                break;
+            }
+
+            // Over the concurrency cap: hold the caller until a slot frees up
+            if (!acquireSlot(call.callId)) {
+                const queued = enqueueCaller({
+                    callId: call.callId,
+                    provider: provider.name,
+                    call,
+                    routing: routing || {},
+                    baseUrl: getPublicBaseUrl(req)
+                });
+                if (queued.error) {
+                    updateCall(call.callId, { metadata: { routing: queued.overflow } });
+                    await applyTelnyxRouting(call.callId, queued.overflow);
+                    break;
+                }
+                // Hold music starts once the queue message has been read out (call.speak.ended)
+                const { message, holdAudioUrl } = getQueueSettings();
+                if (message) {
+                    await provider.speak(call.callId, message);
+                } else {
+                    await provider.playAudio(call.callId, holdAudioUrl, { loop: true });
+                }
+                break;
+            }
+
+            try {
+                const response = await createInboundUltravoxCall(provider, { ...call, status: 'in-progress' }, {
+                    profile: routing?.profile,
+                    baseUrl: getPublicBaseUrl(req)
+                });
+                await provider.startStream(call.callId, {
+                    joinUrl: response.joinUrl,
+                    baseUrl: getPublicBaseUrl(req)
+                });
+            } catch (error) {
+                releaseSlot(call.callId);
+                throw error;
+            }
+            console.log('Successfully connected Telnyx call to Ultravox');
+            break;
+        }
+
+        case 'call.hangup':
+            console.log('Telnyx call hung up:', event.payload);
+            break;
+
+        case 'call.playback.started':
+            console.log('Telnyx playback started:', event.payload);
+            break;
+
+        case 'call.playback.ended':
+            console.log('Telnyx playback ended:', event.payload);
+            break;
+
+        case 'call.recording.saved': {
+            const routing = findCall(call.callId)?.metadata?.routing;
+            if (routing?.action !== 'voicemail') break;
+
+            const { recording_urls: urls = {}, recording_started_at: startedAt, recording_ended_at: endedAt } = event.payload;
+            saveVoicemail(call.callId, {
+                status: 'recorded',
+                recordingUrl: urls.mp3 || urls.wav || null,
+                durationSeconds: startedAt && endedAt ? Math.round((Date.parse(endedAt) - Date.parse(startedAt)) / 1000) : null,
+                recordedAt: new Date().toISOString()
+            }, 'voicemail.recorded');
+            // Recording stops at max_length or when the caller hangs up; either way the call is done
+            await provider.hangup(call.callId).catch(() => {});
+            break;
+        }
+
+        case 'call.recording.transcription.saved':
+            saveVoicemail(call.callId, {
+                transcription: event.payload?.transcription_text || '',
+                transcriptionStatus: 'completed'
+            }, 'voicemail.transcribed');
+            break;
+
+        case 'call.speak.started':
+            console.log('Telnyx speak started:', event.payload);
+            break;
+
+        case 'call.speak.ended': {
+            console.log('Telnyx speak ended:', event.payload);
+            // A rejection message, or the message that a transfer went unanswered, has been read out; end the call
+            const record = findCall(call.callId);
+            if (record?.metadata?.routing?.action === 'reject' || ['no-answer', 'failed'].includes(record?.transfer?.status)) {
+                await provider.hangup(call.callId);
+            } else if (isQueued(call.callId)) {
+                // The queue message has been read out; hold music until a slot frees up
+                await provider.playAudio(call.callId, getQueueSettings().holdAudioUrl, { loop: true });
+            } else if (record?.metadata?.routing?.action === 'voicemail' && !record.voicemail) {
+                // The voicemail greeting has been read out; record after the beep
+                const { maxLength, transcribe } = record.metadata.routing;
+                await provider.startRecording(call.callId, { maxLength, transcribe });
+                saveVoicemail(call.callId, { status: 'recording' });
+            }
+            break;
+        }
+
+        case 'call.dtmf.received':
+            handleTelnyxDtmf(event);
+            break;
+
+        case 'streaming.started':
+            console.log('Telnyx streaming started:', event.payload);
+            break;
+
+        case 'streaming.stopped':
+            console.log('Telnyx streaming stopped:', event.payload);
+            releaseSlot(call.callId);
+            break;
+
+        default:
+            console.log(`Unhandled Telnyx event type: ${event.event_type}`);
+    }
+}
+
+// Inbound routing table API
+app.get('/inbound-routes', (req, res) => {
+    res.json(getRoutingTable());
+});
+
+app.put('/inbound-routes', (req, res) => {
+    const errors = validateRoutingTable(req.body);
+    if (errors.length === 0) {
+        // A route to a missing profile would fail every call it matches
+        listRoutedProfiles(req.body)
+            .filter(name => !getProfile(name))
+            .forEach(name => errors.push(`profile "${name}" does not exist`));
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid routing table', details: errors });
+    }
+    res.json(saveRoutingTable(req.body));
+});
+
+// Preview the routing decision for a dialed number and caller ID, at `at` (default: now)
+app.get('/inbound-routes/match', (req, res) => {
+    const { to, from, at } = req.query;
+    if (!to) {
+        return res.status(400).json({ error: 'to is required' });
+    }
+    const date = at ? new Date(at) : new Date();
+    if (isNaN(date)) {
+        return res.status(400).json({ error: 'at must be an ISO 8601 date/time' });
+    }
+    res.json(applyBusinessHours(routeInboundCall({ to, from }), date));
+});
+
+// The business hours schedule and whether the line is open at `at` (default: now)
+app.get('/business-hours', (req, res) => {
+    const date = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(date)) {
+        return res.status(400).json({ error: 'at must be an ISO 8601 date/time' });
+    }
+    res.json({ config: getBusinessHours(), ...checkBusinessHours(date) });
+});
+
+// Concurrency slots in use and the callers waiting for one
+app.get('/queue', (req, res) => {
+    res.json(getQueueStatus());
+});
+
+// What Twilio plays to callers waiting in the hold queue (the <Enqueue> waitUrl)
+app.post('/queue/wait', validateTwilioWebhook(), (req, res) => {
+    const { message, holdAudioUrl } = getQueueSettings();
+    res.type('text/xml');
+    res.send(getProvider('twilio').holdTwiml({ message, audioUrl: holdAudioUrl }));
+});
+
 // Add this before the other route definitions
 app.get('/health', (req, res) => {
+    const services = { ultravox: !!ULTRAVOX_API_KEY };
+    for (const name of listProviders()) {
+        services[name] = getProvider(name).isConfigured();
+    }
+
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: process.env.npm_package_version || '1.0.0',
-        services: {
-            twilio: !!TWILIO_AUTH_TOKEN && !!TWILIO_PHONE_NUMBER,
-            telnyx: !!TELNYX_API_KEY && !!TELNYX_PHONE_NUMBER,
-            ultravox: !!ULTRAVOX_API_KEY
-        },
-        active_provider: VOICE_PROVIDER
+        services,
+        active_provider: DEFAULT_PROVIDER
     });
 });
 
 // Home route with basic information
 app.get('/', (req, res) => {
-    res.send(`Ultravox Voice Integration Server. Using ${VOICE_PROVIDER.toUpperCase()} as the provider. Use /incoming for incoming calls and /outgoing for outgoing calls.`);
+    res.send(`Ultravox Voice Integration Server. Using ${DEFAULT_PROVIDER.toUpperCase()} as the default provider. Use /incoming for incoming calls and /outgoing for outgoing calls.`);
 });
 
 // UI Configuration endpoint
@@ -460,290 +911,93 @@ app.get('/config', (req, res) => {
     res.json({
         logoUrl: UI_LOGO_URL,
         appName: UI_APP_NAME,
-        provider: VOICE_PROVIDER.toUpperCase()
+        provider: DEFAULT_PROVIDER.toUpperCase(),
+        providers: listProviders().filter(name => getProvider(name).isConfigured())
     });
 });
 
 // Update the incoming call handler for both Twilio and Telnyx
-app.post('/incoming', async (req, res) => {
-    try {
-        console.log('📞 Incoming call received:', req.body);
-        
-        // Handle differently based on the provider
-        if (VOICE_PROVIDER === 'telnyx') {
-            // Telnyx incoming call handling
-            // Note: Telnyx sends events via webhooks, so this endpoint
-            // will only be triggered if configured as a webhook URL
-            
-            // Check if this is a webhook event
-            const event = req.body.data;
-            if (event) {
-                console.log(`Received Telnyx event: ${event.event_type}`);
-                
-                // Different handling based on event type
-                if (event.event_type === 'call.initiated') {
-                    const callControlId = event.payload.call_control_id;
-                    const caller = event.payload.from;
-                    
-                    console.log(`Telnyx incoming call from ${caller} with call control ID: ${callControlId}`);
-                    
-                    // Answer the call first
-                    try {
-                        await axios({
-                            method: 'POST',
-                            url: `https://api.telnyx.com/v2/calls/${callControlId}/actions/answer`,
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'Accept': 'application/json',
-                                'Authorization': `Bearer ${TELNYX_API_KEY}`
-                            },
-                            data: {}
-                        });
-                        console.log(`Answered call with control ID: ${callControlId}`);
-                    } catch (error) {
-                        console.error('Error answering Telnyx call:', error.message);
-                    }
-                    
-                    // Return 200 immediately to acknowledge receipt
-                    res.status(200).json({ success: true, message: 'Call initiated and answer command sent' });
-                } 
-                else if (event.event_type === 'call.answered') {
-                    const callControlId = event.payload.call_control_id;
-                    console.log(`Telnyx call answered with control ID: ${callControlId}`);
-                    
-                    console.log('🔍 Verifying RAG configuration for incoming Telnyx call...');
-                    let corpusReady = false;
-                    if (ULTRAVOX_CORPUS_ID) {
-                        try {
-                            corpusReady = await verifyCorpusStatus();
-                            console.log('Corpus ready status:', corpusReady);
-                        } catch (error) {
-                            console.error('Error checking corpus:', error);
-                        }
-                    }
-                    
-                    console.log(`Setting up incoming Telnyx call ${callControlId} with${corpusReady ? '' : 'out'} RAG support...`);
-                    
-                    // Create Ultravox call
-                    const response = await createUltravoxCall({
-                        isOutbound: false,
-                        systemPrompt: process.env.INBOUND_SYSTEM_PROMPT,
-                        agentName: AI_NAME
-                    });
-
-                    if (!response || !response.joinUrl) {
-                        throw new Error('Failed to get a valid join URL from Ultravox');
-                    }
-                    
-                    // Get the hostname to build websocket URL
-                    const hostname = req.get('host');
-                    const protocol = req.protocol === 'https' ? 'wss' : 'ws';
-                    
-                    // Set up media streaming with Telnyx using our own websocket server
-                    try {
-                        await setupTelnyxMediaStreaming({
-                            protocol: 'https',
-                            get: (key) => key === 'host' ? 'localhost:' + PORT : ''
-                        }, callControlId, {
-                            streamUrl: response.joinUrl,
-                            streamTrack: 'both_tracks'
-                        });
-                        
-                        console.log(`Successfully connected Telnyx call to Ultravox`);
-                    } catch (error) {
-                        console.error('Error setting up Telnyx streaming:', error.message);
-                        // If streaming fails, we may still want to continue the call
-                        // Consider adding fallback logic here
-                    }
-                    
-                    // Return 200 to acknowledge receipt
-                    res.status(200).json({ success: true, message: 'Call answered and streaming started' });
-                } 
-                else {
-                    // For other event types, just acknowledge receipt
-                    console.log(`Received other Telnyx event: ${event.event_type}`);
-                    res.status(200).json({ success: true });
-                }
-            } else {
-                // If not a proper Telnyx event
-                console.log('Received malformed Telnyx webhook event');
-                res.status(400).json({ success: false, message: 'Malformed event' });
-            }
-        } else {
-            // Default Twilio incoming call handling
-            const caller = req.body.From;
-            const callSid = req.body.CallSid;
-
-            console.log('🔍 Verifying RAG configuration for incoming Twilio call...');
-            
-            // Verify corpus status before proceeding
-            let corpusReady = false;
-            if (ULTRAVOX_CORPUS_ID) {
-                try {
-                    corpusReady = await verifyCorpusStatus();
-                    console.log('Corpus ready status:', corpusReady);
-                } catch (error) {
-                    console.error('Error checking corpus:', error);
-                }
-            }
+app.post('/incoming', validateProviderWebhook(), async (req, res) => {
+    const provider = detectProvider(req);
 
-            console.log(`Setting up incoming Twilio call ${callSid} with${corpusReady ? '' : 'out'} RAG support...`);
+    if (provider.name === 'telnyx') {
+        // Telnyx sends call events here when /incoming is configured as its webhook URL.
+        // Acknowledge right away; Telnyx retries webhooks that are slow to respond.
+        const event = req.body.data;
+        console.log(`Received Telnyx event: ${event.event_type}`);
+        res.status(200).json({ success: true });
 
-            const response = await createUltravoxCall({
-                isOutbound: false,
-                systemPrompt: process.env.INBOUND_SYSTEM_PROMPT,
-                agentName: AI_NAME
-            });
+        handleTelnyxEvent(event, req).catch(error => {
+            console.error('❌ Error handling incoming Telnyx call:', error);
+        });
+        return;
+    }
 
-            if (!response || !response.joinUrl) {
-                throw new Error('Failed to get a valid join URL from Ultravox');
-            }
+    // Twilio answers with the TwiML we return
+    console.log('📞 Incoming call received:', req.body);
+    try {
+        const call = provider.parseInboundCall(req.body);
+        const routing = routeIncomingCall(provider, call);
 
-            console.log(`Successfully configured incoming call ${callSid} with RAG support`);
+        if (routing.action !== 'agent') {
+            res.type('text/xml');
+            return res.send(twilioRoutingTwiml(provider, routing, getPublicBaseUrl(req)));
+        }
 
-            const twiml = new twilio.twiml.VoiceResponse();
-            const connect = twiml.connect();
-            connect.stream({
-                url: response.joinUrl,
-                name: 'ultravox'
+        // Over the concurrency cap: hold the caller until a slot frees up
+        if (!acquireSlot(call.callId)) {
+            const queued = enqueueCaller({
+                callId: call.callId,
+                provider: provider.name,
+                call,
+                routing,
+                baseUrl: getPublicBaseUrl(req)
             });
-
-            console.log(`Sending connect TwiML for call ${callSid}:`, twiml.toString());
             res.type('text/xml');
-            res.send(twiml.toString());
+            if (queued.error) {
+                updateCall(call.callId, { metadata: { routing: queued.overflow } });
+                return res.send(twilioRoutingTwiml(provider, queued.overflow, getPublicBaseUrl(req)));
+            }
+            return res.send(provider.enqueueTwiml(QUEUE_NAME, { waitUrl: `${getPublicBaseUrl(req)}/queue/wait` }));
         }
-    } catch (error) {
-        console.error('❌ Error handling incoming call:', error);
-        
-        if (VOICE_PROVIDER === 'telnyx') {
-            // For Telnyx, return a JSON error response
-            res.status(500).json({
-                success: false,
-                error: 'Failed to process incoming call',
-                message: error.message
+
+        // The connect TwiML answers the call, so it is live from here on (and can be transferred)
+        let response;
+        try {
+            response = await createInboundUltravoxCall(provider, { ...call, status: 'in-progress' }, {
+                profile: routing.profile,
+                baseUrl: getPublicBaseUrl(req)
             });
-        } else {
-            // For Twilio, return a TwiML response
-            const twiml = new twilio.twiml.VoiceResponse();
-            twiml.say('Sorry, there was an error processing your call.');
-            res.type('text/xml');
-            res.send(twiml.toString());
+        } catch (error) {
+            releaseSlot(call.callId);
+            throw error;
         }
+
+        console.log(`Successfully configured incoming call ${call.callId} with RAG support`);
+
+        const twiml = provider.connectTwiml(response.joinUrl, { baseUrl: getPublicBaseUrl(req), callId: call.callId });
+        console.log(`Sending connect TwiML for call ${call.callId}:`, twiml);
+        res.type('text/xml');
+        res.send(twiml);
+    } catch (error) {
+        console.error('❌ Error handling incoming call:', error);
+        res.type('text/xml');
+        res.send(provider.errorTwiml('Sorry, there was an error processing your call.'));
     }
 });
 
 // Telnyx webhook endpoints
-app.post('/telnyx-webhook', (req, res) => {
-    try {
-        const event = req.body.data;
-        console.log('Received Telnyx webhook event:', event ? event.event_type : 'Unknown event');
-        
-        // Handle the webhook event based on its type
-        if (event && event.event_type) {
-            switch (event.event_type) {
-                case 'call.initiated':
-                    console.log('Telnyx call initiated:', event.payload);
-                    
-                    // Answer the call automatically
-                    try {
-                        const callControlId = event.payload.call_control_id;
-                        axios({
-                            method: 'POST',
-                            url: `https://api.telnyx.com/v2/calls/${callControlId}/actions/answer`,
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'Accept': 'application/json',
-                                'Authorization': `Bearer ${TELNYX_API_KEY}`
-                            },
-                            data: {}
-                        }).then(() => {
-                            console.log(`Answered call with control ID: ${callControlId}`);
-                        }).catch(err => {
-                            console.error('Error answering call from webhook:', err.message);
-                        });
-                    } catch (error) {
-                        console.error('Error processing call.initiated event:', error.message);
-                    }
-                    break;
-                    
-                case 'call.answered':
-                    console.log('Telnyx call answered:', event.payload);
-                    
-                    // Set up Ultravox call and streaming
-                    try {
-                        const callControlId = event.payload.call_control_id;
-                        
-                        // Create an Ultravox call asynchronously
-                        createUltravoxCall({
-                            isOutbound: false,
-                            systemPrompt: process.env.INBOUND_SYSTEM_PROMPT,
-                            agentName: AI_NAME
-                        }).then(response => {
-                            if (!response || !response.joinUrl) {
-                                console.error('Failed to get a valid join URL from Ultravox');
-                                return;
-                            }
-                            
-                            // Set up streaming with the Ultravox join URL
-                            return setupTelnyxMediaStreaming({
-                                protocol: 'https',
-                                get: (key) => key === 'host' ? 'localhost:' + PORT : ''
-                            }, callControlId, {
-                                streamUrl: response.joinUrl,
-                                streamTrack: 'both_tracks'
-                            });
-                        }).then(streamingResponse => {
-                            console.log('Successfully set up streaming from webhook');
-                        }).catch(err => {
-                            console.error('Error setting up streaming from webhook:', err.message);
-                        });
-                    } catch (error) {
-                        console.error('Error processing call.answered event:', error.message);
-                    }
-                    break;
-                    
-                case 'call.hangup':
-                    console.log('Telnyx call hung up:', event.payload);
-                    break;
-                    
-                case 'call.playback.started':
-                    console.log('Telnyx playback started:', event.payload);
-                    break;
-                    
-                case 'call.playback.ended':
-                    console.log('Telnyx playback ended:', event.payload);
-                    break;
-                    
-                case 'call.speak.started':
-                    console.log('Telnyx speak started:', event.payload);
-                    break;
-                    
-                case 'call.speak.ended':
-                    console.log('Telnyx speak ended:', event.payload);
-                    break;
-                    
-                case 'call.dtmf.received':
-                    console.log('Telnyx DTMF received:', event.payload);
-                    break;
-                    
-                case 'streaming.started':
-                    console.log('Telnyx streaming started:', event.payload);
-                    break;
-                    
-                case 'streaming.stopped':
-                    console.log('Telnyx streaming stopped:', event.payload);
-                    break;
-                    
-                default:
-                    console.log(`Unhandled Telnyx event type: ${event.event_type}`);
-            }
-        }
-        
-        // Acknowledge receipt of the webhook
-        res.status(200).json({ success: true });
-    } catch (error) {
-        console.error('Error handling Telnyx webhook:', error);
-        res.status(500).json({ success: false, error: error.message });
+app.post('/telnyx-webhook', validateTelnyxWebhook(), (req, res) => {
+    const event = req.body.data;
+    console.log('Received Telnyx webhook event:', event ? event.event_type : 'Unknown event');
+
+    // Acknowledge receipt of the webhook before doing any slow work
+    res.status(200).json({ success: true });
+
+    if (event && event.event_type) {
+        handleTelnyxEvent(event, req).catch(error => {
+            console.error('Error handling Telnyx webhook:', error);
+        });
     }
 });
 
@@ -753,112 +1007,302 @@ app.get('/stream-ws', (req, res) => {
 });
 
 // Stream status endpoint
-app.post('/stream-status', (req, res) => {
+app.post('/stream-status', validateTwilioWebhook(), (req, res) => {
     console.log('Stream status update:', req.body);
+    if (req.body.CallSid && req.body.StreamEvent) {
+        updateCall(req.body.CallSid, {
+            metadata: {
+                streamStatus: req.body.StreamEvent,
+                streamError: req.body.StreamError
+            }
+        });
+        // Without a status callback on the number, this is how we learn an inbound call ended
+        if (req.body.StreamEvent === 'stream-stopped') {
+            // The agent has left, whether the caller hung up or was transferred
+            releaseSlot(req.body.CallSid);
+            reconcileCallSoon(req.body.CallSid);
+        }
+    }
     res.sendStatus(200);
 });
 
 // API to initiate outgoing calls
-app.post('/outgoing', async (req, res) => {
-    try {
-        const { 
-            destinationNumber, 
-            systemPrompt,
-            voiceId,
-            corpusId,
-            tools: requestedTools,
-            agentName
-        } = req.body;
-        
-        if (!destinationNumber) {
-            return res.status(400).json({ error: 'Destination phone number is required' });
-        }
-        
-        // Check if we have the required credentials based on the active provider
-        if (VOICE_PROVIDER === 'telnyx') {
-            if (!TELNYX_API_KEY || !TELNYX_PHONE_NUMBER || !TELNYX_APP_ID) {
-                return res.status(500).json({ 
-                    error: 'Telnyx credentials not properly configured. Check TELNYX_API_KEY, TELNYX_PHONE_NUMBER, and TELNYX_APP_ID in .env file.' 
-                });
-            }
-        } else {
-            // Default to Twilio
-            if (!TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
-                return res.status(500).json({ 
-                    error: 'Twilio credentials not properly configured. Check TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER in .env file.' 
-                });
-            }
+/**
+ * Check the options of an outbound call request before dialing
+ * @param {Object} options - /outgoing request body (destinationNumber is not checked)
+ * @returns {Object} - { provider } or { status, error, details } describing the problem
+ */
+function checkOutboundOptions(options = {}) {
+    const {
+        systemPrompt,
+        voiceId,
+        corpusId,
+        tools: requestedTools,
+        agentName,
+        temperature,
+        firstSpeaker,
+        greeting,
+        variables,
+        strictVariables,
+        profile: profileName,
+        provider: providerName = DEFAULT_PROVIDER,
+        machineDetection
+    } = options;
+
+    if (profileName && !getProfile(profileName)) {
+        return { status: 400, error: `Unknown agent profile "${profileName}"` };
+    }
+
+    // Per-request overrides must be valid profile fields
+    const overrideErrors = validateProfile({
+        systemPrompt: systemPrompt || undefined,
+        voiceId: voiceId || undefined,
+        corpusId,
+        tools: requestedTools,
+        agentName: agentName || undefined,
+        temperature,
+        firstSpeaker: firstSpeaker || undefined,
+        greeting,
+        variables,
+        strictVariables
+    });
+    overrideErrors.push(...validateMachineDetection(machineDetection));
+    if (overrideErrors.length > 0) {
+        return { status: 400, error: 'Invalid call configuration', details: overrideErrors };
+    }
+
+    const provider = getProvider(providerName);
+    if (!provider) {
+        return {
+            status: 400,
+            error: `Unknown provider "${providerName}". Supported providers: ${listProviders().join(', ')}`
+        };
+    }
+
+    // Check if we have the required credentials for the selected provider
+    const missingConfig = provider.getConfigWarnings();
+    if (missingConfig.length > 0) {
+        return {
+            status: 500,
+            error: `${provider.name} credentials not properly configured: ${missingConfig.join('; ')}`
+        };
+    }
+
+    return { provider };
+}
+
+/**
+ * Create the Ultravox call, dial the number and record the call
+ * @param {Object} options - /outgoing request body plus `baseUrl` and optional registry `metadata`
+ * @returns {Promise<Object>} - { callId, recordId, provider, settings }
+ */
+async function placeOutboundCall(options) {
+    const {
+        destinationNumber,
+        tools: requestedTools,
+        provider: providerName = DEFAULT_PROVIDER,
+        variables,
+        baseUrl,
+        metadata = {}
+    } = options;
+    const provider = getProvider(providerName);
+
+    console.log(`Creating Ultravox call for ${destinationNumber} via ${provider.name}...`);
+
+    // Create an Ultravox call from the profile plus any per-request overrides
+    const callOptions = {
+        profile: options.profile,
+        systemPrompt: options.systemPrompt,
+        isOutbound: true,
+        voiceId: options.voiceId,
+        corpusId: options.corpusId,
+        toolNames: requestedTools,
+        agentName: options.agentName,
+        temperature: options.temperature,
+        firstSpeaker: options.firstSpeaker,
+        greeting: options.greeting,
+        variables,
+        strictVariables: options.strictVariables
+    };
+    const settings = resolveCallSettings(callOptions);
+    const ultravoxOptions = {
+        ...callOptions,
+        baseUrl,
+        medium: provider.getMedium(),
+        call: {
+            from: provider.getPhoneNumber(),
+            to: destinationNumber,
+            direction: 'outbound',
+            provider: provider.name
         }
+    };
+
+    // With detection on, the agent session is only created once the provider says who answered,
+    // so its join URL cannot expire while the phone rings; template errors still fail before dialing
+    const detection = resolveMachineDetection(options.machineDetection);
+    let ultravoxResponse = null;
+    if (detection) {
+        await buildUltravoxCallConfig(ultravoxOptions);
+    } else {
+        ultravoxResponse = await createUltravoxCall(ultravoxOptions);
 
-        console.log(`Creating Ultravox call for ${destinationNumber}...`);
-        
-        // Create an Ultravox call with custom configuration
-        const ultravoxResponse = await createUltravoxCall({
-            systemPrompt: systemPrompt,
-            isOutbound: true,
-            voiceId: voiceId,
-            corpusId: corpusId,
-            toolNames: requestedTools,
-            agentName: agentName
-        });
-        
         if (!ultravoxResponse || !ultravoxResponse.joinUrl) {
             throw new Error('Failed to get a valid join URL from Ultravox');
         }
-        
+
         console.log(`Got Ultravox join URL: ${ultravoxResponse.joinUrl}`);
-        
-        let callId;
-        const statusCallbackUrl = `${req.protocol}://${req.get('host')}/call-status`;
-        
-        if (VOICE_PROVIDER === 'telnyx') {
-            // Make call using Telnyx
-            console.log(`Initiating Telnyx outbound call to ${destinationNumber}...`);
-            
-            const telnyxResponse = await makeTelnyxOutboundCall({
-                to: destinationNumber,
-                from: TELNYX_PHONE_NUMBER,
-                streamUrl: ultravoxResponse.joinUrl,
-                statusCallback: statusCallbackUrl
-            });
-            
-            if (!telnyxResponse || !telnyxResponse.data || !telnyxResponse.data.call_control_id) {
-                throw new Error('Failed to initiate call with Telnyx');
-            }
-            
-            callId = telnyxResponse.data.call_control_id;
-            console.log(`Outbound Telnyx call initiated with call control ID: ${callId}`);
-        } else {
-            // Make call using Twilio (default)
-            const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
-            
-            // Make the call with direct Ultravox connection
-            const call = await client.calls.create({
-                twiml: `<Response><Connect><Stream url="${ultravoxResponse.joinUrl}"/></Connect></Response>`,
-                to: destinationNumber,
-                from: TWILIO_PHONE_NUMBER,
-                statusCallback: statusCallbackUrl,
-                statusCallbackMethod: 'POST'
-            });
+    }
+
+    const { callId, from } = await provider.dial({
+        to: destinationNumber,
+        joinUrl: ultravoxResponse?.joinUrl,
+        baseUrl,
+        statusCallbackUrl: `${baseUrl}/call-status`,
+        machineDetection: detection && {
+            waitForBeep: detection.waitForBeep,
+            answerUrl: `${baseUrl}/machine-detection/twilio`
+        }
+    });
+    if (detection) {
+        registerPendingCall(callId, { settings: detection, options: ultravoxOptions });
+    }
+
+    const callRecord = recordCall({
+        provider: provider.name,
+        providerCallId: callId,
+        ultravoxCallId: ultravoxResponse?.callId,
+        direction: 'outbound',
+        from,
+        to: destinationNumber,
+        profile: settings.profile,
+        status: 'initiated',
+        metadata: {
+            ...metadata,
+            agentName: settings.agentName || AI_NAME,
+            ...(variables ? { variables } : {})
+        }
+    });
+    if (detection) {
+        updateCall(callRecord.id, { machineDetection: { status: 'pending', action: detection.action } });
+    }
+    // Outbound calls count towards MAX_CONCURRENT_CALLS but are not held back
+    acquireSlot(callRecord.id, { force: true });
+
+    return { callId, recordId: callRecord.id, provider, settings };
+}
+
+/**
+ * Decide what happens to an outbound call once machine detection has a result
+ * People (and undecided results) are connected to the agent; machines get the
+ * call's voicemail action; fax machines are hung up on. The Ultravox call is
+ * only created here, for the calls that need an agent. The result is stored
+ * on the call record.
+ * @param {string} providerCallId - Twilio Call SID or Telnyx call control ID
+ * @param {string} answeredBy - The provider's detection result
+ * @param {Object} details - { durationMs } (how long detection took, if known)
+ * @returns {Promise<Object>} - { handledAs: 'connect'|'agent'|'hangup'|'message', joinUrl, baseUrl, message, audioUrl }
+ */
+async function resolveAnsweredCall(providerCallId, answeredBy, { durationMs } = {}) {
+    const pending = takePendingCall(providerCallId);
+    const result = classifyAnsweredBy(answeredBy);
+    const record = (patch) => recordDetection(providerCallId, {
+        status: 'complete',
+        result,
+        answeredBy,
+        ...(durationMs !== undefined ? { durationMs } : {}),
+        detectedAt: new Date().toISOString(),
+        ...patch
+    });
+
+    if (!pending) {
+        // Dial details are gone (server restart or expired): nothing to connect to
+        console.warn(`📼 No pending call ${providerCallId} for detection result ${answeredBy}, hanging up`);
+        record({ handledAs: 'hangup' });
+        return { handledAs: 'hangup' };
+    }
 
-            callId = call.sid;
-            console.log(`Outbound Twilio call initiated with SID: ${callId}`);
+    const { settings, options } = pending;
+    const baseUrl = options.baseUrl;
+
+    // Start the agent session now that we know it is needed
+    const startAgent = async (handledAs, extraOptions = {}) => {
+        try {
+            const ultravoxCall = await createUltravoxCall({ ...options, ...extraOptions });
+            updateCall(providerCallId, { ultravoxCallId: ultravoxCall.callId });
+            return { handledAs, joinUrl: ultravoxCall.joinUrl, baseUrl };
+        } catch (error) {
+            console.error(`📼 Could not start the agent for call ${providerCallId}:`, error.message);
+            return { handledAs: 'hangup' };
         }
+    };
+
+    let decision;
+    if (result === 'human' || result === 'unknown') {
+        decision = await startAgent('connect');
+    } else if (result === 'fax' || settings.action === 'hangup') {
+        decision = { handledAs: 'hangup' };
+    } else if (settings.action === 'message') {
+        const { variables, agentName } = resolveCallSettings(options);
+        const { message } = settings.audioUrl ? {} : renderTemplateFields(
+            { message: settings.message },
+            buildTemplateContext({ variables, call: options.call, agentName: agentName || AI_NAME })
+        );
+        decision = { handledAs: 'message', audioUrl: settings.audioUrl, message };
+    } else {
+        decision = await startAgent('agent', { voicemailPrompt: settings.prompt });
+    }
+
+    console.log(`📼 Call ${providerCallId} answered by ${result} (${answeredBy}), handled as ${decision.handledAs}`);
+    record({ handledAs: decision.handledAs });
+    return decision;
+}
+
+app.post('/outgoing', async (req, res) => {
+    try {
+        const { destinationNumber } = req.body;
+
+        if (!destinationNumber) {
+            return res.status(400).json({ error: 'Destination phone number is required' });
+        }
+
+        // With scheduledAt the call is booked instead of dialed now
+        if (req.body.scheduledAt) {
+            return createScheduledCall(req, res);
+        }
+
+        const check = checkOutboundOptions(req.body);
+        if (!check.provider) {
+            return res.status(check.status).json({ error: check.error, details: check.details });
+        }
+
+        const { callId, recordId, provider, settings } = await placeOutboundCall({
+            ...req.body,
+            baseUrl: getPublicBaseUrl(req)
+        });
 
         res.json({ 
             success: true, 
             message: 'Call initiated successfully', 
             callId: callId,
-            provider: VOICE_PROVIDER,
+            recordId: recordId,
+            provider: provider.name,
             configuration: {
-                agentName: agentName || AI_NAME,
-                voiceId: voiceId || AI_VOICE,
-                corpusId: corpusId || ULTRAVOX_CORPUS_ID,
-                tools: requestedTools || process.env.ULTRAVOX_CALL_TOOLS?.split(',') || []
+                profile: settings.profile,
+                agentName: settings.agentName || AI_NAME,
+                voiceId: settings.voiceId || AI_VOICE,
+                corpusId: settings.corpusId || ULTRAVOX_CORPUS_ID,
+                tools: settings.toolNames || process.env.ULTRAVOX_CALL_TOOLS?.split(',') || []
             }
         });
         
     } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(400).json({
+                error: 'Missing template variables',
+                message: error.message,
+                missing: error.missing
+            });
+        }
         console.error('Error initiating outgoing call:', error);
         res.status(500).json({ 
             error: 'Failed to initiate call', 
@@ -867,8 +1311,152 @@ app.post('/outgoing', async (req, res) => {
     }
 });
 
+// Book a call for later; the body is an /outgoing body plus scheduledAt and timezone
+function createScheduledCall(req, res) {
+    const { scheduledAt, timezone, ...options } = req.body;
+    if (!options.destinationNumber) {
+        return res.status(400).json({ error: 'Destination phone number is required' });
+    }
+    if (!scheduledAt) {
+        return res.status(400).json({ error: 'scheduledAt is required' });
+    }
+
+    const check = checkOutboundOptions(options);
+    if (!check.provider) {
+        return res.status(check.status).json({ error: check.error, details: check.details });
+    }
+
+    const result = scheduleCall({
+        scheduledAt,
+        timezone,
+        options: { ...options, provider: check.provider.name },
+        baseUrl: getPublicBaseUrl(req)
+    });
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json(result.job);
+}
+
+app.post('/scheduled-calls', createScheduledCall);
+
+app.get('/scheduled-calls', (req, res) => {
+    const { status } = req.query;
+    if (status && !SCHEDULED_CALL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${SCHEDULED_CALL_STATUSES.join(', ')}` });
+    }
+    res.json({ scheduledCalls: listScheduledCalls({ status }) });
+});
+
+app.get('/scheduled-calls/:id', (req, res) => {
+    const job = getScheduledCall(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Scheduled call ${req.params.id} not found` });
+    }
+    res.json(job);
+});
+
+// Reschedule with a new scheduledAt and/or timezone
+app.patch('/scheduled-calls/:id', (req, res) => {
+    const { scheduledAt, timezone } = req.body || {};
+    if (!scheduledAt && !timezone) {
+        return res.status(400).json({ error: 'Provide scheduledAt and/or timezone' });
+    }
+    sendScheduledCallResult(res, req.params.id, rescheduleCall(req.params.id, { scheduledAt, timezone }));
+});
+
+app.delete('/scheduled-calls/:id', (req, res) => {
+    sendScheduledCallResult(res, req.params.id, cancelScheduledCall(req.params.id));
+});
+
+function sendScheduledCallResult(res, id, result) {
+    if (result.error === 'not-found') {
+        return res.status(404).json({ error: `Scheduled call ${id} not found` });
+    }
+    if (result.error === 'conflict') {
+        return res.status(409).json({ error: result.message });
+    }
+    if (result.error) {
+        return res.status(400).json({ error: result.message });
+    }
+    res.json(result.job);
+}
+
+// Outbound campaigns: dial a contact list with concurrency, pacing and retries
+app.post('/campaigns', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+    // CSV uploads carry their settings in the query string
+    const isCsvUpload = typeof req.body === 'string';
+    const input = isCsvUpload ? { ...req.query, csv: req.body } : (req.body || {});
+    const { name, contacts, csv, concurrency, pacingMs, maxRetries, retryDelaySeconds, retryOn, maxAttemptSeconds, ...call } = input;
+
+    let rows = contacts;
+    if (csv !== undefined) {
+        rows = parseCsv(String(csv));
+    }
+    if (!Array.isArray(rows)) {
+        return res.status(400).json({ error: 'Provide contacts as a JSON array, a csv string or a text/csv body' });
+    }
+
+    // Query string values arrive as strings
+    const toInt = value => (isCsvUpload && value !== undefined ? Number(value) : value);
+    const settings = {
+        concurrency: toInt(concurrency),
+        pacingMs: toInt(pacingMs),
+        maxRetries: toInt(maxRetries),
+        retryDelaySeconds: toInt(retryDelaySeconds),
+        retryOn: isCsvUpload && typeof retryOn === 'string' ? retryOn.split(',') : retryOn,
+        maxAttemptSeconds: toInt(maxAttemptSeconds)
+    };
+    Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+
+    const normalizedContacts = rows.map(normalizeContact);
+    const errors = validateCampaign({ ...settings, contacts: normalizedContacts });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid campaign', details: errors });
+    }
+
+    const check = checkOutboundOptions(call);
+    if (!check.provider) {
+        return res.status(check.status).json({ error: check.error, details: check.details });
+    }
+
+    const campaign = createCampaign({
+        name,
+        contacts: normalizedContacts,
+        call: { ...call, provider: check.provider.name },
+        baseUrl: getPublicBaseUrl(req),
+        ...settings
+    });
+    res.status(201).json(campaign);
+});
+
+app.get('/campaigns', (req, res) => {
+    res.json({ campaigns: listCampaigns() });
+});
+
+app.get('/campaigns/:id', (req, res) => {
+    const campaign = getCampaign(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ error: `Campaign ${req.params.id} not found` });
+    }
+    res.json(campaign);
+});
+
+// POST /campaigns/:id/pause, /resume and /cancel
+const campaignActions = { pause: pauseCampaign, resume: resumeCampaign, cancel: cancelCampaign };
+app.post('/campaigns/:id/:action(pause|resume|cancel)', (req, res) => {
+    const result = campaignActions[req.params.action](req.params.id);
+    if (result.error === 'not-found') {
+        return res.status(404).json({ error: `Campaign ${req.params.id} not found` });
+    }
+    if (result.error) {
+        return res.status(409).json({ error: `Cannot ${req.params.action} campaign`, message: result.message });
+    }
+    res.json(result.campaign);
+});
+
 // Direct connect endpoint for outgoing calls
-app.post('/direct-connect/:callId', async (req, res) => {
+app.post('/direct-connect/:callId', validateTwilioWebhook(), async (req, res) => {
     try {
         const callId = req.params.callId;
         const systemPrompt = app.locals.callPrompts[callId];
@@ -885,7 +1473,8 @@ app.post('/direct-connect/:callId', async (req, res) => {
             systemPrompt: systemPrompt,
             agentName: agentName,
             firstSpeaker: 'FIRST_SPEAKER_AGENT',
-            callbackUrl: `${req.protocol}://${req.get('host')}/callback`
+            medium: getProvider('twilio').getMedium(),
+            callbackUrl: `${getPublicBaseUrl(req)}/callback`
         });
         
         if (!ultravoxResponse || !ultravoxResponse.joinUrl) {
@@ -894,14 +1483,10 @@ app.post('/direct-connect/:callId', async (req, res) => {
         
         console.log(`Ultravox call created, join URL: ${ultravoxResponse.joinUrl}`);
         
-        // Generate TwiML response
-        const twiml = new twilio.twiml.VoiceResponse();
-        
-        // Connect to Ultravox
-        const connect = twiml.connect();
-        connect.stream({
-            url: ultravoxResponse.joinUrl,
-            name: 'ultravox'
+        // Generate TwiML response connecting to Ultravox
+        const twiml = getProvider('twilio').connectTwiml(ultravoxResponse.joinUrl, {
+            baseUrl: getPublicBaseUrl(req),
+            callId: req.body.CallSid
         });
         
         // Remove the stored prompt to free up memory
@@ -912,76 +1497,537 @@ app.post('/direct-connect/:callId', async (req, res) => {
         
         console.log(`Sending connect TwiML for direct connect call ${callId}`);
         res.type('text/xml');
-        res.send(twiml.toString());
+        res.send(twiml);
         
     } catch (error) {
         console.error('Error connecting outgoing call:', error);
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say('Sorry, we were unable to connect to our AI assistant at this time. Please try again later.');
         res.type('text/xml');
-        res.send(twiml.toString());
+        res.send(getProvider('twilio').errorTwiml('Sorry, we were unable to connect to our AI assistant at this time. Please try again later.'));
     }
 });
 
+/**
+ * Follow machine detection on a Telnyx call we dialed
+ * A machine that gets a message is only acted on once its greeting has ended
+ * (call.machine.greeting.ended), so the message starts after the beep.
+ * @param {Object} event - Telnyx event (`data` of the webhook body)
+ * @returns {Promise<boolean>} - Whether the event belonged to machine detection
+ */
+async function handleTelnyxMachineDetection(event) {
+    const callControlId = event.payload?.call_control_id;
+    const provider = getProvider('telnyx');
+    const pending = callControlId && getPendingCall(callControlId);
+
+    let answeredBy;
+    switch (event.event_type) {
+        case 'call.machine.detection.ended':
+        case 'call.machine.premium.detection.ended': {
+            if (!pending) return false;
+            answeredBy = event.payload.result;
+            if (classifyAnsweredBy(answeredBy) === 'machine' && pending.settings.waitForBeep) {
+                // Remember the result; the greeting.ended event decides
+                pending.answeredBy = answeredBy;
+                recordDetection(callControlId, { status: 'awaiting-beep', answeredBy });
+                return true;
+            }
+            break;
+        }
+        case 'call.machine.greeting.ended':
+        case 'call.machine.premium.greeting.ended':
+            if (!pending) return false;
+            answeredBy = pending.answeredBy || 'machine';
+            break;
+        case 'call.speak.ended':
+        case 'call.playback.ended': {
+            // The voicemail message has been left
+            if (findCall(callControlId)?.machineDetection?.handledAs !== 'message') return false;
+            await provider.hangup(callControlId).catch(error =>
+                console.error(`📼 Could not hang up call ${callControlId} after its voicemail message:`, error.message));
+            return true;
+        }
+        default:
+            return false;
+    }
+
+    const decision = await resolveAnsweredCall(callControlId, answeredBy);
+    try {
+        if (decision.joinUrl) {
+            await provider.startStream(callControlId, { joinUrl: decision.joinUrl, baseUrl: decision.baseUrl });
+        } else if (decision.audioUrl) {
+            await provider.playAudio(callControlId, decision.audioUrl);
+        } else if (decision.message) {
+            await provider.speak(callControlId, decision.message);
+        } else {
+            await provider.hangup(callControlId);
+        }
+    } catch (error) {
+        console.error(`📼 Could not act on machine detection for call ${callControlId}:`, error.message);
+    }
+    return true;
+}
+
+// Twilio requests this when an after-hours voicemail recording ends
+app.post('/voicemail/recorded', validateTwilioWebhook(), (req, res) => {
+    const { CallSid, RecordingUrl, RecordingDuration } = req.body;
+    saveVoicemail(CallSid, {
+        status: 'recorded',
+        recordingUrl: RecordingUrl || null,
+        durationSeconds: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+        recordedAt: new Date().toISOString()
+    }, 'voicemail.recorded');
+    res.type('text/xml');
+    res.send(getProvider('twilio').hangupTwiml());
+});
+
+// Twilio posts the transcription of a voicemail here
+app.post('/voicemail/transcription', validateTwilioWebhook(), (req, res) => {
+    const { CallSid, TranscriptionText, TranscriptionStatus } = req.body;
+    saveVoicemail(CallSid, {
+        transcription: TranscriptionText || '',
+        transcriptionStatus: TranscriptionStatus || null
+    }, 'voicemail.transcribed');
+    res.sendStatus(200);
+});
+
+// Twilio asks here what to do once machine detection is done (the url of calls dialed with detection)
+app.post('/machine-detection/twilio', validateTwilioWebhook(), async (req, res) => {
+    const { CallSid, AnsweredBy, MachineDetectionDuration } = req.body;
+    const twilioProvider = getProvider('twilio');
+    const durationMs = MachineDetectionDuration ? parseInt(MachineDetectionDuration, 10) : undefined;
+    const decision = await resolveAnsweredCall(CallSid, AnsweredBy, { durationMs });
+
+    res.type('text/xml');
+    if (decision.joinUrl) {
+        try {
+            return res.send(twilioProvider.connectTwiml(decision.joinUrl, { baseUrl: decision.baseUrl, callId: CallSid }));
+        } catch (error) {
+            console.error(`📼 Could not connect call ${CallSid}:`, error.message);
+            return res.send(twilioProvider.hangupTwiml());
+        }
+    }
+    if (decision.handledAs === 'message') {
+        return res.send(twilioProvider.voicemailTwiml(decision));
+    }
+    res.send(twilioProvider.hangupTwiml());
+});
+
 // Call status webhook
-app.post('/call-status', (req, res) => {
+app.post('/call-status', validateProviderWebhook(), async (req, res) => {
+    // Twilio status callbacks, or Telnyx events for calls we dialed (the webhook_url set when dialing)
+    const provider = detectProvider(req);
+    if (provider.name === 'telnyx' && req.body?.data?.event_type === 'call.dtmf.received') {
+        handleTelnyxDtmf(req.body.data);
+        return res.sendStatus(200);
+    }
+
     console.log('Call status update:', req.body);
+    if (provider.name === 'telnyx' && req.body?.data && await handleTelnyxMachineDetection(req.body.data)) {
+        return res.sendStatus(200);
+    }
+    const statusEvent = provider.parseStatusEvent(req.body);
+    if (statusEvent) {
+        updateCallStatus(statusEvent.callId, statusEvent.status, {
+            source: provider.name,
+            providerStatus: statusEvent.providerStatus !== statusEvent.status ? statusEvent.providerStatus : undefined
+        });
+        if (statusEvent.duration !== undefined) {
+            updateCall(statusEvent.callId, { duration: statusEvent.duration });
+        }
+    }
+
     res.sendStatus(200);
 });
 
+/**
+ * Have Ultravox post call.ended to /callback (ULTRAVOX_REGISTER_WEBHOOK=true)
+ * The webhook covers every call of the Ultravox account; it is created only once per URL.
+ * @param {string} baseUrl - Public base URL of this server
+ */
+async function registerUltravoxWebhook(baseUrl) {
+    const url = `${baseUrl}/callback`;
+    const webhooks = await ultravox.listWebhooks();
+    if (webhooks.some(webhook => webhook.url === url)) {
+        console.log(`🪝 Ultravox webhook already registered: ${url}`);
+        return;
+    }
+    await ultravox.createWebhook({ url, events: ['call.ended'] });
+    console.log(`🪝 Registered Ultravox webhook: ${url}`);
+}
+
 // Webhook for call events from Ultravox
 app.post('/callback', (req, res) => {
     const eventData = req.body;
     console.log('Received callback from Ultravox:', eventData);
     
-    // Process event data as needed
-    // You can add logic to handle different event types here
+    const ultravoxCall = eventData.call;
+    if (ultravoxCall?.callId) {
+        updateCall(ultravoxCall.callId, {
+            ultravoxStatus: eventData.event,
+            endReason: ultravoxCall.endReason
+        });
+
+        // The message history and recording are complete once Ultravox ends the call
+        if (eventData.event === 'call.ended') {
+            // The agent has left (the caller may still be on the line after a transfer)
+            releaseSlot(ultravoxCall.callId);
+            captureTranscript(ultravoxCall.callId);
+            captureRecording(ultravoxCall.callId);
+        }
+    }
     
     res.status(200).send('Event received');
 });
 
-// Add this before the other route definitions
-app.get('/voices', async (req, res) => {
+// Server-hosted disposition tool: Ultravox posts { outcome, fields } with ?callId=<Ultravox call ID>
+app.post('/tools/disposition', requireToolSecret(), (req, res) => {
+    const result = recordDisposition(req.query.callId, req.body);
+    if (result.error === 'not-found') {
+        return res.status(404).json({ error: `Call ${req.query.callId} not found` });
+    }
+    if (result.error) {
+        // Returned to the agent, which can correct the payload and try again
+        return res.status(400).json({ error: 'Invalid disposition', details: result.details });
+    }
+    res.json({ success: true, message: 'Disposition recorded' });
+});
+
+app.get('/tools/disposition', (req, res) => {
+    res.json({ enabled: isDispositionToolEnabled(), schema: getDispositionSchema() });
+});
+
+// Server-hosted transfer tool: Ultravox posts { department, summary, mode } with ?callId=<Ultravox call ID>
+app.post('/tools/transfer', requireToolSecret(), (req, res) => {
+    if (!isTransferToolEnabled()) {
+        return res.status(404).json({ error: 'Call transfer is not configured' });
+    }
+
+    const result = startTransfer(req.query.callId, req.body, { baseUrl: getPublicBaseUrl(req) });
+    if (result.error === 'not-found') {
+        return res.status(404).json({ error: result.message });
+    }
+    if (result.error === 'conflict') {
+        return res.status(409).json({ error: result.message });
+    }
+    if (result.error) {
+        // Returned to the agent, which can correct the request and try again
+        return res.status(400).json({ error: 'Invalid transfer', details: result.details });
+    }
+    res.json({ success: true, message: `Transferring the caller to ${result.call.transfer.department}` });
+});
+
+app.get('/tools/transfer', (req, res) => {
+    res.json({ enabled: isTransferToolEnabled(), config: getTransferConfig() });
+});
+
+// Twilio posts the result of a transfer <Dial> here; the reply decides what happens next
+app.post('/transfer/status', validateTwilioWebhook(), async (req, res) => {
+    console.log(`Transfer dial result for call ${req.query.callId}: ${req.body.DialCallStatus}`);
+    res.type('text/xml');
+    res.send(await handleTwilioDialResult(req.query.callId, req.body.DialCallStatus));
+});
+
+// Played to whoever answers a warm Twilio transfer, before the caller is connected
+app.post('/transfer/whisper', validateTwilioWebhook(), (req, res) => {
+    res.type('text/xml');
+    res.send(twilioWhisper(req.query.callId));
+});
+
+// Invoke a catalog tool the way Ultravox would and check the response:
+// { arguments, fixture, execute } or { examples: true } to run the tool's examples.
+// Only builds the request (or checks a fixture) unless TOOL_TEST_EXECUTE=true allows { execute: true }.
+app.post('/tools/:name/test', async (req, res) => {
+    if (!Object.hasOwn(tools, req.params.name)) {
+        return res.status(404).json({ error: `Tool ${req.params.name} not found` });
+    }
+    const tool = tools[req.params.name];
+
     try {
-        console.log('Fetching voices from Ultravox API...');
-        const response = await new Promise((resolve, reject) => {
-            const request = https.request(`${ULTRAVOX_API_URL.replace('/calls', '')}/voices`, {
-                method: 'GET',
-                headers: {
-                    'X-API-Key': ULTRAVOX_API_KEY
-                },
-                timeout: 10000 // 10 second timeout
+        const { arguments: args = {}, fixture, execute = false, examples = false, callId } = req.body || {};
+        if (typeof args !== 'object' || Array.isArray(args)) {
+            return res.status(400).json({ error: 'arguments must be an object' });
+        }
+        if (execute && !fixture && process.env.TOOL_TEST_EXECUTE !== 'true') {
+            return res.status(403).json({
+                error: 'Sending tool requests is disabled',
+                message: 'Set TOOL_TEST_EXECUTE=true to allow { "execute": true }, or pass a fixture'
             });
+        }
+        const cases = examples ? exampleTestCases(tool) : [{ name: 'arguments', args }];
+        if (cases.length === 0) {
+            return res.status(400).json({ error: `Tool ${tool.name} has no examples with arguments` });
+        }
 
-            let data = '';
-            
-            request.on('response', (response) => {
-                response.on('data', chunk => data += chunk);
-                response.on('end', () => {
-                    try {
-                        if (response.statusCode !== 200) {
-                            reject(new Error(`Ultravox API returned status ${response.statusCode}`));
-                            return;
-                        }
-                        
-                        const voices = JSON.parse(data);
-                        resolve(voices);
-                    } catch (error) {
-                        reject(error);
-                    }
-                });
+        const results = [];
+        for (const testCase of cases) {
+            const result = await runToolTest(tool, {
+                args: testCase.args,
+                fixture,
+                execute,
+                callId,
+                baseUrl: getPublicBaseUrl(req)
             });
+            results.push({ name: testCase.name, ...result });
+        }
+        res.json({ tool: tool.name, ok: results.every(result => result.ok), results });
+    } catch (error) {
+        console.error(`🛠️ Testing tool ${tool.name} failed:`, error);
+        res.status(500).json({ error: `Testing tool ${tool.name} failed`, message: error.message });
+    }
+});
+
+// Server-hosted tools from tools/: Ultravox posts the parameters with ?callId=<Ultravox call ID>
+app.post('/tools/:name', requireToolSecret(), async (req, res) => {
+    const tool = getToolHandler(req.params.name);
+    if (!tool) {
+        return res.status(404).json({ error: `Tool ${req.params.name} not found` });
+    }
+
+    const params = req.body || {};
+    const errors = validateToolParameters(tool, params);
+    if (errors.length > 0) {
+        // Returned to the agent, which can correct the parameters and try again
+        return res.status(400).json({ error: 'Invalid parameters', details: errors });
+    }
+
+    try {
+        const result = await tool.handler(params, { call: findCall(req.query.callId) || null, callId: req.query.callId });
+        if (typeof result === 'string') {
+            return res.type('text/plain').send(result);
+        }
+        res.json(result ?? { success: true });
+    } catch (error) {
+        console.error(`🛠️ Tool ${tool.name} failed:`, error);
+        res.status(500).json({ error: `Tool ${tool.name} failed`, message: error.message });
+    }
+});
 
-            request.on('error', reject);
-            request.on('timeout', () => {
-                request.destroy();
-                reject(new Error('Request timed out'));
+// Call registry query API
+app.get('/calls', (req, res) => {
+    const { since, until } = req.query;
+    if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+        return res.status(400).json({ error: 'since and until must be valid ISO timestamps' });
+    }
+
+    res.json(listCalls(req.query));
+});
+
+app.get('/calls/:id', (req, res) => {
+    const call = findCall(req.params.id);
+    if (!call) {
+        return res.status(404).json({ error: `Call ${req.params.id} not found` });
+    }
+    res.json(call);
+});
+
+// Transcript of a finished call: ?format=json (default), text, srt or vtt
+const TRANSCRIPT_FORMATS = {
+    text: { type: 'text/plain', render: toText },
+    srt: { type: 'application/x-subrip', render: toSrt },
+    vtt: { type: 'text/vtt', render: toVtt }
+};
+
+app.get('/calls/:id/transcript', async (req, res) => {
+    const call = findCall(req.params.id);
+    if (!call) {
+        return res.status(404).json({ error: `Call ${req.params.id} not found` });
+    }
+
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !TRANSCRIPT_FORMATS[format]) {
+        return res.status(400).json({ error: `format must be one of json, ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}` });
+    }
+
+    let transcript = null;
+    if (!call.endedAt) {
+        // The call is still going: show the messages so far, but store nothing until it ends
+        if (call.ultravoxCallId) {
+            try {
+                transcript = await fetchLiveTranscript(call);
+            } catch (error) {
+                return res.status(500).json({ error: 'Failed to fetch transcript', message: error.message });
+            }
+        }
+    } else {
+        // Fetch on demand if the call ended before a transcript was stored (or ?refresh=true)
+        transcript = req.query.refresh === 'true' ? null : getTranscript(call.id);
+        if (!transcript && call.ultravoxCallId) {
+            transcript = await captureTranscript(call.id);
+        }
+    }
+    if (!transcript) {
+        return res.status(404).json({ error: `No transcript available for call ${req.params.id}` });
+    }
+
+    if (format === 'json') {
+        return res.json(transcript);
+    }
+    const { type, render } = TRANSCRIPT_FORMATS[format];
+    res.type(type).send(render(transcript, { agentName: call.metadata?.agentName }));
+});
+
+// Stored call recording, with Range support for seeking
+app.get('/calls/:id/recording', async (req, res) => {
+    const call = findCall(req.params.id);
+    if (!call) {
+        return res.status(404).json({ error: `Call ${req.params.id} not found` });
+    }
+
+    try {
+        const recording = await openRecording(call, req.headers.range);
+        if (!recording) {
+            return res.status(404).json({
+                error: `No recording stored for call ${req.params.id}`,
+                recording: call.recording || null
             });
-            
-            request.end();
+        }
+
+        res.status(recording.status).set(recording.headers);
+        if (!recording.stream) {
+            return res.end();
+        }
+        recording.stream.on('error', error => {
+            console.error(`Error streaming recording for call ${call.id}:`, error.message);
+            res.destroy(error);
+        });
+        recording.stream.pipe(res);
+    } catch (error) {
+        console.error(`Error opening recording for call ${call.id}:`, error);
+        res.status(500).json({ error: 'Failed to read recording', message: error.message });
+    }
+});
+
+// Agent profile management API
+app.get('/profiles', (req, res) => {
+    res.json({ profiles: listProfiles() });
+});
+
+app.get('/profiles/:name', (req, res) => {
+    const profile = getProfile(req.params.name);
+    if (!profile) {
+        return res.status(404).json({ error: `Profile "${req.params.name}" not found` });
+    }
+    res.json(profile);
+});
+
+app.post('/profiles', (req, res) => {
+    const { name, ...fields } = req.body || {};
+    if (!isValidProfileName(name)) {
+        return res.status(400).json({ error: 'name is required and may only contain letters, digits, "-" and "_"' });
+    }
+    if (getProfile(name)) {
+        return res.status(409).json({ error: `Profile "${name}" already exists` });
+    }
+
+    const errors = validateProfile(fields);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid profile', details: errors });
+    }
+
+    res.status(201).json(saveProfile(name, fields));
+});
+
+app.put('/profiles/:name', (req, res) => {
+    const { name } = req.params;
+    if (!isValidProfileName(name)) {
+        return res.status(400).json({ error: 'Profile names may only contain letters, digits, "-" and "_"' });
+    }
+
+    const { name: ignored, ...fields } = req.body || {};
+    const errors = validateProfile(fields);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid profile', details: errors });
+    }
+
+    res.json(saveProfile(name, fields));
+});
+
+app.delete('/profiles/:name', (req, res) => {
+    // Calls matching a route to a deleted profile would fail
+    if (listRoutedProfiles().includes(req.params.name)) {
+        return res.status(409).json({
+            error: `Profile "${req.params.name}" is used by inbound routing`,
+            details: listProfileRoutes(req.params.name)
         });
+    }
+    if (!deleteProfile(req.params.name)) {
+        return res.status(404).json({ error: `Profile "${req.params.name}" not found` });
+    }
+    res.json({ success: true, message: `Profile "${req.params.name}" deleted` });
+});
+
+// Webhook subscriptions for call lifecycle events
+app.get('/webhooks', (req, res) => {
+    res.json({ events: WEBHOOK_EVENTS, subscriptions: listSubscriptions() });
+});
+
+app.post('/webhooks', (req, res) => {
+    const input = req.body || {};
+    const errors = validateSubscription(input);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid webhook subscription', details: errors });
+    }
+    // The only response that includes the full signing secret
+    res.status(201).json(createSubscription(input));
+});
+
+app.get('/webhooks/deliveries', (req, res) => {
+    res.json({ deliveries: listDeliveries(req.query) });
+});
+
+app.get('/webhooks/deliveries/:id', (req, res) => {
+    const delivery = getDelivery(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ error: `Delivery ${req.params.id} not found` });
+    }
+    res.json(delivery);
+});
+
+app.post('/webhooks/deliveries/:id/redeliver', (req, res) => {
+    const result = redeliver(req.params.id);
+    if (result.error === 'not-found') {
+        return res.status(404).json({ error: `Delivery ${req.params.id} not found` });
+    }
+    if (result.error) {
+        return res.status(409).json({ error: 'Cannot redeliver', message: result.message });
+    }
+    res.status(202).json(result.delivery);
+});
+
+app.get('/webhooks/:id', (req, res) => {
+    const subscription = getSubscription(req.params.id);
+    if (!subscription) {
+        return res.status(404).json({ error: `Webhook subscription ${req.params.id} not found` });
+    }
+    res.json(subscription);
+});
+
+app.patch('/webhooks/:id', (req, res) => {
+    const changes = req.body || {};
+    const errors = validateSubscription(changes, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid webhook subscription', details: errors });
+    }
+    const subscription = updateSubscription(req.params.id, changes);
+    if (!subscription) {
+        return res.status(404).json({ error: `Webhook subscription ${req.params.id} not found` });
+    }
+    res.json(subscription);
+});
 
-        res.json(response);
+app.delete('/webhooks/:id', (req, res) => {
+    if (!deleteSubscription(req.params.id)) {
+        return res.status(404).json({ error: `Webhook subscription ${req.params.id} not found` });
+    }
+    res.json({ success: true, message: `Webhook subscription ${req.params.id} deleted` });
+});
+
+// Add this before the other route definitions
+app.get('/voices', async (req, res) => {
+    try {
+        console.log('Fetching voices from Ultravox API...');
+        const voices = await ultravox.listVoices();
+
+        res.json({ results: voices });
     } catch (error) {
         console.error('Error fetching voices:', error);
         res.status(500).json({ 
@@ -996,18 +2042,11 @@ app.get('/voices', async (req, res) => {
 app.get('/list-corpora', async (req, res) => {
     try {
         console.log('Fetching corpora from Ultravox API...');
-        const response = await axios({
-            method: 'GET',
-            url: `${ULTRAVOX_API_URL.replace('/calls', '')}/corpora`,
-            headers: {
-                'X-API-Key': ULTRAVOX_API_KEY
-            },
-            timeout: 10000 // 10 second timeout
-        });
+        const corpora = await ultravox.listCorpora();
         
         res.json({
             success: true,
-            corpora: response.data.results || []
+            corpora
         });
     } catch (error) {
         console.error('Error listing corpora:', error);
@@ -1028,20 +2067,12 @@ app.post('/create-corpus', async (req, res) => {
         }
         
         // 1. Create the corpus via Ultravox API
-        const corpusResponse = await axios({
-            method: 'POST',
-            url: `${ULTRAVOX_API_URL.replace('/calls', '')}/corpora`,
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': ULTRAVOX_API_KEY
-            },
-            data: {
-                name,
-                description: description || `Corpus created via Voice Agent UI`
-            }
+        const corpus = await ultravox.createCorpus({
+            name,
+            description: description || `Corpus created via Voice Agent UI`
         });
         
-        const corpusId = corpusResponse.data.corpusId;
+        const corpusId = corpus.corpusId;
         
         // 2. Process URLs and create sources for each
         const sourcePromises = [];
@@ -1051,19 +2082,11 @@ app.post('/create-corpus', async (req, res) => {
             for (const url of urlList) {
                 // Create a source for each URL
                 sourcePromises.push(
-                    axios({
-                        method: 'POST',
-                        url: `${ULTRAVOX_API_URL.replace('/calls', '')}/corpora/${corpusId}/sources`,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-API-Key': ULTRAVOX_API_KEY
-                        },
-                        data: {
-                            name: `Source: ${url}`,
-                            loadSpec: {
-                                startUrls: [url],
-                                maxDepth: 1 // Only fetch the provided URL, not linked pages
-                            }
+                    ultravox.createCorpusSource(corpusId, {
+                        name: `Source: ${url}`,
+                        loadSpec: {
+                            startUrls: [url],
+                            maxDepth: 1 // Only fetch the provided URL, not linked pages
                         }
                     }).catch(error => {
                         console.error(`Error adding source ${url}:`, error.message);
@@ -1109,7 +2132,7 @@ app.post('/create-corpus', async (req, res) => {
         res.status(500).json({ 
             error: 'Failed to create corpus', 
             message: error.message,
-            details: error.response?.data
+            details: error.body
         });
     }
 });
@@ -1124,13 +2147,7 @@ app.delete('/corpus/:corpusId', async (req, res) => {
         }
         
         // Delete the corpus via Ultravox API
-        await axios({
-            method: 'DELETE',
-            url: `${ULTRAVOX_API_URL.replace('/calls', '')}/corpora/${corpusId}`,
-            headers: {
-                'X-API-Key': ULTRAVOX_API_KEY
-            }
-        });
+        await ultravox.deleteCorpus(corpusId);
         
         res.json({
             success: true,
@@ -1142,7 +2159,7 @@ app.delete('/corpus/:corpusId', async (req, res) => {
         res.status(500).json({ 
             error: 'Failed to delete corpus', 
             message: error.message,
-            details: error.response?.data
+            details: error.body
         });
     }
 });
@@ -1152,91 +2169,20 @@ app.get('/test-telnyx', async (req, res) => {
     try {
         // Verify Telnyx credentials
         console.log('Testing Telnyx integration...');
+        const result = await getProvider('telnyx').testConnection();
         
-        if (VOICE_PROVIDER !== 'telnyx') {
-            return res.json({
-                success: false,
-                message: 'Telnyx is not the active voice provider. Set VOICE_PROVIDER=telnyx in .env file.',
-                currentProvider: VOICE_PROVIDER
-            });
-        }
-        
-        if (!TELNYX_API_KEY) {
-            return res.json({
-                success: false,
-                message: 'TELNYX_API_KEY is not set. Please add it to your .env file.'
-            });
+        if (result.success) {
+            result.webhookUrls = {
+                telnyx: `${getPublicBaseUrl(req)}/telnyx-webhook`,
+                streaming: `${getPublicBaseUrl(req).replace(/^http/, 'ws')}/stream-ws`
+            };
+            result.note = 'Make sure your Telnyx webhooks are configured to point to your webhook URL';
         }
-        
-        if (!TELNYX_APP_ID) {
-            return res.json({
-                success: false,
-                message: 'TELNYX_APP_ID is not set. Please add it to your .env file.'
-            });
+        if (result.configuration) {
+            result.configuration.provider = DEFAULT_PROVIDER;
         }
         
-        if (!TELNYX_PHONE_NUMBER) {
-            return res.json({
-                success: false,
-                message: 'TELNYX_PHONE_NUMBER is not set. Please add it to your .env file.'
-            });
-        }
-        
-        // Try to hit the Telnyx API to verify the key works
-        try {
-            const response = await axios({
-                method: 'GET',
-                url: 'https://api.telnyx.com/v2/calls',
-                headers: {
-                    'Accept': 'application/json',
-                    'Authorization': `Bearer ${TELNYX_API_KEY}`
-                }
-            });
-            
-            return res.json({
-                success: true,
-                message: 'Telnyx API key is valid and working.',
-                configuration: {
-                    apiKey: TELNYX_API_KEY ? `${TELNYX_API_KEY.substring(0, 10)}...` : 'Not set',
-                    appId: TELNYX_APP_ID,
-                    phoneNumber: TELNYX_PHONE_NUMBER,
-                    provider: VOICE_PROVIDER
-                },
-                webhookUrls: {
-                    telnyx: `${req.protocol}://${req.get('host')}/telnyx-webhook`,
-                    streaming: `ws://${req.get('host')}/stream-ws`
-                },
-                note: 'Make sure your Telnyx webhooks are configured to point to your webhook URL'
-            });
-        } catch (error) {
-            let errorMessage = 'Error calling Telnyx API';
-            
-            if (error.response) {
-                const status = error.response.status;
-                
-                if (status === 401) {
-                    errorMessage = 'Invalid Telnyx API key - authentication failed';
-                } else if (status === 403) {
-                    errorMessage = 'Telnyx API key does not have permission to access this resource';
-                } else if (status === 404) {
-                    errorMessage = 'Telnyx API endpoint not found - check API version';
-                } else {
-                    errorMessage = `Telnyx API error: ${status} - ${error.response.data?.errors?.[0]?.title || error.message}`;
-                }
-            }
-            
-            return res.json({
-                success: false,
-                message: errorMessage,
-                error: error.message,
-                configuration: {
-                    apiKey: TELNYX_API_KEY ? `${TELNYX_API_KEY.substring(0, 10)}...` : 'Not set',
-                    appId: TELNYX_APP_ID,
-                    phoneNumber: TELNYX_PHONE_NUMBER,
-                    provider: VOICE_PROVIDER
-                }
-            });
-        }
+        res.json(result);
     } catch (error) {
         console.error('Error testing Telnyx integration:', error);
         res.status(500).json({
@@ -1257,179 +2203,49 @@ const wss = new WebSocketServer({
     path: '/stream-ws'
 });
 
-// Store active streaming connections
-const activeStreams = new Map();
+// Bridge each media stream (Telnyx, or Twilio with TWILIO_MEDIA_BRIDGE=true) to its Ultravox call
+wss.on('connection', async (ws, req) => {
+    const bridge = await handleStreamConnection(ws, req);
+    if (!bridge) return;
 
-// Track sequence numbers for streaming
-let sequenceCounter = 1;
+    // Keypresses become user input in the conversation
+    attachDtmfForwarding(bridge);
 
-// WebSocket connection handler
-wss.on('connection', (ws, req) => {
-    console.log('New WebSocket connection established');
-    
-    // Generate a unique stream ID
-    const streamId = `stream-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-    activeStreams.set(streamId, ws);
-    
-    // Send connected event to client
-    ws.send(JSON.stringify({ 
-        event: 'connected', 
-        version: '1.0.0'
-    }));
-    
-    // Send start event with media format details
-    ws.send(JSON.stringify({
-        event: 'start',
-        sequence_number: (sequenceCounter++).toString(),
-        start: {
-            user_id: "Ultravox-Telnyx-Integration",
-            call_control_id: req.query?.callControlId || "unknown",
-            call_session_id: req.query?.callSessionId || streamId,
-            from: req.query?.from || "unknown",
-            to: req.query?.to || "unknown",
-            tags: ["Ultravox", "Integration"],
-            client_state: "",
-            media_format: {
-                encoding: "PCMU",
-                sample_rate: 8000
-            }
-        },
-        stream_id: streamId
-    }));
-    
-    // Handle incoming messages from WebSocket clients
-    ws.on('message', (message) => {
-        try {
-            const data = JSON.parse(message.toString());
-            console.log('Received WebSocket message:', data.event);
-            
-            // Handle different event types
-            switch (data.event) {
-                case 'media':
-                    // Handle media events (for bidirectional media streaming)
-                    if (data.media && data.media.payload) {
-                        console.log('Received media payload, length:', data.media.payload.length);
-                        
-                        // Here you would process and forward the audio
-                        // For a complete implementation, this would send audio to the Ultravox service
-                        
-                        // Send acknowledgment
-                        ws.send(JSON.stringify({
-                            event: 'ack',
-                            stream_id: streamId,
-                            sequence_number: (sequenceCounter++).toString()
-                        }));
-                    }
-                    break;
-                    
-                case 'mark':
-                    // Echo back mark events immediately
-                    if (data.mark && data.mark.name) {
-                        console.log('Received mark event:', data.mark.name);
-                        ws.send(JSON.stringify({
-                            event: 'mark',
-                            stream_id: streamId,
-                            sequence_number: (sequenceCounter++).toString(),
-                            mark: {
-                                name: data.mark.name
-                            }
-                        }));
-                    }
-                    break;
-                    
-                case 'clear':
-                    // Handle clear events
-                    console.log('Received clear event, clearing media queue');
-                    ws.send(JSON.stringify({
-                        event: 'cleared',
-                        stream_id: streamId,
-                        sequence_number: (sequenceCounter++).toString()
-                    }));
-                    break;
-                    
-                case 'dtmf':
-                    // Handle DTMF events
-                    console.log('Received DTMF event:', data.dtmf?.digit);
-                    // Forward this to the appropriate handler
-                    break;
-                    
-                default:
-                    console.log(`Unhandled WebSocket event type: ${data.event}`);
-            }
-        } catch (error) {
-            console.error('Error processing WebSocket message:', error);
-            // Send error message
-            ws.send(JSON.stringify({
-                event: 'error',
-                payload: {
-                    code: 100003,
-                    title: 'malformed_frame',
-                    detail: 'The received frame was not formed correctly'
-                },
-                stream_id: streamId
-            }));
-        }
-    });
-    
-    // Handle WebSocket close
-    ws.on('close', () => {
-        console.log(`WebSocket connection closed for stream ${streamId}`);
-        
-        // Send streaming.stopped webhook event
-        try {
-            axios({
-                method: 'POST',
-                url: `${req.protocol}://${req.headers.host}/telnyx-webhook`,
-                headers: { 'Content-Type': 'application/json' },
-                data: {
-                    data: {
-                        event_type: 'streaming.stopped',
-                        payload: {
-                            call_control_id: req.query?.callControlId || "unknown",
-                            stream_url: `${req.protocol}://${req.headers.host}/stream-ws`
-                        }
-                    }
-                }
-            }).catch(err => {
-                console.error('Error sending streaming.stopped event:', err.message);
+    bridge.on('close', ({ initiator }) => {
+        // The agent ended the conversation (e.g. hangUp tool) - end the phone call too
+        if (initiator === 'ultravox' && bridge.callControlId) {
+            getProvider('telnyx').hangup(bridge.callControlId).catch(error => {
+                console.error(`Error hanging up Telnyx call ${bridge.callControlId}:`, error.message);
             });
-        } catch (error) {
-            console.error('Error generating webhook event:', error);
         }
-        
-        // Remove from active streams
-        activeStreams.delete(streamId);
-    });
-    
-    // Handle WebSocket errors
-    ws.on('error', (error) => {
-        console.error(`WebSocket error for stream ${streamId}:`, error);
-        activeStreams.delete(streamId);
+        if (bridge.callId) {
+            releaseSlot(bridge.callId);
+            reconcileCallSoon(bridge.callId);
+        }
     });
-    
-    // Send streaming.started webhook event
-    try {
-        axios({
-            method: 'POST',
-            url: `${req.protocol}://${req.headers.host}/telnyx-webhook`,
-            headers: { 'Content-Type': 'application/json' },
-            data: {
-                data: {
-                    event_type: 'streaming.started',
-                    payload: {
-                        call_control_id: req.query?.callControlId || "unknown",
-                        stream_url: `${req.protocol}://${req.headers.host}/stream-ws`
-                    }
-                }
-            }
-        }).catch(err => {
-            console.error('Error sending streaming.started event:', err.message);
-        });
-    } catch (error) {
-        console.error('Error generating webhook event:', error);
-    }
 });
 
+// Campaigns and scheduled calls dial through the same path as /outgoing
+startCampaignRunner(placeOutboundCall);
+startScheduler(placeOutboundCall);
+
+// Queued inbound callers are connected as concurrency slots free up
+startCallQueue({ connect: connectQueuedCall, overflow: overflowQueuedCall });
+
+// Ask the provider about calls whose final status webhook never arrived
+startCallReconciler(call => {
+    const provider = getProvider(call.provider);
+    return provider?.isConfigured() ? provider.fetchStatus(call.providerCallId) : null;
+});
+
+// Store transcripts and recordings of finished calls (also fetched when Ultravox posts call.ended to /callback)
+callEvents.on('ended', scheduleTranscriptCapture);
+callEvents.on('ended', scheduleRecordingCapture);
+startRecordingRetention();
+
+// Deliver call lifecycle events to webhook subscribers
+startWebhookDispatcher();
+
 // Start server
 server.listen(PORT, async () => {
     // Log any missing configurations first (will be hidden by the clean output)
@@ -1438,43 +2254,58 @@ server.listen(PORT, async () => {
         configWarnings.push('WARNING: ULTRAVOX_API_KEY is not set');
     }
     
-    if (VOICE_PROVIDER === 'twilio') {
-        // Check Twilio credentials
-        if (!TWILIO_ACCOUNT_SID) {
-            configWarnings.push('WARNING: TWILIO_ACCOUNT_SID is not set');
-        }
-        
-        if (!TWILIO_AUTH_TOKEN) {
-            configWarnings.push('WARNING: TWILIO_AUTH_TOKEN is not set');
-        }
-        
-        if (!TWILIO_PHONE_NUMBER) {
-            configWarnings.push('WARNING: TWILIO_PHONE_NUMBER is not set');
-        }
-    } else if (VOICE_PROVIDER === 'telnyx') {
-        // Check Telnyx credentials
-        if (!TELNYX_API_KEY) {
-            configWarnings.push('WARNING: TELNYX_API_KEY is not set');
-        }
-        
-        if (!TELNYX_PUBLIC_KEY) {
-            configWarnings.push('WARNING: TELNYX_PUBLIC_KEY is not set');
-        }
-        
-        if (!TELNYX_APP_ID) {
-            configWarnings.push('WARNING: TELNYX_APP_ID is not set');
-        }
-        
-        if (!TELNYX_PHONE_NUMBER) {
-            configWarnings.push('WARNING: TELNYX_PHONE_NUMBER is not set');
+    if (isValidationDisabled()) {
+        configWarnings.push('WARNING: SKIP_WEBHOOK_VALIDATION=true - provider webhooks are NOT authenticated (local development only)');
+    }
+    
+    // Default profiles must exist, otherwise every call using them fails
+    for (const key of ['DEFAULT_INBOUND_PROFILE', 'DEFAULT_OUTBOUND_PROFILE']) {
+        if (process.env[key] && !getProfile(process.env[key])) {
+            configWarnings.push(`WARNING: ${key} is "${process.env[key]}" but no such agent profile exists`);
         }
     }
 
+    const routingErrors = validateRoutingTable(getRoutingTable());
+    routingErrors.forEach(error => configWarnings.push(`WARNING: Invalid inbound routing table - ${error}`));
+    getDispositionSchemaErrors()
+        .forEach(error => configWarnings.push(`WARNING: Invalid disposition schema, using the default - ${error}`));
+    getTransferConfigErrors()
+        .forEach(error => configWarnings.push(`WARNING: Invalid transfer config, transfers disabled - ${error}`));
+    getMachineDetectionConfigErrors()
+        .forEach(error => configWarnings.push(`WARNING: Invalid machine detection defaults - ${error}`));
+    getQueueConfigErrors()
+        .forEach(error => configWarnings.push(`WARNING: Invalid call queue settings - ${error}`));
+    getBusinessHoursErrors()
+        .forEach(error => configWarnings.push(`WARNING: Invalid business hours, the line stays open - ${error}`));
+    getToolHandlerErrors()
+        .forEach(error => configWarnings.push(`WARNING: Hosted tool skipped - ${error}`));
+    const hostsTools = Object.keys(getHostedToolDefinitions()).length > 0 || isDispositionToolEnabled() || isTransferToolEnabled();
+    if (hostsTools && !process.env.TOOL_HANDLERS_SECRET) {
+        configWarnings.push('WARNING: TOOL_HANDLERS_SECRET is not set - anyone who finds /tools/<name> can call the tools this server hosts');
+    }
+    toolCatalogErrors.forEach(error => configWarnings.push(`WARNING: Invalid tool definition skipped - ${error}`));
+    toolCatalogWarnings.forEach(warning => configWarnings.push(`WARNING: ${warning}`));
+    listRoutedProfiles()
+        .filter(name => !getProfile(name))
+        .forEach(name => configWarnings.push(`WARNING: Inbound routing uses agent profile "${name}", which does not exist`));
+    const afterHoursProfile = getBusinessHours()?.afterHours?.profile;
+    if (afterHoursProfile && !getProfile(afterHoursProfile)) {
+        configWarnings.push(`WARNING: Business hours use agent profile "${afterHoursProfile}" after hours, which does not exist`);
+    }
+
+    // Check credentials of the default provider; others are optional
+    getProvider(DEFAULT_PROVIDER).getConfigWarnings()
+        .forEach(warning => configWarnings.push(`WARNING: ${warning}`));
+
     // Start with the status section directly
     console.log('--- Status ---');
     
     // Log active voice provider
-    console.log(`🔊 Active voice provider: ${VOICE_PROVIDER.toUpperCase()}`);
+    console.log(`🔊 Default voice provider: ${DEFAULT_PROVIDER.toUpperCase()}`);
+    const otherProviders = listProviders().filter(name => name !== DEFAULT_PROVIDER && getProvider(name).isConfigured());
+    if (otherProviders.length > 0) {
+        console.log(`🔊 Also available per call: ${otherProviders.join(', ').toUpperCase()}`);
+    }
     
     // Log tool configuration with hangUp tool included
     const useTools = process.env.ULTRAVOX_USE_TOOLS === 'true';
@@ -1507,13 +2338,27 @@ server.listen(PORT, async () => {
         console.log('📚 No corpus configured');
     }
 
+    // Without the Ultravox webhook, transcripts and recordings are fetched a little after the provider reports the call ended
+    if (process.env.ULTRAVOX_REGISTER_WEBHOOK === 'true') {
+        if (!process.env.PUBLIC_BASE_URL) {
+            configWarnings.push('WARNING: ULTRAVOX_REGISTER_WEBHOOK=true needs PUBLIC_BASE_URL; the Ultravox webhook was not registered');
+        } else {
+            try {
+                await registerUltravoxWebhook(getPublicBaseUrl());
+            } catch (error) {
+                console.error('❌ Could not register the Ultravox webhook:', error.message);
+            }
+        }
+    }
+
     // Add a blank line before server info
     console.log('\n--- Server Info ---');
     console.log(`Server running on port ${PORT}`);
     console.log(`- Incoming calls endpoint: http://localhost:${PORT}/incoming`);
     console.log(`- Outgoing calls endpoint: http://localhost:${PORT}/outgoing`);
+    console.log(`- Call registry: http://localhost:${PORT}/calls`);
     
-    if (VOICE_PROVIDER === 'telnyx') {
+    if (DEFAULT_PROVIDER === 'telnyx' || otherProviders.includes('telnyx')) {
         console.log(`- Telnyx webhook endpoint: http://localhost:${PORT}/telnyx-webhook`);
         console.log(`- Media streaming WebSocket: ws://localhost:${PORT}/stream-ws`);
         console.log(`- Telnyx test endpoint: http://localhost:${PORT}/test-telnyx`);
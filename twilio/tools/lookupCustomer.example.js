@@ -0,0 +1,42 @@
+/**
+ * Example hosted tool: look up the caller in a CRM
+ *
+ * Copy to tools/lookupCustomer.js (files ending in .example.js are not
+ * loaded) and set CRM_API_URL and CRM_API_KEY.
+ */
+
+import axios from 'axios';
+
+export default {
+  description: 'Look up a customer record by phone number. Use it at the start of the call to greet returning customers by name.',
+  dynamicParameters: [
+    {
+      name: 'phoneNumber',
+      schema: { type: 'string', pattern: '^\\+[1-9]\\d{1,14}$', description: 'Phone number in E.164 format' },
+      required: false
+    }
+  ],
+  // `call` is the call registry record; default to the caller's number
+  async handler({ phoneNumber }, { call }) {
+    const number = phoneNumber || (call?.direction === 'inbound' ? call.from : call?.to);
+    if (!number) {
+      return { found: false, reason: 'No phone number to look up' };
+    }
+
+    const response = await axios.get(`${process.env.CRM_API_URL}/customers`, {
+      params: { phone: number },
+      headers: { Authorization: `Bearer ${process.env.CRM_API_KEY}` },
+      timeout: 5000
+    });
+    const customer = response.data?.results?.[0];
+    if (!customer) {
+      return { found: false };
+    }
+    return {
+      found: true,
+      name: customer.name,
+      plan: customer.plan,
+      openTickets: customer.openTickets
+    };
+  }
+};
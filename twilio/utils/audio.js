@@ -0,0 +1,100 @@
+/**
+ * Audio Utilities
+ *
+ * Conversion between the G.711 µ-law (PCMU) audio that telephony providers
+ * stream and the 16-bit little-endian linear PCM Ultravox expects on a
+ * server WebSocket, plus a simple linear resampler for rate changes.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Lookup table: µ-law byte -> 16-bit linear sample
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_DECODE_TABLE[i] = sign ? -magnitude : magnitude;
+}
+
+/**
+ * Encode a single 16-bit linear sample as µ-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} - µ-law byte
+ */
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decode µ-law audio to 16-bit little-endian PCM
+ * @param {Buffer} mulaw - µ-law bytes
+ * @returns {Buffer} - PCM (two bytes per sample)
+ */
+function mulawToPcm16(mulaw) {
+  const pcm = Buffer.alloc(mulaw.length * 2);
+  for (let i = 0; i < mulaw.length; i++) {
+    pcm.writeInt16LE(MULAW_DECODE_TABLE[mulaw[i]], i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Encode 16-bit little-endian PCM as µ-law
+ * @param {Buffer} pcm - PCM (two bytes per sample; a trailing odd byte is ignored)
+ * @returns {Buffer} - µ-law bytes
+ */
+function pcm16ToMulaw(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  const mulaw = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    mulaw[i] = linearToMulaw(pcm.readInt16LE(i * 2));
+  }
+  return mulaw;
+}
+
+/**
+ * Resample 16-bit little-endian PCM using linear interpolation
+ * Good enough for speech between telephony (8 kHz) and wideband rates.
+ * @param {Buffer} pcm - Input PCM
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Buffer} - Resampled PCM
+ */
+function resamplePcm16(pcm, fromRate, toRate) {
+  if (fromRate === toRate) return pcm;
+
+  const inputSamples = Math.floor(pcm.length / 2);
+  if (inputSamples === 0) return Buffer.alloc(0);
+
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+  const step = fromRate / toRate;
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const current = pcm.readInt16LE(index * 2);
+    const next = index + 1 < inputSamples ? pcm.readInt16LE((index + 1) * 2) : current;
+    output.writeInt16LE(Math.round(current + (next - current) * fraction), i * 2);
+  }
+  return output;
+}
+
+export {
+  mulawToPcm16,
+  pcm16ToMulaw,
+  resamplePcm16
+};
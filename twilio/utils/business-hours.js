@@ -0,0 +1,250 @@
+/**
+ * Business Hours
+ *
+ * A weekly opening schedule for inbound calls, read from
+ * BUSINESS_HOURS_FILE (see config/business-hours.example.json). Times are
+ * wall-clock times in the schedule's `timezone`; `holidays` close the whole
+ * day or replace its hours. Without a file the line is always open.
+ *
+ * Inbound calls that routing would connect to the agent get the
+ * `afterHours` action while closed, in the same shape as routing actions:
+ * - { "action": "agent", "profile": "after-hours" }    a different agent profile
+ * - { "action": "forward", "to": "+15550001111" }      forward to an on-call number
+ * - { "action": "voicemail", "message": "..." }        record a voicemail
+ *
+ * Voicemails are recorded and transcribed by the provider; the recording and
+ * transcription are stored on the call record (`voicemail`) and published as
+ * `voicemail.recorded` / `voicemail.transcribed` webhook events.
+ */
+
+import fs from 'fs';
+import { dataPath } from './json-store.js';
+import { findCall, updateCall } from './call-registry.js';
+import { isValidTimeZone, getZonedParts } from './timezone.js';
+import { publishEvent } from './webhook-subscriptions.js';
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ACTIONS = ['agent', 'forward', 'voicemail'];
+const RANGE_PATTERN = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_VOICEMAIL = {
+  message: 'Thank you for calling. We are closed right now. Please leave a message after the tone.',
+  maxLength: 120,
+  transcribe: true
+};
+
+/**
+ * Parse an opening range
+ * @param {string} range - "HH:MM-HH:MM" (the end may be "24:00")
+ * @returns {Array<number>|null} - [start, end] in minutes after midnight, or null if invalid
+ */
+function parseRange(range) {
+  const match = typeof range === 'string' && range.match(RANGE_PATTERN);
+  if (!match) return null;
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  if (startHour > 23 || startMinute > 59 || endMinute > 59 || end > 24 * 60 || start >= end) return null;
+  return [start, end];
+}
+
+// A day's hours may be one range or a list of them
+function toRanges(hours) {
+  if (hours === undefined || hours === null) return [];
+  return Array.isArray(hours) ? hours : [hours];
+}
+
+// Validate a day's hours; returns error messages prefixed with `where`
+function validateHours(hours, where) {
+  if (hours !== null && typeof hours !== 'string' && !Array.isArray(hours)) {
+    return [`${where}: must be "HH:MM-HH:MM", a list of them, or null`];
+  }
+  return toRanges(hours)
+    .filter(range => !parseRange(range))
+    .map(range => `${where}: "${range}" is not a range like "09:00-17:00"`);
+}
+
+/**
+ * Validate a business hours configuration
+ * @param {Object} config - { timezone, hours, holidays, afterHours }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateBusinessHours(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['config must be an object'];
+
+  const errors = [];
+  if (!isValidTimeZone(config.timezone)) {
+    errors.push('timezone: must be an IANA time zone such as "America/New_York"');
+  }
+
+  const { hours } = config;
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    errors.push(`hours: must be an object of day (${DAYS.join(', ')}) -> opening hours`);
+  } else {
+    for (const [day, dayHours] of Object.entries(hours)) {
+      if (!DAYS.includes(day)) {
+        errors.push(`hours.${day}: not a day (use ${DAYS.join(', ')})`);
+        continue;
+      }
+      errors.push(...validateHours(dayHours, `hours.${day}`));
+    }
+  }
+
+  if (config.holidays !== undefined && !Array.isArray(config.holidays)) {
+    errors.push('holidays: must be an array');
+  } else {
+    (config.holidays || []).forEach((holiday, index) => {
+      const where = `holidays[${index}]`;
+      const date = typeof holiday === 'string' ? holiday : holiday?.date;
+      if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+        errors.push(`${where}: must be a date ("YYYY-MM-DD") or { date, name, hours }`);
+      }
+      if (holiday?.hours !== undefined) {
+        errors.push(...validateHours(holiday.hours, `${where}.hours`));
+      }
+    });
+  }
+
+  const { afterHours } = config;
+  if (!afterHours || typeof afterHours !== 'object' || Array.isArray(afterHours)) {
+    errors.push('afterHours: must be an action object');
+  } else {
+    if (!ACTIONS.includes(afterHours.action)) {
+      errors.push(`afterHours.action: must be one of ${ACTIONS.join(', ')}`);
+    }
+    if (afterHours.action === 'forward' && (typeof afterHours.to !== 'string' || !afterHours.to.trim())) {
+      errors.push('afterHours.to: a number to forward to is required');
+    }
+    if (afterHours.profile !== undefined && typeof afterHours.profile !== 'string') {
+      errors.push('afterHours.profile: must be a string');
+    }
+    if (afterHours.message !== undefined && (typeof afterHours.message !== 'string' || !afterHours.message)) {
+      errors.push('afterHours.message: must be a non-empty string');
+    }
+    if (afterHours.maxLength !== undefined && !(Number.isInteger(afterHours.maxLength) && afterHours.maxLength > 0)) {
+      errors.push('afterHours.maxLength: must be a whole number of seconds');
+    }
+    if (afterHours.transcribe !== undefined && typeof afterHours.transcribe !== 'boolean') {
+      errors.push('afterHours.transcribe: must be true or false');
+    }
+  }
+  return errors;
+}
+
+// Load the schedule once; without a valid file the line is always open
+function loadConfig() {
+  const fileName = process.env.BUSINESS_HOURS_FILE;
+  if (!fileName) return { config: null, errors: [] };
+
+  const file = dataPath(fileName);
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateBusinessHours(config).map(error => `${file}: ${error}`);
+    return errors.length > 0 ? { config: null, errors } : { config, errors };
+  } catch (error) {
+    return { config: null, errors: [`${file}: ${error.message}`] };
+  }
+}
+
+const { config, errors: configErrors } = loadConfig();
+
+/**
+ * Problems with BUSINESS_HOURS_FILE (reported at startup)
+ * @returns {Array<string>}
+ */
+function getBusinessHoursErrors() {
+  return configErrors;
+}
+
+/**
+ * Get the active business hours configuration
+ * @returns {Object|null} - Configuration, or null if none is loaded (always open)
+ */
+function getBusinessHours() {
+  return config;
+}
+
+/**
+ * Whether the line is open at a moment
+ * @param {Date} date - Moment to check (default: now)
+ * @param {Object} schedule - Configuration (default: the loaded one)
+ * @returns {Object} - { open, reason ('no-schedule', 'hours', 'closed' or 'holiday'), holiday, localTime }
+ */
+function checkBusinessHours(date = new Date(), schedule = config) {
+  if (!schedule) return { open: true, reason: 'no-schedule', holiday: null, localTime: null };
+
+  const parts = getZonedParts(date, schedule.timezone);
+  const minutes = parts.hour * 60 + parts.minute;
+  const localTime = `${parts.date} ${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+
+  const holiday = (schedule.holidays || [])
+    .map(entry => (typeof entry === 'string' ? { date: entry } : entry))
+    .find(entry => entry.date === parts.date);
+  const ranges = toRanges(holiday ? holiday.hours : schedule.hours[DAYS[parts.weekday]]).map(parseRange);
+  const open = ranges.some(([start, end]) => minutes >= start && minutes < end);
+
+  return {
+    open,
+    reason: open ? 'hours' : holiday ? 'holiday' : 'closed',
+    holiday: holiday ? holiday.name || holiday.date : null,
+    localTime
+  };
+}
+
+/**
+ * Apply the after-hours action to an inbound routing decision
+ * Only calls routed to the agent are affected; forwards and rejections stand.
+ * @param {Object} decision - Routing decision ({ action, profile, to, message, reason, route })
+ * @param {Date} date - Moment of the call (default: now)
+ * @returns {Object} - The decision, or the after-hours decision while closed
+ *   (reason 'after-hours' or 'holiday'; voicemail decisions add maxLength and transcribe)
+ */
+function applyBusinessHours(decision, date = new Date()) {
+  if (decision.action !== 'agent') return decision;
+
+  const hours = checkBusinessHours(date);
+  if (hours.open) return decision;
+
+  const { afterHours } = config;
+  const voicemail = afterHours.action === 'voicemail'
+    ? { ...DEFAULT_VOICEMAIL, ...afterHours }
+    : null;
+  return {
+    action: afterHours.action,
+    profile: afterHours.profile || null,
+    to: afterHours.to || null,
+    message: voicemail?.message || null,
+    reason: hours.reason === 'holiday' ? 'holiday' : 'after-hours',
+    route: decision.route,
+    ...(voicemail ? { maxLength: voicemail.maxLength, transcribe: voicemail.transcribe } : {})
+  };
+}
+
+/**
+ * Store voicemail details on the call record and tell webhook subscribers
+ * @param {string} callId - Any identifier of the call
+ * @param {Object} patch - Fields of `voicemail` to set
+ * @param {string} event - Webhook event to publish ('voicemail.recorded' or 'voicemail.transcribed'), if any
+ * @returns {Object|undefined} - The updated call
+ */
+function saveVoicemail(callId, patch, event) {
+  const call = findCall(callId);
+  if (!call) return undefined;
+
+  const updated = updateCall(call.id, { voicemail: { ...call.voicemail, ...patch } });
+  console.log(`📨 Voicemail on call ${call.id}: ${event || patch.status}`);
+  if (event) {
+    publishEvent(event, { call: updated });
+  }
+  return updated;
+}
+
+export {
+  validateBusinessHours,
+  getBusinessHoursErrors,
+  getBusinessHours,
+  checkBusinessHours,
+  applyBusinessHours,
+  saveVoicemail
+};
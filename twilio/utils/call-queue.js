@@ -0,0 +1,262 @@
+/**
+ * Call Queue
+ *
+ * Caps the number of simultaneous AI calls (MAX_CONCURRENT_CALLS; unset or
+ * 0 means no cap) so a spike cannot exceed the Ultravox concurrency quota.
+ * Every call with an agent takes a slot until its media stream stops or the
+ * call ends, whichever the server hears of first. Inbound callers that
+ * find every slot taken wait in a hold queue - Twilio <Enqueue>, Telnyx
+ * playback - hearing QUEUE_MESSAGE and then QUEUE_HOLD_AUDIO_URL, and are
+ * connected in the order they arrived as slots free up. Outbound calls take
+ * a slot too, but are never held back.
+ *
+ * A caller who waits longer than QUEUE_MAX_WAIT seconds (default 300), or
+ * arrives when QUEUE_MAX_SIZE callers are already waiting (default 50),
+ * gets the overflow action (QUEUE_OVERFLOW_ACTION), in the same shape as
+ * inbound routing actions:
+ * - reject     say QUEUE_OVERFLOW_MESSAGE and hang up (the default)
+ * - forward    forward to QUEUE_OVERFLOW_TO
+ * - voicemail  say QUEUE_OVERFLOW_MESSAGE and record a voicemail
+ *
+ * Slots and waiting callers are kept in memory and are lost on restart.
+ */
+
+import { findCall, callEvents } from './call-registry.js';
+
+// Twilio queue that callers wait in (<Enqueue>)
+const QUEUE_NAME = 'ai-callers';
+const OVERFLOW_ACTIONS = ['reject', 'forward', 'voicemail'];
+
+const DEFAULTS = {
+  maxWaitSeconds: 300,
+  maxSize: 50,
+  message: 'All of our agents are busy right now. Please stay on the line and you will be connected shortly.',
+  holdAudioUrl: 'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3',
+  overflowMessage: {
+    reject: 'Sorry, all of our agents are still busy. Please try again later.',
+    voicemail: 'Sorry, all of our agents are still busy. Please leave a message after the tone.'
+  }
+};
+
+// Call record ID -> when the slot was taken
+const slots = new Map();
+
+// Waiting callers, oldest first: { id, callId, provider, call, routing, baseUrl, enqueuedAt, timer }
+const waiting = [];
+
+let handlers = null;
+
+/**
+ * Queue settings from the environment
+ * @returns {Object} - { maxConcurrent, maxWaitSeconds, maxSize, message, holdAudioUrl, overflow: { action, to, message } }
+ */
+function getQueueSettings() {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  const action = process.env.QUEUE_OVERFLOW_ACTION || 'reject';
+  return {
+    maxConcurrent: number(process.env.MAX_CONCURRENT_CALLS, 0),
+    maxWaitSeconds: number(process.env.QUEUE_MAX_WAIT, DEFAULTS.maxWaitSeconds),
+    maxSize: number(process.env.QUEUE_MAX_SIZE, DEFAULTS.maxSize),
+    message: process.env.QUEUE_MESSAGE ?? DEFAULTS.message,
+    holdAudioUrl: process.env.QUEUE_HOLD_AUDIO_URL || DEFAULTS.holdAudioUrl,
+    overflow: {
+      action,
+      to: process.env.QUEUE_OVERFLOW_TO || null,
+      message: process.env.QUEUE_OVERFLOW_MESSAGE || DEFAULTS.overflowMessage[action] || null
+    }
+  };
+}
+
+/**
+ * Problems with the MAX_CONCURRENT_CALLS / QUEUE_* settings (reported at startup)
+ * @returns {Array<string>}
+ */
+function getQueueConfigErrors() {
+  const { overflow } = getQueueSettings();
+  const errors = [];
+  if (!OVERFLOW_ACTIONS.includes(overflow.action)) {
+    errors.push(`QUEUE_OVERFLOW_ACTION: must be one of ${OVERFLOW_ACTIONS.join(', ')}`);
+  }
+  if (overflow.action === 'forward' && !overflow.to) {
+    errors.push('QUEUE_OVERFLOW_TO: a number to forward to is required');
+  }
+  return errors;
+}
+
+// Registry ID of a call, so provider and Ultravox IDs share one slot
+function resolveId(callId) {
+  return findCall(callId)?.id || callId;
+}
+
+// Drop slots of calls that have ended without us hearing about it
+function pruneSlots() {
+  for (const id of slots.keys()) {
+    if (findCall(id)?.endedAt) slots.delete(id);
+  }
+}
+
+/**
+ * Take a slot for a call that is about to be connected to an agent
+ * Fails when every slot is taken, or when callers are already waiting (they go first).
+ * @param {string} callId - Any identifier of the call
+ * @param {Object} options - { force } to take a slot regardless (outbound calls)
+ * @returns {boolean} - Whether the call has a slot
+ */
+function acquireSlot(callId, { force = false } = {}) {
+  const id = resolveId(callId);
+  if (slots.has(id)) return true;
+
+  const { maxConcurrent } = getQueueSettings();
+  pruneSlots();
+  if (!force && maxConcurrent > 0 && (slots.size >= maxConcurrent || waiting.length > 0)) {
+    return false;
+  }
+  slots.set(id, Date.now());
+  return true;
+}
+
+/**
+ * Give a call's slot back and connect the next waiting caller
+ * @param {string} callId - Any identifier of the call
+ */
+function releaseSlot(callId) {
+  if (slots.delete(resolveId(callId))) {
+    drainQueue();
+  }
+}
+
+// Take the waiting caller out of the queue (returns the entry)
+function takeEntry(id) {
+  const index = waiting.findIndex(entry => entry.id === id);
+  if (index === -1) return undefined;
+  const [entry] = waiting.splice(index, 1);
+  clearTimeout(entry.timer);
+  return entry;
+}
+
+// Connect waiting callers while slots are free
+function drainQueue() {
+  const { maxConcurrent } = getQueueSettings();
+  pruneSlots();
+  while (waiting.length > 0 && (maxConcurrent === 0 || slots.size < maxConcurrent)) {
+    const entry = takeEntry(waiting[0].id);
+    slots.set(entry.id, Date.now());
+    console.log(`🎵 Connecting queued call ${entry.callId} after ${Math.round((Date.now() - entry.enqueuedAt) / 1000)}s`);
+    handlers.connect(entry).catch(error => {
+      console.error(`🎵 Could not connect queued call ${entry.callId}:`, error.message);
+      slots.delete(entry.id);
+      handlers.overflow(entry, getOverflowDecision('queue-error', entry.routing)).catch(() => {});
+    });
+  }
+}
+
+/**
+ * Routing decision for a caller the queue cannot take or keep
+ * @param {string} reason - 'queue-full', 'queue-timeout' or 'queue-error'
+ * @param {Object} routing - The caller's routing decision (for its route)
+ * @returns {Object} - { action, profile, to, message, reason, route } (voicemail adds maxLength and transcribe)
+ */
+function getOverflowDecision(reason, routing = {}) {
+  const { overflow } = getQueueSettings();
+  return {
+    action: overflow.action,
+    profile: null,
+    to: overflow.to,
+    message: overflow.message,
+    reason,
+    route: routing.route ?? null,
+    ...(overflow.action === 'voicemail' ? { maxLength: 120, transcribe: true } : {})
+  };
+}
+
+/**
+ * Put an inbound caller in the hold queue
+ * @param {Object} details - { callId (provider call ID), provider (name), call (parsed inbound call), routing, baseUrl }
+ * @returns {Object} - { position } or { error: 'conflict', overflow } when the queue is full
+ */
+function enqueueCaller(details) {
+  const { maxWaitSeconds, maxSize } = getQueueSettings();
+  if (waiting.length >= maxSize) {
+    console.log(`🎵 Queue full (${waiting.length} waiting), overflowing call ${details.callId}`);
+    return { error: 'conflict', overflow: getOverflowDecision('queue-full', details.routing) };
+  }
+
+  const entry = { ...details, id: resolveId(details.callId), enqueuedAt: Date.now() };
+  entry.timer = setTimeout(() => {
+    if (!takeEntry(entry.id)) return;
+    console.log(`🎵 Call ${entry.callId} waited ${maxWaitSeconds}s in the queue, overflowing`);
+    handlers.overflow(entry, getOverflowDecision('queue-timeout', entry.routing)).catch(error =>
+      console.error(`🎵 Could not apply the overflow action to call ${entry.callId}:`, error.message));
+  }, maxWaitSeconds * 1000);
+  entry.timer.unref();
+
+  waiting.push(entry);
+  console.log(`🎵 Call ${entry.callId} queued at position ${waiting.length}`);
+  return { position: waiting.length };
+}
+
+/**
+ * Whether a call is waiting in the hold queue
+ * @param {string} callId - Any identifier of the call
+ * @returns {boolean}
+ */
+function isQueued(callId) {
+  const id = resolveId(callId);
+  return waiting.some(entry => entry.id === id);
+}
+
+/**
+ * Current queue depth and slot usage
+ * @returns {Object} - { maxConcurrent, active, waiting, maxSize, maxWaitSeconds, callers }
+ */
+function getQueueStatus() {
+  const { maxConcurrent, maxSize, maxWaitSeconds } = getQueueSettings();
+  pruneSlots();
+  const now = Date.now();
+  return {
+    maxConcurrent,
+    active: slots.size,
+    waiting: waiting.length,
+    maxSize,
+    maxWaitSeconds,
+    callers: waiting.map((entry, index) => ({
+      callId: entry.id,
+      providerCallId: entry.callId,
+      provider: entry.provider,
+      from: entry.call.from,
+      position: index + 1,
+      waitingSeconds: Math.round((now - entry.enqueuedAt) / 1000)
+    }))
+  };
+}
+
+/**
+ * Start handing waiting callers to the server as slots free up
+ * Slots of ended calls are released here; callers who hang up leave the queue.
+ * @param {Object} queueHandlers - Connect and overflow a waiting caller
+ * @param {Function} queueHandlers.connect - async (entry) => void; connects the caller to an agent
+ * @param {Function} queueHandlers.overflow - async (entry, decision) => void; applies the overflow decision
+ */
+function startCallQueue(queueHandlers) {
+  handlers = queueHandlers;
+  callEvents.on('ended', call => {
+    takeEntry(call.id);
+    releaseSlot(call.id);
+  });
+}
+
+export {
+  QUEUE_NAME,
+  getQueueSettings,
+  getQueueConfigErrors,
+  acquireSlot,
+  releaseSlot,
+  getOverflowDecision,
+  enqueueCaller,
+  isQueued,
+  getQueueStatus,
+  startCallQueue
+};
@@ -0,0 +1,96 @@
+/**
+ * Call Reconciler
+ *
+ * Calls normally reach a final status through the provider status webhooks.
+ * Twilio only sends those for inbound calls when the phone number's "call
+ * status changes" webhook points at /call-status, and any webhook can get
+ * lost; such a call would stay live in the registry for good, holding its
+ * concurrency slot and never getting its transcript or recording stored.
+ *
+ * Every CALL_RECONCILE_INTERVAL_SECONDS (default 60) the provider is asked
+ * about open calls that have not changed for CALL_RECONCILE_AFTER_SECONDS
+ * (default 300), and the status it reports is recorded. The server also
+ * checks a call shortly after its media stream stops.
+ */
+
+import { findCall, listOpenCalls, updateCall } from './call-registry.js';
+
+// Give the provider a moment to finish the call after its stream stops
+const STREAM_END_CHECK_DELAY_MS = 5000;
+
+let fetchStatus = null;
+let sweeping = false;
+
+function getSettings() {
+  const seconds = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+  };
+  return {
+    intervalMs: seconds(process.env.CALL_RECONCILE_INTERVAL_SECONDS, 60) * 1000,
+    staleMs: seconds(process.env.CALL_RECONCILE_AFTER_SECONDS, 300) * 1000
+  };
+}
+
+/**
+ * Ask the provider for a call's status and record it if it changed
+ * @param {string} id - Any identifier of the call
+ * @returns {Promise<Object|undefined>} - The (possibly updated) call
+ */
+async function reconcileCall(id) {
+  const call = findCall(id);
+  if (!fetchStatus || !call || call.endedAt || !call.providerCallId) return call;
+
+  try {
+    const result = await fetchStatus(call);
+    if (result?.status && result.status !== call.status) {
+      console.log(`🔁 ${call.provider} reports call ${call.id} as ${result.status} (registry had ${call.status})`);
+      return updateCall(call.id, { status: result.status, source: 'reconcile', duration: result.duration });
+    }
+  } catch (error) {
+    console.error(`🔁 Could not check the status of call ${call.id}:`, error.message);
+  }
+  return call;
+}
+
+/**
+ * Check a call shortly after its media stream stopped (the caller may have hung up)
+ * @param {string} id - Any identifier of the call
+ */
+function reconcileCallSoon(id) {
+  setTimeout(() => reconcileCall(id), STREAM_END_CHECK_DELAY_MS).unref();
+}
+
+// Check every open call that has been quiet for a while, one at a time
+async function sweep() {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const cutoff = Date.now() - getSettings().staleMs;
+    for (const call of listOpenCalls()) {
+      if (Date.parse(call.updatedAt) <= cutoff) {
+        await reconcileCall(call.id);
+      }
+    }
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Start checking open calls against the provider
+ * @param {Function} fetchCallStatus - async (call) => { status, duration } or null; asks the call's provider
+ * @returns {Function} - Stops the loop
+ */
+function startCallReconciler(fetchCallStatus) {
+  fetchStatus = fetchCallStatus;
+  const timer = setInterval(sweep, getSettings().intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export {
+  reconcileCall,
+  reconcileCallSoon,
+  startCallReconciler
+};
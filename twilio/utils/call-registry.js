@@ -0,0 +1,243 @@
+/**
+ * Call Registry
+ *
+ * Persistent record of every call handled by the server: provider call
+ * identifiers, the matching Ultravox call, direction, parties, the profile
+ * used and a timestamped history of status transitions.
+ *
+ * `callEvents` emits 'created' (call) when a call is first recorded,
+ * 'status' (call, status) on every status change and 'ended' (call) once a
+ * call reaches a final status.
+ *
+ * The registry keeps at most CALL_REGISTRY_MAX_CALLS records (default
+ * 10000); beyond that the oldest ended calls are dropped.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore(process.env.CALL_REGISTRY_FILE || 'calls.json', { calls: [] });
+
+// Statuses after which a call will not change state again
+const FINAL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+const DEFAULT_MAX_CALLS = 10000;
+
+const callEvents = new EventEmitter();
+
+// Record ID, provider call ID and Ultravox call ID -> call record
+const index = new Map();
+
+// Identifiers a call can be looked up by
+function callKeys(call) {
+  return [call.id, call.providerCallId, call.ultravoxCallId].filter(Boolean);
+}
+
+// The first call recorded with an identifier keeps it
+function indexCall(call) {
+  for (const key of callKeys(call)) {
+    if (!index.has(key)) index.set(key, call);
+  }
+}
+
+function unindexCall(call) {
+  for (const key of callKeys(call)) {
+    if (index.get(key) === call) index.delete(key);
+  }
+}
+
+store.data.calls.forEach(indexCall);
+
+// Drop the oldest ended calls once the registry holds more than CALL_REGISTRY_MAX_CALLS
+function pruneCalls() {
+  const parsed = parseInt(process.env.CALL_REGISTRY_MAX_CALLS, 10);
+  const maxCalls = Number.isNaN(parsed) || parsed < 1 ? DEFAULT_MAX_CALLS : parsed;
+  let excess = store.data.calls.length - maxCalls;
+  if (excess <= 0) return;
+
+  store.data.calls = store.data.calls.filter(call => {
+    if (excess <= 0 || !call.endedAt) return true;
+    excess--;
+    unindexCall(call);
+    return false;
+  });
+}
+
+/**
+ * Find a call by internal ID, provider call SID / control ID, or Ultravox call ID
+ * @param {string} id - Any of the identifiers stored on the call
+ * @returns {Object|undefined} - The call record
+ */
+function findCall(id) {
+  if (!id) return undefined;
+  return index.get(id);
+}
+
+/**
+ * Register a new call
+ * @param {Object} details - Call details
+ * @param {string} details.provider - 'twilio' or 'telnyx'
+ * @param {string} details.providerCallId - Twilio CallSid or Telnyx call_control_id
+ * @param {string} details.ultravoxCallId - Ultravox call ID, if already created
+ * @param {string} details.direction - 'inbound' or 'outbound'
+ * @param {string} details.from - Calling number
+ * @param {string} details.to - Called number
+ * @param {string} details.profile - Name of the agent profile used
+ * @param {string} details.status - Initial status (defaults to 'initiated')
+ * @returns {Object} - The stored call record
+ */
+function recordCall(details = {}) {
+  const existing = findCall(details.providerCallId) || findCall(details.ultravoxCallId);
+  if (existing) {
+    return updateCall(existing.id, details);
+  }
+
+  const now = new Date().toISOString();
+  const status = details.status || 'initiated';
+  const call = {
+    id: crypto.randomUUID(),
+    provider: details.provider || null,
+    providerCallId: details.providerCallId || null,
+    ultravoxCallId: details.ultravoxCallId || null,
+    direction: details.direction || null,
+    from: details.from || null,
+    to: details.to || null,
+    profile: details.profile || null,
+    status,
+    statusHistory: [{ status, at: now, source: details.source || 'server' }],
+    metadata: details.metadata || {},
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.data.calls.push(call);
+  indexCall(call);
+  pruneCalls();
+  store.save();
+
+  callEvents.emit('created', call);
+  return call;
+}
+
+/**
+ * Merge fields into an existing call record
+ * @param {string} id - Any identifier accepted by findCall
+ * @param {Object} patch - Fields to merge; `metadata` is merged shallowly
+ * @returns {Object|undefined} - The updated call, or undefined if not found
+ */
+function updateCall(id, patch = {}) {
+  const call = findCall(id);
+  if (!call) return undefined;
+
+  const { status, source, metadata, ...fields } = patch;
+  unindexCall(call);
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null && key !== 'id' && key !== 'statusHistory') {
+      call[key] = value;
+    }
+  }
+  indexCall(call);
+  if (metadata) {
+    call.metadata = { ...call.metadata, ...metadata };
+  }
+  call.updatedAt = new Date().toISOString();
+  store.save();
+
+  if (status) {
+    updateCallStatus(call.id, status, { source });
+  }
+  return call;
+}
+
+/**
+ * Append a status transition to a call
+ * Repeated reports of the current status, and late reports arriving after
+ * the call has already ended, are ignored.
+ * @param {string} id - Any identifier accepted by findCall
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields stored with the transition (e.g. source, raw provider status)
+ * @returns {Object|undefined} - The updated call, or undefined if not found
+ */
+function updateCallStatus(id, status, details = {}) {
+  const call = findCall(id);
+  if (!call || !status) return call;
+  if (call.status === status || FINAL_STATUSES.includes(call.status)) return call;
+
+  const now = new Date().toISOString();
+  const entry = { status, at: now };
+  for (const [key, value] of Object.entries(details)) {
+    if (value !== undefined) entry[key] = value;
+  }
+  call.statusHistory.push(entry);
+  call.status = status;
+  call.updatedAt = now;
+  if (FINAL_STATUSES.includes(status) && !call.endedAt) {
+    call.endedAt = now;
+  }
+  store.save();
+
+  callEvents.emit('status', call, status);
+  if (FINAL_STATUSES.includes(status)) {
+    callEvents.emit('ended', call);
+  }
+  return call;
+}
+
+/**
+ * Calls that have not reached a final status yet
+ * @returns {Array<Object>} - Call records, oldest first
+ */
+function listOpenCalls() {
+  return store.data.calls.filter(call => !call.endedAt);
+}
+
+/**
+ * List calls with optional filters and pagination, newest first
+ * @param {Object} filters - Query filters
+ * @param {string} filters.status - Current status
+ * @param {string} filters.direction - 'inbound' or 'outbound'
+ * @param {string} filters.provider - 'twilio' or 'telnyx'
+ * @param {string} filters.profile - Agent profile name
+ * @param {string} filters.from - Calling number
+ * @param {string} filters.to - Called number
+ * @param {string} filters.since - ISO timestamp; only calls created at or after
+ * @param {string} filters.until - ISO timestamp; only calls created before
+ * @param {number} filters.limit - Page size (default 50, max 500)
+ * @param {number} filters.offset - Number of records to skip
+ * @returns {{total: number, limit: number, offset: number, calls: Array}} - One page of results
+ */
+function listCalls(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  const exactFields = ['status', 'direction', 'provider', 'profile', 'from', 'to'];
+
+  const matches = store.data.calls.filter(call => {
+    for (const field of exactFields) {
+      if (filters[field] && call[field] !== filters[field]) return false;
+    }
+    if (filters.since && call.createdAt < new Date(filters.since).toISOString()) return false;
+    if (filters.until && call.createdAt >= new Date(filters.until).toISOString()) return false;
+    return true;
+  });
+
+  matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: matches.length,
+    limit,
+    offset,
+    calls: matches.slice(offset, offset + limit)
+  };
+}
+
+export {
+  FINAL_STATUSES,
+  callEvents,
+  findCall,
+  recordCall,
+  updateCall,
+  updateCallStatus,
+  listOpenCalls,
+  listCalls
+};
@@ -0,0 +1,449 @@
+/**
+ * Call Transfer
+ *
+ * A server-hosted tool (`transferCall`) that hands a live call from the
+ * agent to a person. Targets are configured per department in
+ * TRANSFER_CONFIG_FILE (see config/transfer.example.json); the tool is only
+ * offered when at least one department is configured.
+ *
+ * - Cold transfer: the caller is connected to the department straight away.
+ * - Warm transfer: the person who answers first hears a short summary of the
+ *   call, written by the agent, and is then connected to the caller.
+ *
+ * Twilio calls are redirected to a <Dial> (the summary is a whisper on the
+ * dialed <Number>); Telnyx calls use the Call Control `transfer` action, or
+ * dial the department, speak the summary and bridge the two legs for a warm
+ * transfer. If nobody answers, the department's `fallback` department is
+ * tried next, and once every option is exhausted the caller hears the
+ * no-answer message and the call ends. Progress is stored on the call
+ * record (`transfer`).
+ */
+
+import fs from 'fs';
+import { dataPath } from './json-store.js';
+import { findCall, updateCall } from './call-registry.js';
+import { getProvider } from '../providers/index.js';
+import { getToolSecretParameters } from './tool-handlers.js';
+
+const TOOL_NAME = 'transferCall';
+const MODES = ['cold', 'warm'];
+const LIVE_STATUSES = ['in-progress', 'answered'];
+
+const DEFAULTS = {
+  mode: 'cold',
+  ringTimeout: 20,
+  // Lets the agent finish telling the caller about the transfer before its audio is cut
+  delaySeconds: 2,
+  noAnswerMessage: 'Sorry, nobody is available to take your call right now. Please try again later.'
+};
+
+/**
+ * Validate a transfer configuration
+ * @param {Object} config - { departments, mode, ringTimeout, delaySeconds, noAnswerMessage, holdAudioUrl }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateTransferConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['config must be an object'];
+
+  const errors = [];
+  const { departments } = config;
+  if (!departments || typeof departments !== 'object' || Array.isArray(departments) || Object.keys(departments).length === 0) {
+    return ['departments: must be an object of department name -> { to, description, mode, fallback }'];
+  }
+  if (config.mode !== undefined && !MODES.includes(config.mode)) {
+    errors.push(`mode: must be one of ${MODES.join(', ')}`);
+  }
+  for (const field of ['ringTimeout', 'delaySeconds']) {
+    if (config[field] !== undefined && !(typeof config[field] === 'number' && config[field] >= 0)) {
+      errors.push(`${field}: must be a number of seconds`);
+    }
+  }
+  for (const field of ['noAnswerMessage', 'holdAudioUrl']) {
+    if (config[field] !== undefined && (typeof config[field] !== 'string' || !config[field])) {
+      errors.push(`${field}: must be a non-empty string`);
+    }
+  }
+
+  for (const [name, department] of Object.entries(departments)) {
+    if (!department || typeof department !== 'object') {
+      errors.push(`departments.${name}: must be an object`);
+      continue;
+    }
+    if (typeof department.to !== 'string' || !department.to) {
+      errors.push(`departments.${name}.to: must be a phone number or SIP URI`);
+    }
+    if (department.mode !== undefined && !MODES.includes(department.mode)) {
+      errors.push(`departments.${name}.mode: must be one of ${MODES.join(', ')}`);
+    }
+    if (department.ringTimeout !== undefined && !(typeof department.ringTimeout === 'number' && department.ringTimeout > 0)) {
+      errors.push(`departments.${name}.ringTimeout: must be a number of seconds`);
+    }
+    if (department.fallback !== undefined && (department.fallback === name || !Object.hasOwn(departments, department.fallback))) {
+      errors.push(`departments.${name}.fallback: must name another department`);
+    }
+  }
+  return errors;
+}
+
+// Load the configured departments once; without a valid file the tool is not offered
+function loadConfig() {
+  const fileName = process.env.TRANSFER_CONFIG_FILE;
+  if (!fileName) return { config: null, errors: [] };
+
+  const file = dataPath(fileName);
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateTransferConfig(config).map(error => `${file}: ${error}`);
+    return errors.length > 0 ? { config: null, errors } : { config: { ...DEFAULTS, ...config }, errors };
+  } catch (error) {
+    return { config: null, errors: [`${file}: ${error.message}`] };
+  }
+}
+
+const { config, errors: configErrors } = loadConfig();
+
+/**
+ * Problems with TRANSFER_CONFIG_FILE (reported at startup)
+ * @returns {Array<string>}
+ */
+function getTransferConfigErrors() {
+  return configErrors;
+}
+
+/**
+ * Get the active transfer configuration
+ * @returns {Object|null} - Configuration with defaults applied, or null if none is loaded
+ */
+function getTransferConfig() {
+  return config;
+}
+
+/**
+ * Whether the transfer tool is added to calls (departments configured and TRANSFER_TOOL_ENABLED is not false)
+ * @returns {boolean}
+ */
+function isTransferToolEnabled() {
+  return !!config && process.env.TRANSFER_TOOL_ENABLED !== 'false';
+}
+
+/**
+ * Build the temporary tool definition for a call
+ * @param {string} baseUrl - Public base URL of this server
+ * @returns {Object} - Selected tool entry
+ */
+function buildTransferTool(baseUrl) {
+  const departments = Object.entries(config.departments)
+    .map(([name, department]) => (department.description ? `${name} (${department.description})` : name))
+    .join('; ');
+
+  return {
+    temporaryTool: {
+      modelToolName: TOOL_NAME,
+      description: 'Transfer the caller to a person in one of these departments: ' + departments + '. ' +
+        'Use it when the caller asks for a person or needs help you cannot give. ' +
+        'Tell the caller you are transferring them before calling it; the call leaves you once it is used.',
+      dynamicParameters: [
+        {
+          name: 'department',
+          location: 'PARAMETER_LOCATION_BODY',
+          schema: { type: 'string', enum: Object.keys(config.departments), description: 'Department to transfer to' },
+          required: true
+        },
+        {
+          name: 'summary',
+          location: 'PARAMETER_LOCATION_BODY',
+          schema: {
+            type: 'string',
+            description: 'One or two sentences for the person taking the call: who is calling and what they need'
+          },
+          required: true
+        },
+        {
+          name: 'mode',
+          location: 'PARAMETER_LOCATION_BODY',
+          schema: {
+            type: 'string',
+            enum: MODES,
+            description: 'warm: the person hears the summary before being connected; cold: connect immediately. Leave out for the department default'
+          },
+          required: false
+        }
+      ],
+      automaticParameters: [
+        {
+          name: 'callId',
+          location: 'PARAMETER_LOCATION_QUERY',
+          knownValue: 'KNOWN_PARAM_CALL_ID'
+        }
+      ],
+      staticParameters: getToolSecretParameters(),
+      http: {
+        baseUrlPattern: `${baseUrl}/tools/transfer`,
+        httpMethod: 'POST'
+      }
+    }
+  };
+}
+
+/**
+ * Validate a transfer request from the agent
+ * @param {Object} payload - { department, summary, mode }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateTransferRequest(payload) {
+  if (!payload || typeof payload !== 'object') return ['body must be an object'];
+
+  const errors = [];
+  if (!Object.hasOwn(config.departments, payload.department)) {
+    errors.push(`department: must be one of ${Object.keys(config.departments).join(', ')}`);
+  }
+  if (payload.summary !== undefined && typeof payload.summary !== 'string') {
+    errors.push('summary: must be a string');
+  }
+  if (payload.mode !== undefined && !MODES.includes(payload.mode)) {
+    errors.push(`mode: must be one of ${MODES.join(', ')}`);
+  }
+  return errors;
+}
+
+// Text the person taking a warm transfer hears before being connected
+function whisperText(transfer) {
+  return `Transferred call for ${transfer.department}. ${transfer.summary || 'The caller asked to speak to someone.'}`;
+}
+
+// Telnyx echoes client_state back on every event of the leg it was set on
+function encodeClientState(callId) {
+  return Buffer.from(JSON.stringify({ transferOf: callId })).toString('base64');
+}
+
+function decodeClientState(clientState) {
+  if (!clientState) return null;
+  try {
+    return JSON.parse(Buffer.from(clientState, 'base64').toString('utf8')).transferOf || null;
+  } catch {
+    return null;
+  }
+}
+
+// Record a new attempt at a department; returns the updated call and its target
+function beginAttempt(call, department) {
+  const target = config.departments[department];
+  const attempt = { department, to: target.to, status: 'dialing', startedAt: new Date().toISOString() };
+  const updated = updateCall(call.id, {
+    transfer: { ...call.transfer, department, to: target.to, status: 'dialing', attempts: [...call.transfer.attempts, attempt] }
+  });
+  console.log(`📲 Transferring call ${call.id} to ${department} (${target.to}, ${call.transfer.mode})`);
+  return { call: updated, target };
+}
+
+// Provider callback URLs for a transfer in progress
+function transferUrls(call) {
+  const { baseUrl, mode } = call.transfer;
+  return {
+    actionUrl: `${baseUrl}/transfer/status?callId=${call.id}`,
+    whisperUrl: mode === 'warm' ? `${baseUrl}/transfer/whisper?callId=${call.id}` : undefined
+  };
+}
+
+/**
+ * Ring a department for a call that is being transferred
+ * @param {Object} call - Call record with a transfer in progress
+ * @param {string} department - Department name
+ * @returns {Promise<Object>} - The updated call
+ */
+async function dialDepartment(call, department) {
+  const { call: updated, target } = beginAttempt(call, department);
+  const { mode, baseUrl } = updated.transfer;
+
+  await getProvider(updated.provider).transfer(updated.providerCallId, {
+    to: target.to,
+    timeout: target.ringTimeout ?? config.ringTimeout,
+    whisper: mode === 'warm' ? whisperText(updated.transfer) : undefined,
+    ...transferUrls(updated),
+    webhookUrl: `${baseUrl}/telnyx-webhook`,
+    clientState: encodeClientState(updated.id),
+    holdAudioUrl: config.holdAudioUrl
+  });
+  return updated;
+}
+
+// Update the current attempt (and the transfer's overall status)
+function setAttemptStatus(call, status, details = {}) {
+  const attempts = call.transfer.attempts.map((attempt, index) =>
+    index === call.transfer.attempts.length - 1 ? { ...attempt, status, ...details } : attempt);
+  return updateCall(call.id, { transfer: { ...call.transfer, status, attempts } });
+}
+
+/**
+ * The department to try after the current one did not answer
+ * @param {Object} call - Call record with a transfer in progress
+ * @returns {string|null} - Department name, or null once every fallback has been tried
+ */
+function nextFallback(call) {
+  const tried = call.transfer.attempts.map(attempt => attempt.department);
+  const fallback = config.departments[call.transfer.department]?.fallback;
+  return fallback && !tried.includes(fallback) ? fallback : null;
+}
+
+/**
+ * Start transferring a live call
+ * The agent's audio is given a moment to finish before the provider is told.
+ * @param {string} callId - Any identifier of the call (the tool sends the Ultravox call ID)
+ * @param {Object} payload - { department, summary, mode }
+ * @param {Object} options - { baseUrl } public base URL for provider callbacks
+ * @returns {Object} - { call } or { error: 'not-found'|'conflict'|'invalid', message, details }
+ */
+function startTransfer(callId, payload, { baseUrl } = {}) {
+  const call = findCall(callId);
+  if (!call) return { error: 'not-found', message: `Call ${callId} not found` };
+
+  const errors = validateTransferRequest(payload);
+  if (errors.length > 0) return { error: 'invalid', details: errors };
+
+  if (!LIVE_STATUSES.includes(call.status) || !call.providerCallId) {
+    return { error: 'conflict', message: `Call ${call.id} is ${call.status}, not connected` };
+  }
+  if (call.transfer && !['no-answer', 'failed'].includes(call.transfer.status)) {
+    return { error: 'conflict', message: `Call ${call.id} is already being transferred` };
+  }
+
+  const department = config.departments[payload.department];
+  const transfer = {
+    department: payload.department,
+    mode: payload.mode || department.mode || config.mode,
+    summary: payload.summary || null,
+    status: 'pending',
+    requestedAt: new Date().toISOString(),
+    attempts: [],
+    baseUrl
+  };
+  const updated = updateCall(call.id, { transfer });
+
+  const timer = setTimeout(() => {
+    dialDepartment(updated, payload.department).catch(error => {
+      console.error(`❌ Transfer of call ${call.id} failed:`, error.response?.data || error.message);
+      setAttemptStatus(findCall(call.id), 'failed', { error: error.message });
+    });
+  }, config.delaySeconds * 1000);
+  timer.unref();
+
+  return { call: updated };
+}
+
+/**
+ * Decide what a Twilio call does after its transfer <Dial> ends
+ * @param {string} callId - Call record ID (from the Dial action URL)
+ * @param {string} dialStatus - DialCallStatus (completed, answered, busy, no-answer, failed, canceled)
+ * @returns {Promise<string>} - TwiML document
+ */
+async function handleTwilioDialResult(callId, dialStatus) {
+  const provider = getProvider('twilio');
+  let call = findCall(callId);
+  if (!call?.transfer || !config) return provider.rejectTwiml(DEFAULTS.noAnswerMessage);
+
+  if (dialStatus === 'completed' || dialStatus === 'answered') {
+    setAttemptStatus(call, 'completed');
+    // The caller and the department have finished talking
+    return provider.hangupTwiml();
+  }
+
+  call = setAttemptStatus(call, 'no-answer', { dialStatus });
+  const fallback = nextFallback(call);
+  if (!fallback) {
+    console.log(`📲 Nobody answered the transfer of call ${call.id}`);
+    return provider.rejectTwiml(config.noAnswerMessage);
+  }
+
+  console.log(`📲 No answer from ${call.transfer.department}, trying ${fallback} for call ${call.id}`);
+  const { call: updated, target } = beginAttempt(call, fallback);
+  return provider.transferTwiml(target.to, {
+    timeout: target.ringTimeout ?? config.ringTimeout,
+    ...transferUrls(updated)
+  });
+}
+
+/**
+ * What the person answering a warm Twilio transfer hears
+ * @param {string} callId - Call record ID
+ * @returns {string} - TwiML document
+ */
+function twilioWhisper(callId) {
+  const call = findCall(callId);
+  return getProvider('twilio').errorTwiml(call?.transfer ? whisperText(call.transfer) : 'Transferred call.');
+}
+
+/**
+ * Handle a Telnyx event for a department leg of a transfer
+ * @param {Object} event - The `data` object of a Telnyx webhook
+ * @returns {Promise<boolean>} - Whether the event belonged to a transfer leg
+ */
+async function handleTelnyxTransferEvent(event) {
+  const callId = decodeClientState(event.payload?.client_state);
+  let call = callId && findCall(callId);
+  if (!call?.transfer) return false;
+
+  const provider = getProvider('telnyx');
+  const legId = event.payload.call_control_id;
+
+  switch (event.event_type) {
+    case 'call.answered':
+      if (call.transfer.mode === 'warm') {
+        // The caller stays on hold until the summary has been read out
+        setAttemptStatus(call, 'briefing', { legId });
+        await provider.speak(legId, whisperText(call.transfer));
+      } else {
+        setAttemptStatus(call, 'connected', { legId });
+        console.log(`📲 Call ${call.id} connected to ${call.transfer.department}`);
+      }
+      break;
+
+    case 'call.speak.ended':
+      if (call.transfer.status === 'briefing') {
+        await provider.bridge(call.providerCallId, legId);
+        setAttemptStatus(call, 'connected');
+        console.log(`📲 Call ${call.id} connected to ${call.transfer.department} after the summary`);
+      }
+      break;
+
+    case 'call.hangup':
+      if (call.transfer.status === 'dialing' || call.transfer.status === 'briefing') {
+        call = setAttemptStatus(call, 'no-answer', { hangupCause: event.payload.hangup_cause });
+        const fallback = nextFallback(call);
+        if (fallback) {
+          console.log(`📲 No answer from ${call.transfer.department}, trying ${fallback} for call ${call.id}`);
+          try {
+            await dialDepartment(call, fallback);
+            break;
+          } catch (error) {
+            console.error(`❌ Transfer of call ${call.id} to ${fallback} failed:`, error.response?.data || error.message);
+            setAttemptStatus(findCall(call.id), 'failed', { error: error.message });
+          }
+        } else {
+          console.log(`📲 Nobody answered the transfer of call ${call.id}`);
+        }
+        // call.speak.ended on the caller's leg ends the call
+        await provider.speak(call.providerCallId, config.noAnswerMessage);
+      } else if (call.transfer.status === 'connected') {
+        setAttemptStatus(call, 'completed');
+      }
+      break;
+
+    default:
+      console.log(`Transfer leg event for call ${call.id}: ${event.event_type}`);
+  }
+  return true;
+}
+
+export {
+  TOOL_NAME as TRANSFER_TOOL_NAME,
+  validateTransferConfig,
+  getTransferConfigErrors,
+  getTransferConfig,
+  isTransferToolEnabled,
+  buildTransferTool,
+  validateTransferRequest,
+  startTransfer,
+  handleTwilioDialResult,
+  twilioWhisper,
+  handleTelnyxTransferEvent
+};
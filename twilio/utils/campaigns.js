@@ -0,0 +1,421 @@
+/**
+ * Outbound Campaigns
+ *
+ * Dials a list of contacts through the same path as /outgoing, with a
+ * concurrency limit, pacing between call starts and retries for busy and
+ * no-answer results. Campaigns are persisted (CAMPAIGNS_FILE, default
+ * data/campaigns.json), so a restart picks up where it left off.
+ *
+ * A contact attempt finishes when its call reaches a final status in the
+ * call registry (fed by the provider status webhooks). An attempt that has
+ * not finished after maxAttemptSeconds counts as failed, so a lost status
+ * update cannot hold a contact in `dialing` forever.
+ */
+
+import crypto from 'crypto';
+import { createJsonStore } from './json-store.js';
+import { findCall, FINAL_STATUSES } from './call-registry.js';
+
+const store = createJsonStore(process.env.CAMPAIGNS_FILE || 'campaigns.json', { campaigns: [] });
+
+const TICK_MS = 1000;
+const NUMBER_COLUMNS = ['phoneNumber', 'destinationNumber', 'phone', 'number', 'to'];
+const RETRYABLE_STATUSES = ['busy', 'no-answer', 'failed'];
+
+const DEFAULT_SETTINGS = {
+  concurrency: 1,
+  pacingMs: 1000,
+  maxRetries: 2,
+  retryDelaySeconds: 300,
+  retryOn: ['busy', 'no-answer'],
+  // Ultravox's own default maximum call duration
+  maxAttemptSeconds: 3600
+};
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * Supports quoted fields with embedded commas, quotes ("") and newlines.
+ * @param {string} text - CSV document
+ * @returns {Array<Object>} - Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const columns = header.map(column => column.trim());
+  return records.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()])));
+}
+
+/**
+ * Turn an uploaded contact row into { phoneNumber, variables }
+ * Rows may be { phoneNumber, variables: {...} } or flat objects where every
+ * column other than the number becomes a variable.
+ * @param {Object} row - Contact row
+ * @returns {Object} - { phoneNumber, variables }
+ */
+function normalizeContact(row) {
+  if (typeof row === 'string') {
+    return { phoneNumber: row.trim(), variables: {} };
+  }
+
+  const numberColumn = NUMBER_COLUMNS.find(column => row?.[column]);
+  const { variables = {}, ...columns } = row || {};
+  const phoneNumber = numberColumn ? String(row[numberColumn]).trim() : '';
+  const flat = Object.fromEntries(Object.entries(columns).filter(([column]) => column !== numberColumn));
+  return { phoneNumber, variables: { ...flat, ...variables } };
+}
+
+/**
+ * Validate campaign settings and contacts
+ * @param {Object} input - { contacts, concurrency, pacingMs, maxRetries, retryDelaySeconds, retryOn, maxAttemptSeconds }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateCampaign(input) {
+  const errors = [];
+  const isCount = (value, min) => Number.isInteger(value) && value >= min;
+
+  if (!Array.isArray(input.contacts) || input.contacts.length === 0) {
+    errors.push('contacts: at least one contact is required');
+  } else {
+    input.contacts.forEach((contact, index) => {
+      if (!/^\+?[0-9]{6,15}$/.test(contact.phoneNumber.replace(/[\s\-().]/g, ''))) {
+        errors.push(`contacts[${index}]: missing or invalid phone number (use one of the columns ${NUMBER_COLUMNS.join(', ')})`);
+      }
+    });
+  }
+  if (input.concurrency !== undefined && !isCount(input.concurrency, 1)) {
+    errors.push('concurrency: must be an integer of at least 1');
+  }
+  if (input.pacingMs !== undefined && !isCount(input.pacingMs, 0)) {
+    errors.push('pacingMs: must be a non-negative integer');
+  }
+  if (input.maxRetries !== undefined && !isCount(input.maxRetries, 0)) {
+    errors.push('maxRetries: must be a non-negative integer');
+  }
+  if (input.retryDelaySeconds !== undefined && !isCount(input.retryDelaySeconds, 0)) {
+    errors.push('retryDelaySeconds: must be a non-negative integer');
+  }
+  if (input.retryOn !== undefined &&
+      !(Array.isArray(input.retryOn) && input.retryOn.every(status => RETRYABLE_STATUSES.includes(status)))) {
+    errors.push(`retryOn: must be an array of ${RETRYABLE_STATUSES.join(', ')}`);
+  }
+  if (input.maxAttemptSeconds !== undefined && !isCount(input.maxAttemptSeconds, 1)) {
+    errors.push('maxAttemptSeconds: must be an integer of at least 1');
+  }
+  return errors;
+}
+
+// Counts of contacts by state, by call outcome and by reported disposition
+function summarize(campaign) {
+  const progress = { total: campaign.contacts.length, pending: 0, dialing: 0, done: 0, canceled: 0, outcomes: {}, dispositions: {} };
+  for (const contact of campaign.contacts) {
+    progress[contact.status]++;
+    if (contact.outcome) {
+      progress.outcomes[contact.outcome] = (progress.outcomes[contact.outcome] || 0) + 1;
+    }
+    if (contact.disposition) {
+      const { outcome } = contact.disposition;
+      progress.dispositions[outcome] = (progress.dispositions[outcome] || 0) + 1;
+    }
+  }
+  return progress;
+}
+
+// Campaign as returned by the API
+function present(campaign, { includeContacts = true } = {}) {
+  const { contacts, ...fields } = campaign;
+  return {
+    ...fields,
+    progress: summarize(campaign),
+    ...(includeContacts ? { contacts } : {})
+  };
+}
+
+/**
+ * Create a campaign; it starts dialing on the next runner tick
+ * @param {Object} input - Campaign definition
+ * @param {string} input.name - Display name
+ * @param {Array<Object>} input.contacts - Normalized contacts ({ phoneNumber, variables })
+ * @param {Object} input.call - Call options shared by every contact (profile, provider, ...)
+ * @param {string} input.baseUrl - Public base URL for provider callbacks
+ * @returns {Object} - The campaign
+ */
+function createCampaign({ name, contacts, call = {}, baseUrl, ...settings }) {
+  const now = new Date().toISOString();
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: name || `Campaign ${now}`,
+    status: 'running',
+    settings: { ...DEFAULT_SETTINGS, ...settings },
+    call,
+    baseUrl,
+    contacts: contacts.map((contact, index) => ({
+      index,
+      phoneNumber: contact.phoneNumber,
+      variables: contact.variables,
+      status: 'pending',
+      outcome: null,
+      nextAttemptAt: null,
+      attempts: []
+    })),
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  store.data.campaigns.push(campaign);
+  store.save();
+  console.log(`📣 Campaign ${campaign.id} created with ${campaign.contacts.length} contacts`);
+  return present(campaign);
+}
+
+/**
+ * Get a campaign with its per-contact outcomes
+ * @param {string} id - Campaign ID
+ * @returns {Object|undefined}
+ */
+function getCampaign(id) {
+  const campaign = store.data.campaigns.find(candidate => candidate.id === id);
+  return campaign ? present(campaign) : undefined;
+}
+
+/**
+ * List campaigns (without contacts), newest first
+ * @returns {Array<Object>}
+ */
+function listCampaigns() {
+  return store.data.campaigns
+    .map(campaign => present(campaign, { includeContacts: false }))
+    .reverse();
+}
+
+// Change the status of a campaign if the transition is allowed
+function transition(id, allowedFrom, status) {
+  const campaign = store.data.campaigns.find(candidate => candidate.id === id);
+  if (!campaign) return { error: 'not-found' };
+  if (!allowedFrom.includes(campaign.status)) {
+    return { error: 'conflict', message: `Campaign is ${campaign.status}` };
+  }
+
+  campaign.status = status;
+  campaign.updatedAt = new Date().toISOString();
+  if (status === 'canceled') {
+    campaign.completedAt = campaign.updatedAt;
+    for (const contact of campaign.contacts) {
+      if (contact.status === 'pending') contact.status = 'canceled';
+    }
+  }
+  store.save();
+  console.log(`📣 Campaign ${id} ${status}`);
+  return { campaign: present(campaign) };
+}
+
+/**
+ * Stop starting new calls (calls in progress continue)
+ * @param {string} id - Campaign ID
+ * @returns {Object} - { campaign } or { error, message }
+ */
+function pauseCampaign(id) {
+  return transition(id, ['running'], 'paused');
+}
+
+/**
+ * Continue a paused campaign
+ * @param {string} id - Campaign ID
+ * @returns {Object} - { campaign } or { error, message }
+ */
+function resumeCampaign(id) {
+  return transition(id, ['paused'], 'running');
+}
+
+/**
+ * Cancel all remaining contacts (calls in progress continue)
+ * @param {string} id - Campaign ID
+ * @returns {Object} - { campaign } or { error, message }
+ */
+function cancelCampaign(id) {
+  return transition(id, ['running', 'paused'], 'canceled');
+}
+
+// Record the outcome (and any disposition the agent reported) of a contact's latest attempt and decide whether to retry
+function finishAttempt(campaign, contact, outcome, disposition) {
+  const attempt = contact.attempts[contact.attempts.length - 1];
+  attempt.status = outcome;
+  attempt.endedAt = new Date().toISOString();
+  contact.outcome = outcome;
+  if (disposition) {
+    attempt.disposition = disposition;
+    contact.disposition = disposition;
+  }
+
+  const { retryOn, maxRetries, retryDelaySeconds } = campaign.settings;
+  const canRetry = retryOn.includes(outcome) && contact.attempts.length <= maxRetries;
+  if (canRetry && campaign.status !== 'canceled') {
+    contact.status = 'pending';
+    contact.nextAttemptAt = new Date(Date.now() + retryDelaySeconds * 1000).toISOString();
+    console.log(`📣 Campaign ${campaign.id}: ${contact.phoneNumber} was ${outcome}, retrying at ${contact.nextAttemptAt}`);
+  } else {
+    contact.status = 'done';
+    contact.nextAttemptAt = null;
+  }
+}
+
+// Place one call for a contact
+async function dialContact(campaign, contact, placeCall) {
+  contact.status = 'dialing';
+  const attempt = { startedAt: new Date().toISOString(), callId: null, recordId: null, status: 'dialing' };
+  contact.attempts.push(attempt);
+  campaign.lastDialAt = attempt.startedAt;
+  store.save();
+
+  try {
+    const result = await placeCall({
+      ...campaign.call,
+      destinationNumber: contact.phoneNumber,
+      variables: { ...campaign.call.variables, ...contact.variables },
+      baseUrl: campaign.baseUrl,
+      metadata: { campaignId: campaign.id, contactIndex: contact.index }
+    });
+    attempt.callId = result.callId;
+    attempt.recordId = result.recordId;
+  } catch (error) {
+    console.error(`📣 Campaign ${campaign.id}: failed to dial ${contact.phoneNumber}:`, error.message);
+    attempt.error = error.message;
+    finishAttempt(campaign, contact, 'failed');
+  }
+  store.save();
+}
+
+// Advance one campaign: settle finished and overdue calls, start new ones, detect completion
+function advanceCampaign(campaign, placeCall) {
+  let changed = false;
+  // Campaigns created before the setting existed use the default
+  const maxAttemptSeconds = campaign.settings.maxAttemptSeconds ?? DEFAULT_SETTINGS.maxAttemptSeconds;
+
+  for (const contact of campaign.contacts) {
+    if (contact.status !== 'dialing') continue;
+    const attempt = contact.attempts[contact.attempts.length - 1];
+    const call = attempt?.recordId && findCall(attempt.recordId);
+    if (call && FINAL_STATUSES.includes(call.status)) {
+      finishAttempt(campaign, contact, call.status, call.disposition);
+      changed = true;
+    } else if (attempt?.recordId && Date.now() - Date.parse(attempt.startedAt) > maxAttemptSeconds * 1000) {
+      console.warn(`📣 Campaign ${campaign.id}: no final status for ${contact.phoneNumber} after ${maxAttemptSeconds}s, counting the attempt as failed`);
+      attempt.error = `No final call status after ${maxAttemptSeconds}s`;
+      finishAttempt(campaign, contact, 'failed', call?.disposition);
+      changed = true;
+    }
+  }
+
+  if (campaign.status === 'running') {
+    const { concurrency, pacingMs } = campaign.settings;
+    const now = Date.now();
+    let inFlight = campaign.contacts.filter(contact => contact.status === 'dialing').length;
+    let lastDialAt = campaign.lastDialAt ? Date.parse(campaign.lastDialAt) : 0;
+
+    for (const contact of campaign.contacts) {
+      if (inFlight >= concurrency || now - lastDialAt < pacingMs) break;
+      if (contact.status !== 'pending') continue;
+      if (contact.nextAttemptAt && Date.parse(contact.nextAttemptAt) > now) continue;
+
+      inFlight++;
+      lastDialAt = now;
+      dialContact(campaign, contact, placeCall);
+    }
+
+    if (campaign.contacts.every(contact => contact.status === 'done' || contact.status === 'canceled')) {
+      campaign.status = 'completed';
+      campaign.completedAt = new Date().toISOString();
+      changed = true;
+      console.log(`📣 Campaign ${campaign.id} completed`);
+    }
+  }
+
+  if (changed) {
+    campaign.updatedAt = new Date().toISOString();
+    store.save();
+  }
+}
+
+/**
+ * Start the loop that drives all campaigns
+ * @param {Function} placeCall - async (options) => { callId, recordId }; places one outbound call
+ * @returns {Function} - Stops the loop
+ */
+function startCampaignRunner(placeCall) {
+  // A dial that was still in flight when the server stopped never got a call ID;
+  // count it as failed rather than waiting on it forever
+  for (const campaign of store.data.campaigns) {
+    for (const contact of campaign.contacts) {
+      const attempt = contact.attempts[contact.attempts.length - 1];
+      if (contact.status === 'dialing' && !attempt?.recordId) {
+        if (attempt) attempt.error = 'Interrupted by a server restart';
+        finishAttempt(campaign, contact, 'failed');
+      }
+    }
+  }
+  store.save();
+
+  const timer = setInterval(() => {
+    for (const campaign of store.data.campaigns) {
+      if (campaign.status === 'completed' || campaign.status === 'canceled') {
+        // Still settle calls that were in progress when the campaign was canceled
+        if (!campaign.contacts.some(contact => contact.status === 'dialing')) continue;
+      }
+      try {
+        advanceCampaign(campaign, placeCall);
+      } catch (error) {
+        console.error(`📣 Campaign ${campaign.id} runner error:`, error);
+      }
+    }
+  }, TICK_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export {
+  parseCsv,
+  normalizeContact,
+  validateCampaign,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  startCampaignRunner
+};
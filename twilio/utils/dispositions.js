@@ -0,0 +1,248 @@
+/**
+ * Call Dispositions
+ *
+ * A server-hosted tool (`reportDisposition`) that the agent calls before
+ * hanging up to report how the call went: one outcome from a fixed list
+ * plus any fields it captured (email address, preferred callback time, ...).
+ * The payload is validated against the disposition schema and stored on the
+ * call record (`disposition`).
+ *
+ * The schema comes from DISPOSITION_SCHEMA_FILE (see
+ * config/disposition.example.json); without one, DEFAULT_SCHEMA is used.
+ */
+
+import fs from 'fs';
+import { dataPath } from './json-store.js';
+import { findCall, updateCall } from './call-registry.js';
+import { getToolSecretParameters } from './tool-handlers.js';
+
+const TOOL_NAME = 'reportDisposition';
+const FIELD_TYPES = ['string', 'number', 'boolean'];
+const FIELD_FORMATS = {
+  'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/
+};
+
+const DEFAULT_SCHEMA = {
+  outcomes: ['interested', 'not-interested', 'callback-requested', 'wrong-number', 'voicemail', 'other'],
+  fields: {
+    email: { type: 'string', format: 'email', description: 'Email address the caller gave' },
+    preferredTime: { type: 'string', description: 'When the caller would like to be called back, in their words' },
+    notes: { type: 'string', description: 'One or two sentences summarizing the call' }
+  },
+  required: {
+    'callback-requested': ['preferredTime']
+  }
+};
+
+/**
+ * Validate a disposition schema
+ * @param {Object} schema - { outcomes, fields, required }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateDispositionSchema(schema) {
+  if (!schema || typeof schema !== 'object') return ['schema must be an object'];
+
+  const errors = [];
+  const { outcomes, fields = {}, required = {} } = schema;
+  if (!Array.isArray(outcomes) || outcomes.length === 0 || !outcomes.every(outcome => typeof outcome === 'string' && outcome)) {
+    errors.push('outcomes: must be a non-empty array of strings');
+  }
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push('fields: must be an object of field name -> definition');
+  } else {
+    for (const [name, field] of Object.entries(fields)) {
+      if (!FIELD_TYPES.includes(field?.type)) {
+        errors.push(`fields.${name}.type: must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+      if (field?.format !== undefined && !FIELD_FORMATS[field.format]) {
+        errors.push(`fields.${name}.format: must be one of ${Object.keys(FIELD_FORMATS).join(', ')}`);
+      }
+      if (field?.enum !== undefined && !Array.isArray(field.enum)) {
+        errors.push(`fields.${name}.enum: must be an array`);
+      }
+    }
+  }
+  if (typeof required !== 'object' || Array.isArray(required)) {
+    errors.push('required: must be an object of outcome (or "*") -> field names');
+  } else {
+    for (const [outcome, names] of Object.entries(required)) {
+      if (outcome !== '*' && Array.isArray(outcomes) && !outcomes.includes(outcome)) {
+        errors.push(`required.${outcome}: unknown outcome`);
+      }
+      if (!Array.isArray(names) || !names.every(name => fields[name])) {
+        errors.push(`required.${outcome}: must be an array of names from fields`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Load the configured schema once; an invalid file falls back to the default
+function loadSchema() {
+  const fileName = process.env.DISPOSITION_SCHEMA_FILE;
+  if (!fileName) return { schema: DEFAULT_SCHEMA, errors: [] };
+
+  const file = dataPath(fileName);
+  try {
+    const schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateDispositionSchema(schema).map(error => `${file}: ${error}`);
+    return errors.length > 0 ? { schema: DEFAULT_SCHEMA, errors } : { schema, errors };
+  } catch (error) {
+    return { schema: DEFAULT_SCHEMA, errors: [`${file}: ${error.message}`] };
+  }
+}
+
+const { schema, errors: schemaErrors } = loadSchema();
+
+/**
+ * Problems with DISPOSITION_SCHEMA_FILE (reported at startup)
+ * @returns {Array<string>}
+ */
+function getDispositionSchemaErrors() {
+  return schemaErrors;
+}
+
+/**
+ * Get the active disposition schema
+ * @returns {Object} - { outcomes, fields, required }
+ */
+function getDispositionSchema() {
+  return schema;
+}
+
+/**
+ * Whether the disposition tool is added to calls (DISPOSITION_TOOL_ENABLED, default true)
+ * @returns {boolean}
+ */
+function isDispositionToolEnabled() {
+  return process.env.DISPOSITION_TOOL_ENABLED !== 'false';
+}
+
+/**
+ * Build the temporary tool definition for a call
+ * Ultravox fills in its own call ID, which identifies the call record.
+ * @param {string} baseUrl - Public base URL of this server
+ * @returns {Object} - Selected tool entry
+ */
+function buildDispositionTool(baseUrl) {
+  const fieldProperties = {};
+  for (const [name, field] of Object.entries(schema.fields || {})) {
+    fieldProperties[name] = {
+      type: field.type,
+      ...(field.description ? { description: field.description } : {}),
+      ...(field.enum ? { enum: field.enum } : {})
+    };
+  }
+  const requiredHints = Object.entries(schema.required || {})
+    .map(([outcome, names]) => `${outcome === '*' ? 'always' : `for ${outcome}`}: ${names.join(', ')}`)
+    .join('; ');
+
+  return {
+    temporaryTool: {
+      modelToolName: TOOL_NAME,
+      description: 'Report the outcome of the call and any details the caller gave. ' +
+        'Call this exactly once, just before hanging up.' +
+        (requiredHints ? ` Required fields (${requiredHints}).` : ''),
+      dynamicParameters: [
+        {
+          name: 'outcome',
+          location: 'PARAMETER_LOCATION_BODY',
+          schema: { type: 'string', enum: schema.outcomes, description: 'How the call ended' },
+          required: true
+        },
+        {
+          name: 'fields',
+          location: 'PARAMETER_LOCATION_BODY',
+          schema: { type: 'object', properties: fieldProperties, description: 'Details captured during the call' },
+          required: false
+        }
+      ],
+      automaticParameters: [
+        {
+          name: 'callId',
+          location: 'PARAMETER_LOCATION_QUERY',
+          knownValue: 'KNOWN_PARAM_CALL_ID'
+        }
+      ],
+      staticParameters: getToolSecretParameters(),
+      http: {
+        baseUrlPattern: `${baseUrl}/tools/disposition`,
+        httpMethod: 'POST'
+      }
+    }
+  };
+}
+
+/**
+ * Validate a reported disposition against the schema
+ * @param {Object} payload - { outcome, fields }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateDisposition(payload) {
+  if (!payload || typeof payload !== 'object') return ['body must be an object'];
+
+  const errors = [];
+  const { outcome, fields = {} } = payload;
+  if (!schema.outcomes.includes(outcome)) {
+    errors.push(`outcome: must be one of ${schema.outcomes.join(', ')}`);
+  }
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    return [...errors, 'fields: must be an object'];
+  }
+
+  for (const [name, value] of Object.entries(fields)) {
+    const field = schema.fields?.[name];
+    if (!field) {
+      errors.push(`fields.${name}: unknown field`);
+    } else if (typeof value !== field.type) {
+      errors.push(`fields.${name}: must be a ${field.type}`);
+    } else if (field.enum && !field.enum.includes(value)) {
+      errors.push(`fields.${name}: must be one of ${field.enum.join(', ')}`);
+    } else if (field.format && !FIELD_FORMATS[field.format].test(value)) {
+      errors.push(`fields.${name}: must be a valid ${field.format}`);
+    }
+  }
+
+  const required = [...(schema.required?.['*'] || []), ...(schema.required?.[outcome] || [])];
+  for (const name of required) {
+    if (fields[name] === undefined || fields[name] === '') {
+      errors.push(`fields.${name}: required${outcome ? ` when the outcome is ${outcome}` : ''}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a disposition and store it on the call record
+ * A later report replaces an earlier one.
+ * @param {string} callId - Any identifier of the call (the tool sends the Ultravox call ID)
+ * @param {Object} payload - { outcome, fields }
+ * @returns {Object} - { call } or { error: 'not-found'|'invalid', details }
+ */
+function recordDisposition(callId, payload) {
+  const call = findCall(callId);
+  if (!call) return { error: 'not-found' };
+
+  const errors = validateDisposition(payload);
+  if (errors.length > 0) return { error: 'invalid', details: errors };
+
+  const disposition = {
+    outcome: payload.outcome,
+    fields: payload.fields || {},
+    reportedAt: new Date().toISOString()
+  };
+  console.log(`🏷️ Call ${call.id} disposition: ${disposition.outcome}`);
+  return { call: updateCall(call.id, { disposition }) };
+}
+
+export {
+  TOOL_NAME as DISPOSITION_TOOL_NAME,
+  validateDispositionSchema,
+  getDispositionSchemaErrors,
+  getDispositionSchema,
+  isDispositionToolEnabled,
+  buildDispositionTool,
+  validateDisposition,
+  recordDisposition
+};
@@ -0,0 +1,135 @@
+/**
+ * DTMF Forwarding
+ *
+ * Collects the keys a caller presses and delivers them into the live
+ * Ultravox conversation as user input (an `input_text_message` sent over the
+ * media bridge), so a caller can type an account number or PIN.
+ *
+ * Keys are gathered into one entry until the terminator key is pressed
+ * (DTMF_TERMINATOR, default "#"; not included in the entry) or no key has
+ * been pressed for DTMF_TIMEOUT seconds (default 3). Digits are masked in
+ * logs unless DTMF_MASK_LOGS=false.
+ *
+ * Keypresses reach the server on the media stream and, for Telnyx, also as
+ * `call.dtmf.received` webhooks. Whichever source reports a call's first key
+ * is used for the rest of the call, so no key is delivered twice.
+ */
+
+import { findBridge } from './media-bridge.js';
+
+const DTMF_KEYS = /^[0-9*#A-D]$/;
+
+/**
+ * Current DTMF settings from the environment
+ * @returns {{enabled: boolean, terminator: string, timeoutMs: number, mask: boolean}}
+ */
+function getDtmfSettings() {
+  const timeout = parseFloat(process.env.DTMF_TIMEOUT);
+  return {
+    enabled: process.env.DTMF_FORWARDING !== 'false',
+    terminator: process.env.DTMF_TERMINATOR ?? '#',
+    timeoutMs: (timeout > 0 ? timeout : 3) * 1000,
+    mask: process.env.DTMF_MASK_LOGS !== 'false'
+  };
+}
+
+/**
+ * Keys as they may appear in logs
+ * @param {string} digits - Keys pressed
+ * @param {boolean} mask - Replace every key with "*"
+ * @returns {string}
+ */
+function formatDigitsForLog(digits, mask = getDtmfSettings().mask) {
+  return mask ? '*'.repeat(digits.length) : digits;
+}
+
+/**
+ * Gather keypresses into entries
+ * @param {Function} onEntry - Called with (digits, reason) where reason is 'terminator' or 'timeout'
+ * @param {Object} settings - { terminator, timeoutMs } (see getDtmfSettings)
+ * @returns {{push: Function, flush: Function, cancel: Function}}
+ */
+function createDigitCollector(onEntry, { terminator, timeoutMs } = getDtmfSettings()) {
+  let digits = '';
+  let source = null;
+  let timer = null;
+
+  function flush(reason = 'timeout') {
+    clearTimeout(timer);
+    timer = null;
+    if (digits) onEntry(digits, reason);
+    digits = '';
+  }
+
+  return {
+    /**
+     * Add one keypress
+     * @param {string} digit - Key pressed
+     * @param {string} from - Where it was reported ('stream' or 'webhook')
+     * @returns {boolean} - Whether the key was accepted
+     */
+    push(digit, from = 'stream') {
+      if (!DTMF_KEYS.test(digit || '')) return false;
+      source = source || from;
+      if (from !== source) return false;
+
+      if (terminator && digit === terminator) {
+        // A terminator on its own is an entry in itself ("press # to confirm")
+        if (!digits) digits = digit;
+        flush('terminator');
+        return true;
+      }
+      digits += digit;
+      clearTimeout(timer);
+      timer = setTimeout(() => flush('timeout'), timeoutMs);
+      timer.unref();
+      return true;
+    },
+    flush,
+    cancel() {
+      clearTimeout(timer);
+      digits = '';
+    }
+  };
+}
+
+/**
+ * Forward a bridge's keypresses into its Ultravox call
+ * The collector is kept as `bridge.dtmf` for webhook-reported keys.
+ * @param {EventEmitter} bridge - Media bridge (see media-bridge.js)
+ * @returns {Object|null} - The collector, or null if forwarding is disabled
+ */
+function attachDtmfForwarding(bridge) {
+  const settings = getDtmfSettings();
+  if (!settings.enabled) return null;
+
+  const collector = createDigitCollector((digits, reason) => {
+    const sent = bridge.sendToUltravox({ type: 'input_text_message', text: `Keypad entry: ${digits}` });
+    console.log(`⌨️ ${sent ? 'Forwarded' : 'Could not forward'} keypad entry ${formatDigitsForLog(digits, settings.mask)} ` +
+      `(${reason}) on call ${bridge.callId || bridge.token}`);
+  }, settings);
+
+  bridge.dtmf = collector;
+  bridge.on('dtmf', digit => collector.push(digit, 'stream'));
+  bridge.on('close', () => collector.cancel());
+  return collector;
+}
+
+/**
+ * Forward a keypress reported outside the media stream (Telnyx call.dtmf.received)
+ * @param {string} callId - Provider call ID
+ * @param {string} digit - Key pressed
+ * @returns {boolean} - Whether the key was accepted by a live call
+ */
+function forwardDtmf(callId, digit) {
+  const collector = findBridge(callId)?.dtmf;
+  return collector ? collector.push(digit, 'webhook') : false;
+}
+
+export {
+  getDtmfSettings,
+  formatDigitsForLog,
+  createDigitCollector,
+  attachDtmfForwarding,
+  forwardDtmf
+};
@@ -0,0 +1,232 @@
+/**
+ * Inbound Call Routing
+ *
+ * Decides what happens to an inbound call based on the number that was
+ * dialed (To) and the caller ID (From). The routing table lives in a JSON
+ * file (INBOUND_ROUTES_FILE, default data/inbound-routes.json) and can be
+ * managed through the /inbound-routes API.
+ *
+ * Every outcome is an "action":
+ * - { "action": "agent", "profile": "support-line" }  connect to Ultravox
+ * - { "action": "forward", "to": "+15550001111" }     forward to another number
+ * - { "action": "reject", "message": "..." }          refuse the call (optionally say something first)
+ *
+ * For each route, in order: VIP callers get the route's `vip` action (which
+ * bypasses the allow and block lists), blocked callers - or callers missing
+ * from a non-empty `allow` list - get `onDenied` (default: reject), and
+ * everyone else gets the route's own action. Calls to numbers without a route
+ * get the table's `fallback` (default: the default inbound agent).
+ *
+ * Caller patterns are phone numbers, optionally ending in `*` to match a
+ * prefix (e.g. "+1900*").
+ *
+ * See config/inbound-routes.example.json for the file format.
+ */
+
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore(process.env.INBOUND_ROUTES_FILE || 'inbound-routes.json', {
+  routes: [],
+  block: [],
+  fallback: null
+});
+
+const ACTIONS = ['agent', 'forward', 'reject'];
+const DEFAULT_FALLBACK = { action: 'agent' };
+const DEFAULT_DENIED = { action: 'reject' };
+
+/**
+ * Normalize a phone number for comparison (drops spaces, dashes, dots and brackets)
+ * @param {string} number - Phone number as sent by the carrier or configured
+ * @returns {string} - Normalized number
+ */
+function normalizeNumber(number) {
+  return String(number || '').replace(/[\s\-().]/g, '');
+}
+
+/**
+ * Whether a caller ID matches one of a list of patterns
+ * @param {string} caller - Caller ID
+ * @param {Array<string>} patterns - Numbers, optionally ending in * for a prefix match
+ * @returns {boolean}
+ */
+function matchesCaller(caller, patterns = []) {
+  const number = normalizeNumber(caller);
+  return patterns.some(pattern => {
+    const normalized = normalizeNumber(pattern);
+    return normalized.endsWith('*')
+      ? number.startsWith(normalized.slice(0, -1))
+      : number === normalized;
+  });
+}
+
+// Validate one action object; returns error messages prefixed with `where`
+function validateAction(action, where) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    return [`${where}: must be an object`];
+  }
+  const errors = [];
+  if (!ACTIONS.includes(action.action)) {
+    errors.push(`${where}.action: must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (action.action === 'forward' && (typeof action.to !== 'string' || !action.to.trim())) {
+    errors.push(`${where}.to: a number to forward to is required`);
+  }
+  if (action.profile !== undefined && typeof action.profile !== 'string') {
+    errors.push(`${where}.profile: must be a string`);
+  }
+  if (action.message !== undefined && typeof action.message !== 'string') {
+    errors.push(`${where}.message: must be a string`);
+  }
+  return errors;
+}
+
+// Validate a list of caller patterns
+function validatePatterns(patterns, where) {
+  if (patterns === undefined) return [];
+  return Array.isArray(patterns) && patterns.every(pattern => typeof pattern === 'string' && pattern.trim())
+    ? []
+    : [`${where}: must be an array of phone numbers`];
+}
+
+/**
+ * Validate a routing table
+ * @param {Object} table - { routes, block, fallback }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateRoutingTable(table) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    return ['routing table must be an object'];
+  }
+
+  const errors = [];
+  if (!Array.isArray(table.routes)) {
+    errors.push('routes: must be an array');
+  } else {
+    table.routes.forEach((route, index) => {
+      const where = `routes[${index}]`;
+      if (!Array.isArray(route?.numbers) || route.numbers.length === 0) {
+        errors.push(`${where}.numbers: must be a non-empty array of dialed numbers`);
+      }
+      errors.push(...validateAction({ action: 'agent', ...route }, where));
+      errors.push(...validatePatterns(route?.allow, `${where}.allow`));
+      errors.push(...validatePatterns(route?.block, `${where}.block`));
+      if (route?.vip !== undefined) {
+        errors.push(...validatePatterns(route.vip?.callers, `${where}.vip.callers`));
+        errors.push(...validateAction({ action: 'agent', ...route.vip }, `${where}.vip`));
+      }
+      if (route?.onDenied !== undefined) {
+        errors.push(...validateAction(route.onDenied, `${where}.onDenied`));
+      }
+    });
+  }
+  errors.push(...validatePatterns(table.block, 'block'));
+  if (table.fallback !== undefined && table.fallback !== null) {
+    errors.push(...validateAction(table.fallback, 'fallback'));
+  }
+  return errors;
+}
+
+/**
+ * Get the current routing table
+ * @returns {Object} - { routes, block, fallback }
+ */
+function getRoutingTable() {
+  return store.data;
+}
+
+/**
+ * Replace the routing table
+ * @param {Object} table - A table that passed validateRoutingTable
+ * @returns {Object} - The saved table
+ */
+function saveRoutingTable(table) {
+  store.data.routes = table.routes;
+  store.data.block = table.block || [];
+  store.data.fallback = table.fallback || null;
+  store.save();
+  return store.data;
+}
+
+// Reduce an action (or route/vip entry) to the decision fields
+function toDecision(action, reason, routeName) {
+  return {
+    action: action.action || 'agent',
+    profile: action.profile || null,
+    to: action.to || null,
+    message: action.message || null,
+    reason,
+    route: routeName ?? null
+  };
+}
+
+/**
+ * Decide how to handle an inbound call
+ * @param {Object} call - { from, to } as returned by provider.parseInboundCall
+ * @returns {Object} - { action, profile, to, message, reason, route }
+ */
+function routeInboundCall({ from, to }) {
+  const { routes = [], block, fallback } = store.data;
+  const dialed = normalizeNumber(to);
+  const index = routes.findIndex(route => route?.numbers?.some(number => normalizeNumber(number) === dialed));
+  const route = routes[index];
+
+  if (!route) {
+    if (matchesCaller(from, block)) {
+      return toDecision(DEFAULT_DENIED, 'blocked');
+    }
+    return toDecision(fallback || DEFAULT_FALLBACK, 'no-route');
+  }
+
+  const routeName = route.name || index;
+  if (route.vip && matchesCaller(from, route.vip.callers)) {
+    return toDecision({ action: 'agent', profile: route.profile, ...route.vip }, 'vip', routeName);
+  }
+  if (matchesCaller(from, block) || matchesCaller(from, route.block)) {
+    return toDecision(route.onDenied || DEFAULT_DENIED, 'blocked', routeName);
+  }
+  if (route.allow?.length > 0 && !matchesCaller(from, route.allow)) {
+    return toDecision(route.onDenied || DEFAULT_DENIED, 'not-allowed', routeName);
+  }
+  return toDecision({ action: 'agent', ...route }, 'route', routeName);
+}
+
+/**
+ * Names of agent profiles referenced by a routing table
+ * @param {Object} table - { routes, block, fallback } (default: the current table)
+ * @returns {Array<string>}
+ */
+function listRoutedProfiles(table = store.data) {
+  const { routes = [], fallback } = table;
+  const actions = [
+    ...routes.flatMap(route => [route, route.vip, route.onDenied]),
+    fallback
+  ];
+  return [...new Set(actions.map(action => action?.profile).filter(Boolean))];
+}
+
+/**
+ * Parts of the current routing table that use an agent profile
+ * @param {string} profileName - Profile name
+ * @returns {Array<string>} - e.g. 'routes[0]', 'route "sales".vip', 'fallback'
+ */
+function listProfileRoutes(profileName) {
+  const { routes = [], fallback } = store.data;
+  const uses = routes.flatMap((route, index) => {
+    const where = route.name ? `route "${route.name}"` : `routes[${index}]`;
+    return [[where, route], [`${where}.vip`, route.vip], [`${where}.onDenied`, route.onDenied]];
+  });
+  uses.push(['fallback', fallback]);
+  return uses.filter(([, action]) => action?.profile === profileName).map(([where]) => where);
+}
+
+export {
+  normalizeNumber,
+  matchesCaller,
+  validateRoutingTable,
+  getRoutingTable,
+  saveRoutingTable,
+  routeInboundCall,
+  listRoutedProfiles,
+  listProfileRoutes
+};
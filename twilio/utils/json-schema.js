@@ -0,0 +1,81 @@
+/**
+ * JSON Schema Validation
+ *
+ * A small validator for the subset of JSON Schema used by Ultravox tool
+ * parameters: type (string, number, integer, boolean, object, array, null),
+ * enum, pattern, minLength/maxLength, minimum/maximum, properties, required,
+ * additionalProperties (false) and items. Other keywords are ignored.
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {string} path - Name of the value in error messages
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateSchema(value, schema = {}, path = 'value') {
+  const errors = [];
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+
+  if (types.length > 0 && !types.some(type => TYPE_CHECKS[type]?.(value))) {
+    return [`${path}: must be ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match ${schema.pattern}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path}.${name}: is required`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+  }
+  return errors;
+}
+
+export {
+  validateSchema
+};
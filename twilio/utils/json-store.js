@@ -0,0 +1,63 @@
+/**
+ * JSON Store Utility
+ * 
+ * Minimal file-backed persistence for server state. Each store is a single
+ * JSON document that is loaded once at startup and rewritten atomically
+ * (write to a temp file, then rename) on every save, so a restart never
+ * sees a half-written file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Directory holding all persisted state (override with DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Resolve a file name inside the data directory
+ * @param {string} fileName - File name relative to DATA_DIR
+ * @returns {string} - Absolute path
+ */
+function dataPath(fileName) {
+  return path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Open (or create) a JSON store
+ * @param {string} fileName - File name relative to DATA_DIR, or an absolute path
+ * @param {Object} defaults - Initial document used when the file does not exist yet
+ * @returns {{data: Object, save: Function, file: string}} - The live document and a save function
+ */
+function createJsonStore(fileName, defaults = {}) {
+  const file = dataPath(fileName);
+  let data = structuredClone(defaults);
+
+  if (fs.existsSync(file)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+      // Keep the unreadable file around for inspection instead of overwriting it
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      console.error(`❌ Could not parse ${file} (${error.message}); moved it to ${backup}`);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  return { data, save, file };
+}
+
+export {
+  DATA_DIR,
+  dataPath,
+  createJsonStore
+};
@@ -0,0 +1,183 @@
+/**
+ * Answering Machine Detection
+ *
+ * Optional AMD for outbound calls. With detection on, the agent session is
+ * not created until the provider has decided who answered:
+ * - a person (or an undecided result) is connected to the agent as usual
+ * - a machine gets the configured voicemail action:
+ *   - `hangup`  end the call straight away
+ *   - `message` leave a message after the beep: `audioUrl` (pre-rendered) or
+ *               `message` (text with {{variables}}, read by the provider)
+ *   - `agent`   connect an agent session whose prompt has `prompt` added, so
+ *               the agent leaves the message itself
+ * - a fax machine is hung up on
+ *
+ * Detection is requested per call (`machineDetection` on an /outgoing body:
+ * true, false or { action, message, audioUrl, prompt }); MACHINE_DETECTION
+ * and the VOICEMAIL_* variables supply the defaults. The result is stored on
+ * the call record (`machineDetection`).
+ */
+
+import { findCall, updateCall } from './call-registry.js';
+
+const ACTIONS = ['hangup', 'message', 'agent'];
+
+const DEFAULT_VOICEMAIL_PROMPT = 'You have reached an answering machine and the beep has just sounded. ' +
+  'Leave a brief voicemail: say who you are, why you are calling and how to get back to you. ' +
+  'Do not ask questions or wait for answers. When you have finished, use the hangUp tool.';
+
+// How long dial details are kept for a call whose detection result has not arrived
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+// provider call ID -> { settings, options, expiresAt }
+const pendingCalls = new Map();
+
+/**
+ * Detection defaults from the environment
+ * @returns {{enabled: boolean, action: string, message: string, audioUrl: string, prompt: string}}
+ */
+function getMachineDetectionDefaults() {
+  return {
+    enabled: process.env.MACHINE_DETECTION === 'true',
+    action: process.env.VOICEMAIL_ACTION || 'hangup',
+    message: process.env.VOICEMAIL_MESSAGE || undefined,
+    audioUrl: process.env.VOICEMAIL_AUDIO_URL || undefined,
+    prompt: process.env.VOICEMAIL_PROMPT || DEFAULT_VOICEMAIL_PROMPT
+  };
+}
+
+/**
+ * Problems with the MACHINE_DETECTION / VOICEMAIL_* defaults (reported at startup)
+ * @returns {Array<string>}
+ */
+function getMachineDetectionConfigErrors() {
+  const { action, message, audioUrl } = getMachineDetectionDefaults();
+  const errors = [];
+  if (!ACTIONS.includes(action)) {
+    errors.push(`VOICEMAIL_ACTION: must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (audioUrl && !/^https?:\/\//.test(audioUrl)) {
+    errors.push('VOICEMAIL_AUDIO_URL: must be an http(s) URL');
+  }
+  if (action === 'message' && !message && !audioUrl) {
+    errors.push('VOICEMAIL_ACTION: message needs VOICEMAIL_MESSAGE or VOICEMAIL_AUDIO_URL');
+  }
+  return errors;
+}
+
+/**
+ * Validate the `machineDetection` option of an outbound call
+ * @param {boolean|Object} value - true, false or { action, message, audioUrl, prompt }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateMachineDetection(value) {
+  if (value === undefined || value === null || typeof value === 'boolean') return [];
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return ['machineDetection: must be true, false or an object'];
+  }
+
+  const errors = [];
+  if (value.action !== undefined && !ACTIONS.includes(value.action)) {
+    errors.push(`machineDetection.action: must be one of ${ACTIONS.join(', ')}`);
+  }
+  for (const field of ['message', 'audioUrl', 'prompt']) {
+    if (value[field] !== undefined && (typeof value[field] !== 'string' || !value[field].trim())) {
+      errors.push(`machineDetection.${field}: must be a non-empty string`);
+    }
+  }
+  if (value.audioUrl && !/^https?:\/\//.test(value.audioUrl)) {
+    errors.push('machineDetection.audioUrl: must be an http(s) URL');
+  }
+
+  const resolved = resolveMachineDetection(value);
+  if (resolved?.action === 'message' && !resolved.message && !resolved.audioUrl) {
+    errors.push('machineDetection: the message action needs a message or audioUrl (or VOICEMAIL_MESSAGE / VOICEMAIL_AUDIO_URL)');
+  }
+  return errors;
+}
+
+/**
+ * Work out the detection settings of a call
+ * @param {boolean|Object} value - The call's `machineDetection` option (undefined: MACHINE_DETECTION)
+ * @returns {Object|null} - { action, message, audioUrl, prompt, waitForBeep }, or null for no detection
+ */
+function resolveMachineDetection(value) {
+  const defaults = getMachineDetectionDefaults();
+  const enabled = value === undefined || value === null ? defaults.enabled : value !== false;
+  if (!enabled) return null;
+
+  const { action, message, audioUrl, prompt } = defaults;
+  const resolved = { action, message, audioUrl, prompt, ...(typeof value === 'object' ? value : {}) };
+  // Hanging up needs no beep; anything that leaves a message waits for the greeting to end
+  return { ...resolved, waitForBeep: resolved.action !== 'hangup' };
+}
+
+/**
+ * Map a provider's detection result onto human, machine, fax or unknown
+ * @param {string} answeredBy - Twilio AnsweredBy, or the Telnyx detection result
+ * @returns {string}
+ */
+function classifyAnsweredBy(answeredBy = '') {
+  if (answeredBy.startsWith('human')) return 'human';
+  if (answeredBy.startsWith('machine')) return 'machine';
+  if (answeredBy.startsWith('fax')) return 'fax';
+  return 'unknown';
+}
+
+/**
+ * Keep what is needed to connect a call once its detection result arrives
+ * @param {string} providerCallId - Twilio Call SID or Telnyx call control ID
+ * @param {Object} details - { settings (resolved detection settings), options (Ultravox call options) }
+ */
+function registerPendingCall(providerCallId, details) {
+  const now = Date.now();
+  for (const [id, pending] of pendingCalls) {
+    if (pending.expiresAt < now) pendingCalls.delete(id);
+  }
+  pendingCalls.set(providerCallId, { ...details, expiresAt: now + PENDING_TTL_MS });
+}
+
+/**
+ * Remove and return the pending details of a call
+ * @param {string} providerCallId - Twilio Call SID or Telnyx call control ID
+ * @returns {Object|undefined} - { settings, options }
+ */
+function takePendingCall(providerCallId) {
+  const pending = pendingCalls.get(providerCallId);
+  pendingCalls.delete(providerCallId);
+  return pending;
+}
+
+/**
+ * Look at the pending details of a call without removing them
+ * @param {string} providerCallId - Twilio Call SID or Telnyx call control ID
+ * @returns {Object|undefined}
+ */
+function getPendingCall(providerCallId) {
+  return pendingCalls.get(providerCallId);
+}
+
+/**
+ * Merge detection details into the call record
+ * @param {string} callId - Any identifier of the call
+ * @param {Object} patch - Fields of `machineDetection` to set
+ * @returns {Object|undefined} - The updated call
+ */
+function recordDetection(callId, patch) {
+  const call = findCall(callId);
+  if (!call) return undefined;
+  return updateCall(call.id, { machineDetection: { ...call.machineDetection, ...patch } });
+}
+
+export {
+  ACTIONS as VOICEMAIL_ACTIONS,
+  getMachineDetectionDefaults,
+  getMachineDetectionConfigErrors,
+  validateMachineDetection,
+  resolveMachineDetection,
+  classifyAnsweredBy,
+  registerPendingCall,
+  takePendingCall,
+  getPendingCall,
+  recordDetection
+};
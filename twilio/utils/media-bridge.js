@@ -0,0 +1,341 @@
+/**
+ * Media Bridge
+ *
+ * Relays call audio between a provider media stream (the WebSocket Telnyx,
+ * or Twilio with TWILIO_MEDIA_BRIDGE=true, opens to /stream-ws) and an
+ * Ultravox call joined over a server WebSocket.
+ *
+ * Caller audio arrives as base64 PCMU at 8 kHz and is sent to Ultravox as
+ * binary 16-bit PCM; agent audio goes the other way. When Ultravox asks to
+ * drop buffered agent audio (the caller barged in) a `clear` is sent, and a
+ * `mark` is placed at the end of each agent turn so the bridge knows when
+ * playback has actually finished. Both providers use these same stream
+ * messages; Twilio additionally needs the `streamSid` on everything we send.
+ *
+ * Telnyx streams carry the bridge token in the URL (`?bridge=`). Twilio does
+ * not allow query strings on stream URLs, so its token arrives as the
+ * `bridge` custom parameter of the `start` message.
+ *
+ * Each bridge is an EventEmitter, so other code can tap the stream:
+ * - 'start' (startPayload)     Stream metadata arrived
+ * - 'caller-audio' (pcm)       PCM at the Ultravox sample rate
+ * - 'agent-audio' (pcm)        PCM at 8 kHz, before µ-law encoding
+ * - 'ultravox-message' (data)  Any JSON data message from Ultravox
+ * - 'dtmf' (digit)             Keypress reported on the media stream
+ * - 'playback-finished'        The provider played all agent audio sent so far
+ * - 'close' ({ initiator })    Either side went away ('telnyx', 'twilio', 'ultravox' or 'server')
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { mulawToPcm16, pcm16ToMulaw, resamplePcm16 } from './audio.js';
+
+const TELEPHONY_SAMPLE_RATE = 8000;
+const ULTRAVOX_SAMPLE_RATE = parseInt(process.env.ULTRAVOX_BRIDGE_SAMPLE_RATE, 10) || TELEPHONY_SAMPLE_RATE;
+
+// 20 ms of PCMU at 8 kHz - the frame size Telnyx expects on bidirectional streams
+const TELEPHONY_FRAME_BYTES = 160;
+
+// How long a registered bridge waits for the provider to connect
+const PENDING_BRIDGE_TTL_MS = 5 * 60 * 1000;
+
+// token -> { joinUrl, metadata, expiresAt }
+const pendingBridges = new Map();
+
+// token -> bridge
+const activeBridges = new Map();
+
+/**
+ * Ultravox `medium` for calls that will be joined through the bridge
+ * @returns {Object} - Medium configuration for the Ultravox create-call request
+ */
+function getBridgeMedium() {
+  return {
+    serverWebSocket: {
+      inputSampleRate: ULTRAVOX_SAMPLE_RATE,
+      outputSampleRate: ULTRAVOX_SAMPLE_RATE
+    }
+  };
+}
+
+/**
+ * Register an Ultravox join URL that a media stream will connect to
+ * @param {string} joinUrl - Ultravox join URL of a call created with getBridgeMedium()
+ * @param {Object} metadata - Anything the caller wants back on the bridge (e.g. call control ID);
+ *   `provider` names the provider that will connect (default 'telnyx')
+ * @returns {string} - Token to pass as the `bridge` query parameter of the stream URL
+ */
+function registerBridge(joinUrl, metadata = {}) {
+  const now = Date.now();
+  for (const [token, pending] of pendingBridges) {
+    if (pending.expiresAt < now) pendingBridges.delete(token);
+  }
+
+  const token = crypto.randomUUID();
+  pendingBridges.set(token, { joinUrl, metadata, expiresAt: now + PENDING_BRIDGE_TTL_MS });
+  return token;
+}
+
+/**
+ * Build the stream URL a provider should connect to for a registered bridge
+ * @param {string} baseUrl - Public http(s) base URL of this server
+ * @param {string} token - Token returned by registerBridge; omit for Twilio, which sends it in the `start` message
+ * @returns {string} - ws(s):// URL of /stream-ws
+ */
+function getBridgeStreamUrl(baseUrl, token) {
+  const url = `${baseUrl.replace(/^http/, 'ws')}/stream-ws`;
+  return token ? `${url}?bridge=${token}` : url;
+}
+
+/**
+ * Find an active bridge by token or by the provider call ID
+ * @param {string} id - Bridge token, Telnyx call control ID or Twilio Call SID
+ * @returns {EventEmitter|undefined} - The bridge
+ */
+function findBridge(id) {
+  if (activeBridges.has(id)) return activeBridges.get(id);
+  for (const bridge of activeBridges.values()) {
+    if (bridge.callId === id || bridge.callControlId === id || bridge.metadata.callControlId === id) return bridge;
+  }
+  return undefined;
+}
+
+/**
+ * Handle a new media stream connection on /stream-ws
+ * @param {WebSocket} streamWs - Socket opened by the provider
+ * @param {Object} req - HTTP upgrade request
+ * @returns {Promise<EventEmitter|null>} - The bridge, or null if the stream was refused
+ */
+async function handleStreamConnection(streamWs, req) {
+  const token = new URL(req.url, 'http://localhost').searchParams.get('bridge');
+  if (token) {
+    return attachStream(streamWs, token);
+  }
+
+  // Twilio: the token arrives as a custom parameter of the start message
+  return new Promise(resolve => {
+    const waitForStart = (message) => {
+      let data;
+      try {
+        data = JSON.parse(message.toString());
+      } catch {
+        data = {};
+      }
+      if (data.event === 'connected') return;
+
+      streamWs.off('message', waitForStart);
+      const bridge = attachStream(streamWs, data.start?.customParameters?.bridge);
+      // Let the bridge handle the start message itself
+      if (bridge) streamWs.emit('message', message);
+      resolve(bridge);
+    };
+    streamWs.on('message', waitForStart);
+    streamWs.once('close', () => resolve(null));
+  });
+}
+
+// Connect an accepted media stream to the Ultravox call registered under `token`
+function attachStream(streamWs, token) {
+  const pending = token && pendingBridges.get(token);
+
+  if (!pending) {
+    console.warn('🚫 Refused media stream without a valid bridge token');
+    streamWs.close(1008, 'Unknown stream');
+    return null;
+  }
+  pendingBridges.delete(token);
+
+  const bridge = new EventEmitter();
+  bridge.token = token;
+  bridge.metadata = pending.metadata;
+  bridge.provider = pending.metadata.provider || 'telnyx';
+  bridge.callId = pending.metadata.callId || pending.metadata.callControlId || null;
+  bridge.callControlId = pending.metadata.callControlId || null;
+  bridge.streamSid = null;
+  activeBridges.set(token, bridge);
+
+  const ultravoxWs = new WebSocket(pending.joinUrl);
+  const pendingMarks = new Set();
+  let markCounter = 0;
+  let agentState = null;
+  let agentAudioRemainder = Buffer.alloc(0);
+  let closed = false;
+
+  console.log(`🔗 Bridging ${bridge.provider} stream ${token} to Ultravox`);
+
+  function sendToStream(message) {
+    if (streamWs.readyState === WebSocket.OPEN) {
+      streamWs.send(JSON.stringify(bridge.streamSid ? { ...message, streamSid: bridge.streamSid } : message));
+    }
+  }
+
+  // Send agent audio to the provider in whole 20 ms PCMU frames
+  function sendAgentAudio(pcm) {
+    const mulaw = Buffer.concat([agentAudioRemainder, pcm16ToMulaw(pcm)]);
+    const wholeFrames = Math.floor(mulaw.length / TELEPHONY_FRAME_BYTES) * TELEPHONY_FRAME_BYTES;
+
+    for (let offset = 0; offset < wholeFrames; offset += TELEPHONY_FRAME_BYTES) {
+      sendToStream({
+        event: 'media',
+        media: { payload: mulaw.subarray(offset, offset + TELEPHONY_FRAME_BYTES).toString('base64') }
+      });
+    }
+    agentAudioRemainder = mulaw.subarray(wholeFrames);
+  }
+
+  // Mark the end of the audio sent so far; the provider echoes it once played
+  function sendMark() {
+    const name = `agent-turn-${++markCounter}`;
+    pendingMarks.add(name);
+    sendToStream({ event: 'mark', mark: { name } });
+  }
+
+  // Barge-in: drop everything the provider has buffered but not yet played
+  function clearPlayback() {
+    agentAudioRemainder = Buffer.alloc(0);
+    pendingMarks.clear();
+    sendToStream({ event: 'clear' });
+  }
+
+  function close(initiator) {
+    if (closed) return;
+    closed = true;
+    activeBridges.delete(token);
+
+    if (ultravoxWs.readyState === WebSocket.OPEN || ultravoxWs.readyState === WebSocket.CONNECTING) {
+      ultravoxWs.close();
+    }
+    if (streamWs.readyState === WebSocket.OPEN) {
+      streamWs.close();
+    }
+
+    console.log(`🔌 Bridge ${token} closed by ${initiator}`);
+    bridge.emit('close', { initiator });
+  }
+
+  bridge.close = () => close('server');
+
+  /**
+   * Send a JSON data message into the Ultravox call (e.g. input_text_message)
+   * @param {Object} message - Ultravox data message
+   * @returns {boolean} - Whether the message was sent
+   */
+  bridge.sendToUltravox = (message) => {
+    if (ultravoxWs.readyState !== WebSocket.OPEN) return false;
+    ultravoxWs.send(JSON.stringify(message));
+    return true;
+  };
+
+  streamWs.on('message', (message) => {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      console.error(`Malformed media stream frame on bridge ${token}:`, error.message);
+      return;
+    }
+
+    switch (data.event) {
+      case 'connected':
+        break;
+
+      case 'start':
+        // Telnyx sends call_control_id and stream_id; Twilio sends callSid and streamSid
+        bridge.callControlId = data.start?.call_control_id || bridge.callControlId;
+        bridge.callId = bridge.callControlId || data.start?.callSid || bridge.callId;
+        bridge.streamId = data.stream_id || data.streamSid;
+        bridge.streamSid = data.streamSid || null;
+        console.log(`${bridge.provider} stream started for call ${bridge.callId}`, data.start?.media_format || data.start?.mediaFormat);
+        bridge.emit('start', data.start);
+        break;
+
+      case 'media': {
+        // With both tracks the provider also echoes our own audio back as 'outbound'
+        if (!data.media?.payload || (data.media.track && data.media.track !== 'inbound')) break;
+
+        const pcm = resamplePcm16(
+          mulawToPcm16(Buffer.from(data.media.payload, 'base64')),
+          TELEPHONY_SAMPLE_RATE,
+          ULTRAVOX_SAMPLE_RATE
+        );
+        bridge.emit('caller-audio', pcm);
+        if (ultravoxWs.readyState === WebSocket.OPEN) {
+          ultravoxWs.send(pcm);
+        }
+        break;
+      }
+
+      case 'mark':
+        if (data.mark?.name && pendingMarks.delete(data.mark.name) && pendingMarks.size === 0) {
+          bridge.emit('playback-finished');
+        }
+        break;
+
+      case 'dtmf':
+        bridge.emit('dtmf', data.dtmf?.digit);
+        break;
+
+      case 'stop':
+        close(bridge.provider);
+        break;
+
+      case 'error':
+        console.error(`Media stream error on bridge ${token}:`, data.payload || data);
+        break;
+
+      default:
+        console.log(`Unhandled media stream event type: ${data.event}`);
+    }
+  });
+
+  ultravoxWs.on('message', (message, isBinary) => {
+    if (isBinary) {
+      const pcm = resamplePcm16(message, ULTRAVOX_SAMPLE_RATE, TELEPHONY_SAMPLE_RATE);
+      bridge.emit('agent-audio', pcm);
+      sendAgentAudio(pcm);
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      console.error(`Malformed Ultravox data message on bridge ${token}:`, error.message);
+      return;
+    }
+
+    if (data.type === 'playback_clear_buffer') {
+      clearPlayback();
+    } else if (data.type === 'state') {
+      if (agentState === 'speaking' && data.state !== 'speaking') {
+        sendMark();
+      }
+      agentState = data.state;
+    }
+    bridge.emit('ultravox-message', data);
+  });
+
+  ultravoxWs.on('open', () => console.log(`Ultravox socket open for bridge ${token}`));
+  ultravoxWs.on('close', () => close('ultravox'));
+  ultravoxWs.on('error', (error) => {
+    console.error(`Ultravox socket error on bridge ${token}:`, error.message);
+    close('ultravox');
+  });
+
+  streamWs.on('close', () => close(bridge.provider));
+  streamWs.on('error', (error) => {
+    console.error(`Media stream socket error on bridge ${token}:`, error.message);
+    close(bridge.provider);
+  });
+
+  return bridge;
+}
+
+export {
+  getBridgeMedium,
+  registerBridge,
+  getBridgeStreamUrl,
+  findBridge,
+  handleStreamConnection
+};
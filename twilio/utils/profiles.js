@@ -0,0 +1,116 @@
+/**
+ * Agent Profiles
+ *
+ * Named persona presets bundling everything that shapes an AI agent on a
+ * call: system prompt, agent name, voice, temperature, first speaker, tools
+ * and corpus, plus an optional greeting and default template variables. Profiles live in a JSON file (AGENT_PROFILES_FILE, default
+ * data/profiles.json) and can be managed through the /profiles API.
+ *
+ * See config/profiles.example.json for the file format.
+ */
+
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore(process.env.AGENT_PROFILES_FILE || 'profiles.json', { profiles: {} });
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const FIRST_SPEAKERS = ['FIRST_SPEAKER_AGENT', 'FIRST_SPEAKER_USER'];
+
+// Field name -> validator returning an error message or null
+const PROFILE_FIELDS = {
+  description: value => typeof value === 'string' ? null : 'must be a string',
+  agentName: value => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  systemPrompt: value => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  voiceId: value => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  temperature: value => typeof value === 'number' && value >= 0 && value <= 1 ? null : 'must be a number between 0 and 1',
+  firstSpeaker: value => FIRST_SPEAKERS.includes(value) ? null : `must be one of ${FIRST_SPEAKERS.join(', ')}`,
+  tools: value => Array.isArray(value) && value.every(name => typeof name === 'string') ? null : 'must be an array of tool names',
+  corpusId: value => typeof value === 'string' ? null : 'must be a string',
+  greeting: value => typeof value === 'string' ? null : 'must be a string',
+  variables: value => value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object',
+  strictVariables: value => typeof value === 'boolean' ? null : 'must be true or false'
+};
+
+/**
+ * Validate a profile definition
+ * @param {Object} profile - Profile fields
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object'];
+  }
+
+  const errors = [];
+  for (const [field, value] of Object.entries(profile)) {
+    const validate = PROFILE_FIELDS[field];
+    if (!validate) {
+      errors.push(`${field}: unknown field (allowed: ${Object.keys(PROFILE_FIELDS).join(', ')})`);
+      continue;
+    }
+    const error = value === undefined || value === null ? null : validate(value);
+    if (error) errors.push(`${field}: ${error}`);
+  }
+  return errors;
+}
+
+/**
+ * Whether a string is usable as a profile name
+ * @param {string} name - Candidate name
+ * @returns {boolean}
+ */
+function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+}
+
+/**
+ * List all profiles
+ * @returns {Array<Object>} - Profiles, each with its `name`
+ */
+function listProfiles() {
+  return Object.entries(store.data.profiles).map(([name, profile]) => ({ name, ...profile }));
+}
+
+/**
+ * Get a profile by name
+ * @param {string} name - Profile name
+ * @returns {Object|undefined} - The profile, with its `name`
+ */
+function getProfile(name) {
+  const profile = name && Object.hasOwn(store.data.profiles, name) ? store.data.profiles[name] : undefined;
+  return profile ? { name, ...profile } : undefined;
+}
+
+/**
+ * Create or replace a profile
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile fields (validate with validateProfile first)
+ * @returns {Object} - The saved profile, with its `name`
+ */
+function saveProfile(name, profile) {
+  const { name: ignored, ...fields } = profile;
+  store.data.profiles[name] = fields;
+  store.save();
+  return getProfile(name);
+}
+
+/**
+ * Delete a profile
+ * @param {string} name - Profile name
+ * @returns {boolean} - Whether a profile was deleted
+ */
+function deleteProfile(name) {
+  if (!Object.hasOwn(store.data.profiles, name)) return false;
+  delete store.data.profiles[name];
+  store.save();
+  return true;
+}
+
+export {
+  validateProfile,
+  isValidProfileName,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile
+};
@@ -0,0 +1,33 @@
+/**
+ * Public URL Utility
+ * 
+ * Builds the externally visible URL of this server. Behind a reverse proxy or
+ * tunnel the Host header seen by Express is not what Twilio/Telnyx call, so
+ * PUBLIC_BASE_URL (e.g. https://voice.example.com) takes precedence.
+ */
+
+/**
+ * Get the public base URL (scheme + host, no trailing slash)
+ * @param {Object} req - Express request, used when PUBLIC_BASE_URL is not set
+ * @returns {string} - Base URL
+ */
+function getPublicBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Get the public URL of the current request, including path and query string
+ * @param {Object} req - Express request
+ * @returns {string} - Full URL as the caller addressed it
+ */
+function getPublicRequestUrl(req) {
+  return `${getPublicBaseUrl(req)}${req.originalUrl}`;
+}
+
+export {
+  getPublicBaseUrl,
+  getPublicRequestUrl
+};
@@ -0,0 +1,99 @@
+/**
+ * Recording Storage
+ *
+ * Where call recordings are kept. The built-in `local` adapter writes files
+ * to RECORDINGS_DIR (default data/recordings). To use other storage (S3, a
+ * NAS, ...), point RECORDING_STORAGE at a module whose default export
+ * implements the same interface:
+ *
+ *   save(key, readable, { contentType }) -> Promise<{ size }>
+ *   stat(key)                             -> Promise<{ size, modifiedAt } | null>
+ *   createReadStream(key, { start, end }) -> Readable (end inclusive)
+ *   delete(key)                           -> Promise<void>
+ *   list()                                -> Promise<Array<{ key, size, modifiedAt }>>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { pathToFileURL } from 'url';
+import { dataPath } from './json-store.js';
+
+/**
+ * Create a filesystem storage adapter
+ * @param {string} directory - Directory for the recording files
+ * @returns {Object} - Storage adapter
+ */
+function createLocalStorage(directory) {
+  // Keys are generated by the server, but never let one escape the directory
+  const fileFor = (key) => path.join(directory, path.basename(key));
+
+  return {
+    name: 'local',
+    directory,
+
+    async save(key, readable) {
+      fs.mkdirSync(directory, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        await pipeline(readable, fs.createWriteStream(tmp));
+        fs.renameSync(tmp, file);
+      } catch (error) {
+        fs.rmSync(tmp, { force: true });
+        throw error;
+      }
+      return { size: fs.statSync(file).size };
+    },
+
+    async stat(key) {
+      try {
+        const stats = fs.statSync(fileFor(key));
+        return { size: stats.size, modifiedAt: stats.mtime };
+      } catch {
+        return null;
+      }
+    },
+
+    createReadStream(key, range = {}) {
+      return fs.createReadStream(fileFor(key), range);
+    },
+
+    async delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+
+    async list() {
+      if (!fs.existsSync(directory)) return [];
+      return fs.readdirSync(directory)
+        .filter(name => !name.endsWith('.tmp'))
+        .map(name => {
+          const stats = fs.statSync(path.join(directory, name));
+          return { key: name, size: stats.size, modifiedAt: stats.mtime };
+        });
+    }
+  };
+}
+
+/**
+ * Load the configured storage adapter
+ * @returns {Promise<Object>} - Storage adapter
+ */
+async function loadRecordingStorage() {
+  const modulePath = process.env.RECORDING_STORAGE;
+  if (!modulePath || modulePath === 'local') {
+    return createLocalStorage(dataPath(process.env.RECORDINGS_DIR || 'recordings'));
+  }
+
+  const { default: adapter } = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const missing = ['save', 'stat', 'createReadStream', 'delete', 'list'].filter(method => typeof adapter?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`RECORDING_STORAGE module ${modulePath} must export an adapter with: ${missing.join(', ')}`);
+  }
+  return adapter;
+}
+
+export {
+  createLocalStorage,
+  loadRecordingStorage
+};
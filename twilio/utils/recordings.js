@@ -0,0 +1,189 @@
+/**
+ * Call Recordings
+ *
+ * Copies each finished call's Ultravox recording into our own storage (see
+ * recording-storage.js) and records where it went on the call record
+ * (`recording`). Recordings older than RECORDING_RETENTION_DAYS are pruned;
+ * without that setting they are kept forever.
+ *
+ * Like transcripts, a copy is attempted RECORDING_FETCH_DELAY_MS (default
+ * 15000) after the call reaches a final status, and right away when Ultravox
+ * posts `call.ended` to /callback (once ULTRAVOX_REGISTER_WEBHOOK has
+ * registered it). Ultravox needs a few seconds after the call to finish the
+ * recording, so failed attempts are retried.
+ */
+
+import { findCall, updateCall } from './call-registry.js';
+import { ultravox } from './ultravox-client.js';
+import { loadRecordingStorage } from './recording-storage.js';
+import { publishEvent } from './webhook-subscriptions.js';
+
+const MAX_ATTEMPTS = 4;
+const RETRY_DELAY_MS = 10000;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const EXTENSIONS = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm'
+};
+
+const storage = await loadRecordingStorage();
+
+// Copies in progress, by call record ID
+const inFlight = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Copy a call's recording from Ultravox into storage
+ * Safe to call repeatedly; concurrent calls for the same call share one copy.
+ * @param {string} id - Any identifier of the call
+ * @returns {Promise<Object|null>} - The call's `recording` details, or null if it could not be stored
+ */
+function captureRecording(id) {
+  const call = findCall(id);
+  if (!call?.ultravoxCallId) return Promise.resolve(null);
+  if (call.recording?.status === 'stored') return Promise.resolve(call.recording);
+  if (inFlight.has(call.id)) return inFlight.get(call.id);
+
+  const capture = (async () => {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        const { stream, contentType = 'audio/wav' } = await ultravox.getCallRecording(call.ultravoxCallId);
+        const mimeType = contentType.split(';')[0].trim();
+        const key = `${call.id}.${EXTENSIONS[mimeType] || 'wav'}`;
+        const { size } = await storage.save(key, stream, { contentType: mimeType });
+
+        const recording = { status: 'stored', storage: storage.name, key, contentType: mimeType, size, storedAt: new Date().toISOString() };
+        updateCall(call.id, { recording });
+        console.log(`🎙️ Stored recording for call ${call.id} (${size} bytes)`);
+        publishEvent('recording.ready', { call: findCall(call.id), path: `/calls/${call.id}/recording` });
+        return recording;
+      } catch (error) {
+        console.error(`🎙️ Recording fetch for call ${call.id} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+        // Recording disabled for the call, or the call never connected
+        if (error.status === 404 && attempt > 1) break;
+        if (attempt < MAX_ATTEMPTS) await sleep(RETRY_DELAY_MS * attempt);
+      }
+    }
+    updateCall(call.id, { recording: { status: 'failed', failedAt: new Date().toISOString() } });
+    return null;
+  })().finally(() => inFlight.delete(call.id));
+
+  inFlight.set(call.id, capture);
+  return capture;
+}
+
+/**
+ * Copy the recording a little after the provider reports a call ended,
+ * unless it has been stored already
+ * @param {Object} call - Call record
+ */
+function scheduleRecordingCapture(call) {
+  const delay = parseInt(process.env.RECORDING_FETCH_DELAY_MS, 10) || 15000;
+  setTimeout(() => {
+    if (findCall(call.id)?.recording?.status !== 'stored') {
+      captureRecording(call.id);
+    }
+  }, delay).unref();
+}
+
+/**
+ * Open a stored recording for reading
+ * @param {Object} call - Call record
+ * @param {string} rangeHeader - HTTP Range header, if any
+ * @returns {Promise<Object|null>} - null if there is no stored recording; otherwise
+ *   { status (200, 206 or 416), headers, stream }
+ */
+async function openRecording(call, rangeHeader) {
+  if (call.recording?.status !== 'stored') return null;
+  const stats = await storage.stat(call.recording.key);
+  if (!stats) return null;
+
+  const size = stats.size;
+  const headers = {
+    'Content-Type': call.recording.contentType,
+    'Accept-Ranges': 'bytes'
+  };
+
+  if (!rangeHeader) {
+    return { status: 200, headers: { ...headers, 'Content-Length': size }, stream: storage.createReadStream(call.recording.key) };
+  }
+
+  // Single ranges only: "bytes=start-end", "bytes=start-" or "bytes=-suffixLength"
+  const unsatisfiable = { status: 416, headers: { ...headers, 'Content-Range': `bytes */${size}` }, stream: null };
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return unsatisfiable;
+
+  let start;
+  let end = size - 1;
+  if (match[1] === '') {
+    start = Math.max(size - parseInt(match[2], 10), 0);
+  } else {
+    start = parseInt(match[1], 10);
+    if (match[2]) end = Math.min(parseInt(match[2], 10), size - 1);
+  }
+  if (start >= size || start > end) return unsatisfiable;
+
+  return {
+    status: 206,
+    headers: {
+      ...headers,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1
+    },
+    stream: storage.createReadStream(call.recording.key, { start, end })
+  };
+}
+
+/**
+ * Delete recordings older than RECORDING_RETENTION_DAYS
+ * @returns {Promise<number>} - Number of recordings deleted
+ */
+async function pruneRecordings() {
+  const days = parseFloat(process.env.RECORDING_RETENTION_DAYS);
+  if (!(days > 0)) return 0;
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  for (const item of await storage.list()) {
+    if (new Date(item.modifiedAt).getTime() >= cutoff) continue;
+
+    await storage.delete(item.key);
+    pruned++;
+    const recordId = item.key.replace(/\.[^.]+$/, '');
+    const call = findCall(recordId);
+    if (call?.recording?.key === item.key) {
+      updateCall(call.id, { recording: { ...call.recording, status: 'pruned', prunedAt: new Date().toISOString() } });
+    }
+  }
+
+  if (pruned > 0) {
+    console.log(`🎙️ Pruned ${pruned} recording(s) older than ${days} days`);
+  }
+  return pruned;
+}
+
+/**
+ * Prune now and then periodically
+ * @returns {Function} - Stops the loop
+ */
+function startRecordingRetention() {
+  const run = () => pruneRecordings().catch(error => console.error('🎙️ Recording prune failed:', error.message));
+  run();
+  const timer = setInterval(run, PRUNE_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export {
+  captureRecording,
+  scheduleRecordingCapture,
+  openRecording,
+  pruneRecordings,
+  startRecordingRetention
+};
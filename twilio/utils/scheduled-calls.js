@@ -0,0 +1,220 @@
+/**
+ * Scheduled Outbound Calls
+ *
+ * Persisted call bookings (SCHEDULED_CALLS_FILE, default
+ * data/scheduled-calls.json). Each job stores the /outgoing options plus
+ * `scheduledAt` and `timezone`; a loop inside the server places the call
+ * once its time has come.
+ *
+ * Jobs are fired at most once: a job is marked `firing` on disk before the
+ * call is placed, and a job found in that state after a restart is marked
+ * failed instead of being dialed again. Jobs that were due while the server
+ * was down are still placed if they are less than
+ * SCHEDULED_CALL_GRACE_MINUTES (default 60) late, otherwise marked `missed`.
+ */
+
+import crypto from 'crypto';
+import { createJsonStore } from './json-store.js';
+import { isValidTimeZone, zonedTimeToUtc } from './timezone.js';
+
+const store = createJsonStore(process.env.SCHEDULED_CALLS_FILE || 'scheduled-calls.json', { jobs: [] });
+
+const TICK_MS = 1000;
+const STATUSES = ['scheduled', 'firing', 'fired', 'failed', 'missed', 'canceled'];
+
+function getDefaultTimeZone() {
+  return process.env.DEFAULT_TIMEZONE || 'UTC';
+}
+
+function getGraceMs() {
+  return (parseInt(process.env.SCHEDULED_CALL_GRACE_MINUTES, 10) || 60) * 60 * 1000;
+}
+
+/**
+ * Work out when a job should run
+ * @param {string} scheduledAt - ISO date/time, with or without an offset
+ * @param {string} timezone - IANA zone for times without an offset (default DEFAULT_TIMEZONE)
+ * @returns {Object} - { runAt, timezone } or { error }
+ */
+function resolveRunAt(scheduledAt, timezone = getDefaultTimeZone()) {
+  if (!isValidTimeZone(timezone)) {
+    return { error: `Unknown timezone "${timezone}"` };
+  }
+  const runAt = zonedTimeToUtc(scheduledAt, timezone);
+  if (!runAt) {
+    return { error: 'scheduledAt must be an ISO 8601 date/time such as 2025-03-14T15:00' };
+  }
+  if (runAt.getTime() < Date.now() - 60 * 1000) {
+    return { error: `scheduledAt is in the past (${runAt.toISOString()})` };
+  }
+  return { runAt: runAt.toISOString(), timezone };
+}
+
+function findJob(id) {
+  return store.data.jobs.find(job => job.id === id);
+}
+
+/**
+ * Schedule a call
+ * @param {Object} input - { scheduledAt, timezone, options (the /outgoing body), baseUrl }
+ * @returns {Object} - { job } or { error }
+ */
+function scheduleCall({ scheduledAt, timezone, options, baseUrl }) {
+  const when = resolveRunAt(scheduledAt, timezone || undefined);
+  if (when.error) return when;
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'scheduled',
+    scheduledAt,
+    timezone: when.timezone,
+    runAt: when.runAt,
+    options,
+    baseUrl,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    firedAt: null
+  };
+  store.data.jobs.push(job);
+  store.save();
+  console.log(`⏰ Scheduled call ${job.id} to ${options.destinationNumber} at ${job.runAt}`);
+  return { job };
+}
+
+/**
+ * List scheduled calls, soonest first
+ * @param {Object} filters - { status }
+ * @returns {Array<Object>}
+ */
+function listScheduledCalls({ status } = {}) {
+  return store.data.jobs
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => a.runAt.localeCompare(b.runAt));
+}
+
+/**
+ * Get one scheduled call
+ * @param {string} id - Job ID
+ * @returns {Object|undefined}
+ */
+function getScheduledCall(id) {
+  return findJob(id);
+}
+
+/**
+ * Move a pending job to a new time
+ * @param {string} id - Job ID
+ * @param {Object} update - { scheduledAt, timezone }
+ * @returns {Object} - { job } or { error, message }
+ */
+function rescheduleCall(id, { scheduledAt, timezone }) {
+  const job = findJob(id);
+  if (!job) return { error: 'not-found' };
+  if (job.status !== 'scheduled') {
+    return { error: 'conflict', message: `Call is already ${job.status}` };
+  }
+
+  const when = resolveRunAt(scheduledAt ?? job.scheduledAt, timezone ?? job.timezone);
+  if (when.error) return { error: 'invalid', message: when.error };
+
+  job.scheduledAt = scheduledAt ?? job.scheduledAt;
+  job.timezone = when.timezone;
+  job.runAt = when.runAt;
+  job.updatedAt = new Date().toISOString();
+  store.save();
+  console.log(`⏰ Rescheduled call ${job.id} to ${job.runAt}`);
+  return { job };
+}
+
+/**
+ * Cancel a pending job
+ * @param {string} id - Job ID
+ * @returns {Object} - { job } or { error, message }
+ */
+function cancelScheduledCall(id) {
+  const job = findJob(id);
+  if (!job) return { error: 'not-found' };
+  if (job.status !== 'scheduled') {
+    return { error: 'conflict', message: `Call is already ${job.status}` };
+  }
+
+  job.status = 'canceled';
+  job.updatedAt = new Date().toISOString();
+  store.save();
+  console.log(`⏰ Canceled scheduled call ${job.id}`);
+  return { job };
+}
+
+// Place the call for a due job
+async function fireJob(job, placeCall) {
+  // Persist the claim before dialing so a restart can never dial it twice
+  job.status = 'firing';
+  job.firedAt = new Date().toISOString();
+  job.updatedAt = job.firedAt;
+  store.save();
+
+  try {
+    const { callId, recordId } = await placeCall({
+      ...job.options,
+      baseUrl: job.baseUrl,
+      metadata: { scheduledCallId: job.id }
+    });
+    job.status = 'fired';
+    job.result = { callId, recordId };
+    console.log(`⏰ Placed scheduled call ${job.id} (${callId})`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    console.error(`⏰ Scheduled call ${job.id} failed:`, error.message);
+  }
+  job.updatedAt = new Date().toISOString();
+  store.save();
+}
+
+/**
+ * Start the loop that places due calls
+ * @param {Function} placeCall - async (options) => { callId, recordId }; places one outbound call
+ * @returns {Function} - Stops the loop
+ */
+function startScheduler(placeCall) {
+  // Jobs caught mid-dial by a restart may or may not have been placed; don't risk a second call
+  for (const job of store.data.jobs) {
+    if (job.status === 'firing') {
+      job.status = 'failed';
+      job.error = 'Server restarted while the call was being placed; not retried to avoid calling twice';
+      job.updatedAt = new Date().toISOString();
+    }
+  }
+  store.save();
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const job of store.data.jobs) {
+      if (job.status !== 'scheduled' || Date.parse(job.runAt) > now) continue;
+
+      if (now - Date.parse(job.runAt) > getGraceMs()) {
+        job.status = 'missed';
+        job.updatedAt = new Date().toISOString();
+        store.save();
+        console.warn(`⏰ Scheduled call ${job.id} was due at ${job.runAt} and is too late to place`);
+        continue;
+      }
+      fireJob(job, placeCall);
+    }
+  }, TICK_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export {
+  STATUSES,
+  scheduleCall,
+  listScheduledCalls,
+  getScheduledCall,
+  rescheduleCall,
+  cancelScheduledCall,
+  startScheduler
+};
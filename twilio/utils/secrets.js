@@ -0,0 +1,47 @@
+/**
+ * Secrets
+ *
+ * Tool definitions reference secrets by environment variable name
+ * (`secret: CRM_API_KEY`) rather than by value. Every value resolved here is
+ * remembered so that logs and API responses can be passed through
+ * redactSecrets() before they are printed.
+ */
+
+const REDACTED = '[redacted]';
+
+// Values handed out by resolveSecret
+const secretValues = new Set();
+
+/**
+ * Read a secret from the environment
+ * @param {string} name - Environment variable name
+ * @returns {string|undefined} - The value, or undefined if the variable is not set
+ */
+function resolveSecret(name) {
+  const value = process.env[name];
+  if (value) {
+    secretValues.add(value);
+  }
+  return value || undefined;
+}
+
+/**
+ * Copy a value with every known secret replaced by "[redacted]"
+ * Secrets are also caught inside longer strings (URLs, "Bearer <token>").
+ * @param {*} value - Anything JSON-serializable
+ * @returns {*} - Redacted copy
+ */
+function redactSecrets(value) {
+  if (secretValues.size === 0 || value === undefined) return value;
+
+  // Longest first, so a secret that contains another is replaced whole
+  const secrets = [...secretValues].sort((a, b) => b.length - a.length);
+  const redact = (text) => secrets.reduce((result, secret) => result.replaceAll(secret, REDACTED), text);
+
+  return JSON.parse(JSON.stringify(value), (key, item) => (typeof item === 'string' ? redact(item) : item));
+}
+
+export {
+  resolveSecret,
+  redactSecrets
+};
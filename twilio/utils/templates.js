@@ -0,0 +1,139 @@
+/**
+ * Template Variables
+ *
+ * Fills `{{placeholders}}` in prompts, tool guidelines and greetings with
+ * per-call values: the `variables` of an /outgoing request (or campaign
+ * contact), and details of the call itself.
+ *
+ * Syntax:
+ *   {{customer.first_name}}                      value lookup (dotted path)
+ *   {{customer.first_name | default: "there"}}   fallback when missing or empty
+ *
+ * Available on every call: agent.name, call.from, call.to, call.direction,
+ * call.provider. Inbound calls also get caller.number, caller.name,
+ * caller.city, caller.state, caller.country, called.number, and carrier.* -
+ * the raw fields of the provider's webhook (e.g. carrier.FromCity on Twilio,
+ * carrier.caller_id_name on Telnyx).
+ *
+ * In strict mode a missing variable without a default is an error, so the
+ * call is never placed with an agent saying "Hi {{name}}".
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*(?:\|\s*default:\s*(?:"([^"]*)"|'([^']*)'|([^}]*?)))?\s*\}\}/g;
+
+/**
+ * A template referenced variables that have no value (strict mode)
+ * `missing` lists the variable paths.
+ */
+class TemplateError extends Error {
+  constructor(message, missing = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.missing = missing;
+  }
+}
+
+// Look up a variable; flat keys such as "customer.first_name" (from CSV columns) win over nested paths
+function lookup(context, path) {
+  if (Object.prototype.hasOwnProperty.call(context, path)) {
+    return context[path];
+  }
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Render one template
+ * @param {string} text - Template text
+ * @param {Object} context - Variables
+ * @returns {{text: string, missing: Array<string>}} - Rendered text (missing values become '') and missing variable paths
+ */
+function renderTemplate(text, context = {}) {
+  const missing = [];
+  if (typeof text !== 'string') return { text, missing };
+
+  const rendered = text.replace(PLACEHOLDER_PATTERN, (placeholder, path, doubleQuoted, singleQuoted, bare) => {
+    const value = lookup(context, path);
+    if (!isMissing(value)) {
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    const fallback = doubleQuoted ?? singleQuoted ?? bare?.trim();
+    if (fallback !== undefined) return fallback;
+    missing.push(path);
+    return '';
+  });
+  return { text: rendered, missing };
+}
+
+/**
+ * Render several templates at once
+ * @param {Object} fields - Field name -> template text (undefined fields are skipped)
+ * @param {Object} context - Variables
+ * @param {Object} options - { strict }
+ * @returns {Object} - Field name -> rendered text
+ * @throws {TemplateError} - In strict mode, when any variable without a default is missing
+ */
+function renderTemplateFields(fields, context, { strict = false } = {}) {
+  const rendered = {};
+  const missing = new Set();
+  for (const [field, text] of Object.entries(fields)) {
+    const result = renderTemplate(text, context);
+    rendered[field] = result.text;
+    result.missing.forEach(path => missing.add(path));
+  }
+
+  if (missing.size > 0) {
+    const list = [...missing].join(', ');
+    if (strict) {
+      throw new TemplateError(`Missing template variables: ${list}`, [...missing]);
+    }
+    console.warn(`⚠️ Template variables without a value (left blank): ${list}`);
+  }
+  return rendered;
+}
+
+/**
+ * Assemble the variables available to a call's templates
+ * @param {Object} options - Call details
+ * @param {Object} options.variables - Request/contact variables
+ * @param {Object} options.call - { from, to, direction, provider, callerName, details }
+ * @param {string} options.agentName - Agent name
+ * @returns {Object} - Template context
+ */
+function buildTemplateContext({ variables = {}, call = {}, agentName } = {}) {
+  const context = {
+    agent: { name: agentName },
+    call: {
+      from: call.from,
+      to: call.to,
+      direction: call.direction,
+      provider: call.provider
+    }
+  };
+
+  if (call.direction === 'inbound') {
+    const details = call.details || {};
+    context.caller = {
+      number: call.from,
+      name: call.callerName,
+      city: details.FromCity,
+      state: details.FromState,
+      country: details.FromCountry
+    };
+    context.called = { number: call.to };
+    context.carrier = details;
+  }
+
+  // Request variables may add to (or override) the built-in ones
+  return { ...context, ...variables };
+}
+
+export {
+  TemplateError,
+  renderTemplate,
+  renderTemplateFields,
+  buildTemplateContext
+};
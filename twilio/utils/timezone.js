@@ -0,0 +1,104 @@
+/**
+ * Time Zone Helpers
+ *
+ * Conversions between UTC instants and wall-clock times in IANA time zones
+ * (e.g. America/New_York), using the Intl API so no tz database package is
+ * needed.
+ */
+
+const formatters = new Map();
+
+// Cached formatter that splits an instant into wall-clock fields for a zone
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is a time zone Intl understands
+ * @param {string} timeZone - IANA zone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday (0 = Sunday), date ('YYYY-MM-DD') }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  const result = {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+  result.date = `${parts.year}-${parts.month}-${parts.day}`;
+  return result;
+}
+
+// Offset of a zone from UTC at an instant, in milliseconds
+function getOffset(timestamp, timeZone) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a date/time to a UTC instant
+ * Strings with an explicit offset or Z are taken as-is; others
+ * ("2025-03-14T15:00") are read as wall-clock time in `timeZone`.
+ * @param {string} value - ISO 8601 date/time
+ * @param {string} timeZone - IANA zone name for values without an offset
+ * @returns {Date|null} - The instant, or null if the value can't be parsed
+ */
+function zonedTimeToUtc(value, timeZone = 'UTC') {
+  if (typeof value !== 'string') return null;
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part && Number(part));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Apply the offset in effect at that moment; re-check once for DST transitions
+  let timestamp = wallClock - getOffset(wallClock, timeZone);
+  const correctedOffset = getOffset(timestamp, timeZone);
+  timestamp = wallClock - correctedOffset;
+  return new Date(timestamp);
+}
+
+export {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc
+};
@@ -0,0 +1,343 @@
+/**
+ * Tool Catalog
+ *
+ * Loads tool definitions from JSON or YAML files and from ULTRAVOX_TOOL_<n>_*
+ * environment variables, and validates them. A file holds either one tool
+ * (an object with `name`) or a catalog (`tools:` as a list, or a map of
+ * name -> definition). Problems are collected as messages that name the
+ * file (or variable) and field, and the offending tool is left out;
+ * nothing here throws.
+ *
+ * Static parameters are sent with every call but never shown to the model.
+ * Their value is given inline (`value`) or, for credentials, as the name of
+ * an environment variable (`secret`) that is read when the tool is used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const PARAMETER_LOCATIONS = [
+  'PARAMETER_LOCATION_QUERY',
+  'PARAMETER_LOCATION_PATH',
+  'PARAMETER_LOCATION_HEADER',
+  'PARAMETER_LOCATION_BODY'
+];
+const TOOL_FIELDS = [
+  'name', 'description', 'http', 'dynamicParameters', 'staticParameters', 'automaticParameters',
+  'timeout', 'precomputable', 'responseSchema', 'examples'
+];
+const TIMEOUT_PATTERN = /^\d+(\.\d+)?s$/;
+const CATALOG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate one tool definition
+ * @param {Object} tool - Tool definition
+ * @param {Object} env - Environment variables, for `secret` references
+ * @returns {Array<string>} - Errors as "field: problem" (empty if valid)
+ */
+function validateToolDefinition(tool, env = process.env) {
+  if (!isObject(tool)) return ['tool must be an object'];
+
+  const errors = [];
+  for (const field of Object.keys(tool)) {
+    if (!TOOL_FIELDS.includes(field)) errors.push(`${field}: unknown field`);
+  }
+  if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) {
+    errors.push('name: must be 1-64 letters, digits, "_" or "-"');
+  }
+  if (typeof tool.description !== 'string' || !tool.description.trim()) {
+    errors.push('description: must be a non-empty string');
+  }
+
+  if (!isObject(tool.http)) {
+    errors.push('http: must be an object with baseUrlPattern and httpMethod');
+  } else {
+    if (typeof tool.http.baseUrlPattern !== 'string' || !/^https?:\/\//.test(tool.http.baseUrlPattern)) {
+      errors.push('http.baseUrlPattern: must be an http(s) URL');
+    }
+    if (tool.http.httpMethod !== undefined && !HTTP_METHODS.includes(tool.http.httpMethod)) {
+      errors.push(`http.httpMethod: must be one of ${HTTP_METHODS.join(', ')}`);
+    }
+  }
+
+  if (tool.dynamicParameters !== undefined) {
+    if (!Array.isArray(tool.dynamicParameters)) {
+      errors.push('dynamicParameters: must be an array');
+    } else {
+      tool.dynamicParameters.forEach((parameter, index) => {
+        const field = `dynamicParameters[${index}]`;
+        if (!isObject(parameter)) {
+          errors.push(`${field}: must be an object`);
+          return;
+        }
+        if (typeof parameter.name !== 'string' || !parameter.name) {
+          errors.push(`${field}.name: must be a non-empty string`);
+        }
+        if (!PARAMETER_LOCATIONS.includes(parameter.location)) {
+          errors.push(`${field}.location: must be one of ${PARAMETER_LOCATIONS.join(', ')}`);
+        }
+        if (!isObject(parameter.schema)) {
+          errors.push(`${field}.schema: must be an object`);
+        }
+        if (parameter.required !== undefined && typeof parameter.required !== 'boolean') {
+          errors.push(`${field}.required: must be true or false`);
+        }
+      });
+
+    }
+  }
+
+  if (tool.staticParameters !== undefined) {
+    if (!Array.isArray(tool.staticParameters)) {
+      errors.push('staticParameters: must be an array');
+    } else {
+      tool.staticParameters.forEach((parameter, index) => {
+        const field = `staticParameters[${index}]`;
+        if (!isObject(parameter)) {
+          errors.push(`${field}: must be an object`);
+          return;
+        }
+        if (typeof parameter.name !== 'string' || !parameter.name) {
+          errors.push(`${field}.name: must be a non-empty string`);
+        }
+        if (!PARAMETER_LOCATIONS.includes(parameter.location)) {
+          errors.push(`${field}.location: must be one of ${PARAMETER_LOCATIONS.join(', ')}`);
+        }
+        if ((parameter.value === undefined) === (parameter.secret === undefined)) {
+          errors.push(`${field}: needs either value or secret (an environment variable name)`);
+        } else if (parameter.secret !== undefined) {
+          if (typeof parameter.secret !== 'string' || !parameter.secret) {
+            errors.push(`${field}.secret: must be an environment variable name`);
+          } else if (!env[parameter.secret]) {
+            errors.push(`${field}.secret: environment variable ${parameter.secret} is not set`);
+          }
+        }
+      });
+    }
+  }
+
+  // Path parameters must appear in the URL as {name}
+  const url = tool.http?.baseUrlPattern || '';
+  [tool.dynamicParameters, tool.staticParameters]
+    .filter(Array.isArray)
+    .flat()
+    .filter(parameter => parameter?.location === 'PARAMETER_LOCATION_PATH' && !url.includes(`{${parameter.name}}`))
+    .forEach(parameter => errors.push(`http.baseUrlPattern: missing {${parameter.name}} for path parameter ${parameter.name}`));
+
+  if (tool.timeout !== undefined &&
+      !(typeof tool.timeout === 'number' && tool.timeout > 0) &&
+      !(typeof tool.timeout === 'string' && TIMEOUT_PATTERN.test(tool.timeout))) {
+    errors.push('timeout: must be a number of seconds or a duration such as "20s"');
+  }
+  if (tool.precomputable !== undefined && typeof tool.precomputable !== 'boolean') {
+    errors.push('precomputable: must be true or false');
+  }
+
+  if (tool.automaticParameters !== undefined && !Array.isArray(tool.automaticParameters)) {
+    errors.push('automaticParameters: must be an array');
+  }
+  if (tool.responseSchema !== undefined && !isObject(tool.responseSchema)) {
+    errors.push('responseSchema: must be an object');
+  }
+  if (tool.examples !== undefined) {
+    if (!Array.isArray(tool.examples)) {
+      errors.push('examples: must be an array');
+    } else {
+      tool.examples.forEach((example, index) => {
+        if (!isObject(example) || typeof example.query !== 'string' || typeof example.response !== 'string') {
+          errors.push(`examples[${index}]: must be an object with query and response strings`);
+        }
+        if (example?.arguments !== undefined && !isObject(example.arguments)) {
+          errors.push(`examples[${index}].arguments: must be an object of parameter values`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// Tools in a parsed file, with their location for error messages
+function toolsInDocument(document) {
+  if (isObject(document) && document.tools !== undefined) {
+    if (Array.isArray(document.tools)) {
+      return document.tools.map((tool, index) => ({ tool, at: `tools[${index}]` }));
+    }
+    if (isObject(document.tools)) {
+      return Object.entries(document.tools).map(([name, tool]) => ({
+        tool: isObject(tool) ? { name, ...tool } : tool,
+        at: `tools.${name}`
+      }));
+    }
+    return [{ tool: document.tools, at: 'tools' }];
+  }
+  return [{ tool: document, at: null }];
+}
+
+// Expand the catalog paths into files, skipping anything that is not JSON/YAML
+function catalogFiles(paths) {
+  const files = [];
+  for (const entry of paths) {
+    if (!fs.existsSync(entry)) continue;
+    if (fs.statSync(entry).isDirectory()) {
+      fs.readdirSync(entry)
+        .filter(name => CATALOG_EXTENSIONS.includes(path.extname(name)))
+        .sort()
+        .forEach(name => files.push(path.join(entry, name)));
+    } else {
+      files.push(entry);
+    }
+  }
+  return files;
+}
+
+/**
+ * Load tools from catalog files
+ * @param {Array<string>} paths - Files or directories
+ * @param {string} baseDir - Directory that error messages are relative to
+ * @param {Object} env - Environment variables, for `secret` references
+ * @returns {{tools: Array<Object>, errors: Array<string>}} - Tools with a `source`, and errors
+ */
+function loadToolFiles(paths, baseDir = process.cwd(), env = process.env) {
+  const tools = [];
+  const errors = [];
+
+  for (const file of catalogFiles(paths)) {
+    const relative = path.relative(baseDir, file);
+    const label = relative && !relative.startsWith('..') ? relative : file;
+    let document;
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      document = path.extname(file) === '.json' ? JSON.parse(text) : parseYaml(text);
+    } catch (error) {
+      errors.push(`${label}: could not be parsed (${error.message.split('\n')[0]})`);
+      continue;
+    }
+
+    for (const { tool, at } of toolsInDocument(document)) {
+      const problems = validateToolDefinition(tool, env);
+      if (problems.length > 0) {
+        problems.forEach(problem => errors.push(`${label}: ${at ? `${at}.` : ''}${problem}`));
+        continue;
+      }
+      tools.push({ ...tool, source: label });
+    }
+  }
+  return { tools, errors };
+}
+
+/**
+ * Load tools defined as ULTRAVOX_TOOL_<n>_NAME, _DESCRIPTION, _URL, _METHOD,
+ * _PARAMS, _STATIC_PARAMS, _TIMEOUT, _PRECOMPUTABLE, _RESPONSE_SCHEMA and
+ * _EXAMPLES (any n)
+ * @param {Object} env - Environment variables
+ * @returns {{tools: Array<Object>, errors: Array<string>}} - Tools with a `source`, and errors
+ */
+function loadEnvTools(env = process.env) {
+  const tools = [];
+  const errors = [];
+  const prefixes = Object.keys(env)
+    .map(key => /^(ULTRAVOX_TOOL_\d+)_NAME$/.exec(key)?.[1])
+    .filter(Boolean)
+    .sort((a, b) => Number(a.split('_').pop()) - Number(b.split('_').pop()));
+
+  for (const prefix of prefixes) {
+    const problems = [];
+    // JSON-valued variables; a malformed one is reported instead of crashing the server
+    const json = (suffix) => {
+      const value = env[`${prefix}_${suffix}`];
+      if (!value) return undefined;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        problems.push(`${prefix}_${suffix}: invalid JSON (${error.message})`);
+        return undefined;
+      }
+    };
+
+    const tool = {
+      name: env[`${prefix}_NAME`],
+      description: env[`${prefix}_DESCRIPTION`],
+      http: {
+        baseUrlPattern: env[`${prefix}_URL`],
+        httpMethod: env[`${prefix}_METHOD`] || 'GET'
+      },
+      dynamicParameters: json('PARAMS') || []
+    };
+    const staticParameters = json('STATIC_PARAMS');
+    const responseSchema = json('RESPONSE_SCHEMA');
+    const examples = json('EXAMPLES');
+    if (staticParameters !== undefined) tool.staticParameters = staticParameters;
+    if (responseSchema !== undefined) tool.responseSchema = responseSchema;
+    if (examples !== undefined) tool.examples = examples;
+    const timeout = env[`${prefix}_TIMEOUT`];
+    if (timeout) tool.timeout = /^\d+(\.\d+)?$/.test(timeout) ? Number(timeout) : timeout;
+    if (env[`${prefix}_PRECOMPUTABLE`]) tool.precomputable = env[`${prefix}_PRECOMPUTABLE`] === 'true';
+
+    if (problems.length === 0) {
+      problems.push(...validateToolDefinition(tool, env).map(problem => `${prefix}: ${problem}`));
+    }
+    if (problems.length > 0) {
+      errors.push(...problems.map(problem => `env ${problem}`));
+      continue;
+    }
+    tools.push({ ...tool, source: `env ${prefix}` });
+  }
+  return { tools, errors };
+}
+
+/**
+ * Build the tool catalog
+ * Files are read first, then env tools, then server-hosted tools; a later
+ * source replaces an earlier tool of the same name (with a warning), except
+ * that hosted tools never replace a configured one.
+ * @param {Object} options - Catalog sources
+ * @param {Array<string>} options.paths - Catalog files or directories
+ * @param {string} options.baseDir - Directory that error messages are relative to
+ * @param {Object} options.env - Environment variables
+ * @param {Object} options.hostedTools - Hosted tool definitions by name
+ * @returns {{tools: Object, definedTools: Object, errors: Array<string>, warnings: Array<string>}} - Tools by name
+ *   (definedTools: every valid tool, before ULTRAVOX_ENABLED_TOOLS narrows the catalog)
+ */
+function buildToolCatalog({ paths = [], baseDir, env = process.env, hostedTools = {} } = {}) {
+  const fileResult = loadToolFiles(paths, baseDir, env);
+  const envResult = loadEnvTools(env);
+  const tools = {};
+  const warnings = [];
+
+  for (const tool of [...fileResult.tools, ...envResult.tools]) {
+    if (tools[tool.name]) {
+      warnings.push(`Tool ${tool.name} from ${tool.source} replaces the one from ${tools[tool.name].source}`);
+    }
+    tools[tool.name] = tool;
+  }
+  for (const [name, tool] of Object.entries(hostedTools)) {
+    if (!tools[name]) tools[name] = { ...tool, source: 'hosted' };
+  }
+
+  const definedTools = { ...tools };
+
+  // ULTRAVOX_ENABLED_TOOLS narrows the catalog; unset, empty or * keeps everything
+  const enabled = (env.ULTRAVOX_ENABLED_TOOLS || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (enabled.length > 0 && !enabled.includes('*')) {
+    enabled
+      .filter(name => !tools[name])
+      .forEach(name => warnings.push(`ULTRAVOX_ENABLED_TOOLS lists ${name}, which is not defined`));
+    for (const name of Object.keys(tools)) {
+      if (!enabled.includes(name)) delete tools[name];
+    }
+  }
+
+  return { tools, definedTools, errors: [...fileResult.errors, ...envResult.errors], warnings };
+}
+
+export {
+  validateToolDefinition,
+  loadToolFiles,
+  loadEnvTools,
+  buildToolCatalog
+};
@@ -0,0 +1,258 @@
+/**
+ * Server-hosted Tool Handlers
+ *
+ * JavaScript modules in TOOL_HANDLERS_DIR (default: tools/) become tools
+ * that this server hosts itself at POST /tools/<name>. The file name is the
+ * tool name (tools/lookupCustomer.js -> lookupCustomer); files ending in
+ * .example.js are skipped. A module's default export looks like:
+ *
+ *   export default {
+ *     description: 'Look up a customer by phone number',
+ *     dynamicParameters: [
+ *       { name: 'phoneNumber', schema: { type: 'string' }, required: true }
+ *     ],
+ *     async handler(params, { call }) {
+ *       return { name: 'Ada' };   // sent to the agent as JSON
+ *     }
+ *   };
+ *
+ * Parameters are sent in the request body and validated against their
+ * schemas before the handler runs. `call` is the call registry record of
+ * the call the agent is on (Ultravox passes its call ID automatically).
+ *
+ * With TOOL_HANDLERS_SECRET set, the hosted tools - and the built-in
+ * disposition and transfer tools - are given to Ultravox with a static
+ * X-Tool-Secret header carrying it, and requests without it are refused
+ * (see requireToolSecret).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { validateSchema } from './json-schema.js';
+import { resolveSecret } from './secrets.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Routes under /tools/ that belong to built-in tools
+const RESERVED_NAMES = ['disposition', 'transfer'];
+
+// Header Ultravox sends TOOL_HANDLERS_SECRET in
+const SECRET_HEADER = 'X-Tool-Secret';
+
+/**
+ * Directory holding the handler modules
+ * @returns {string} - Absolute path
+ */
+function getToolHandlersDir() {
+  return path.resolve(__dirname, '..', process.env.TOOL_HANDLERS_DIR || 'tools');
+}
+
+/**
+ * Check a handler module's default export
+ * @param {string} name - Tool name
+ * @param {Object} definition - Default export
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateToolHandler(name, definition) {
+  const errors = [];
+  if (!TOOL_NAME_PATTERN.test(name)) {
+    errors.push('file name must be a valid tool name (letters, digits, "_" and "-", up to 64 characters)');
+  }
+  if (RESERVED_NAMES.includes(name)) {
+    errors.push(`"${name}" is reserved for a built-in tool`);
+  }
+  if (!definition || typeof definition !== 'object') {
+    return [...errors, 'must have a default export object'];
+  }
+  if (typeof definition.handler !== 'function') {
+    errors.push('handler: must be a function');
+  }
+  if (typeof definition.description !== 'string' || !definition.description) {
+    errors.push('description: must be a non-empty string');
+  }
+  const parameters = definition.dynamicParameters ?? [];
+  if (!Array.isArray(parameters)) {
+    errors.push('dynamicParameters: must be an array');
+  } else {
+    parameters.forEach((parameter, index) => {
+      if (typeof parameter?.name !== 'string' || !parameter.name) {
+        errors.push(`dynamicParameters[${index}].name: must be a non-empty string`);
+      }
+      if (parameter?.location && parameter.location !== 'PARAMETER_LOCATION_BODY') {
+        errors.push(`dynamicParameters[${index}].location: hosted tools take body parameters only`);
+      }
+      if (!parameter?.schema || typeof parameter.schema !== 'object') {
+        errors.push(`dynamicParameters[${index}].schema: must be an object`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Import every handler module in the handlers directory
+ * A module that fails to load or validate is left out and reported.
+ * @returns {Promise<{handlers: Object, errors: Array<string>}>} - Handlers by tool name, and load errors
+ */
+async function loadToolHandlers() {
+  const directory = getToolHandlersDir();
+  const handlers = {};
+  const errors = [];
+  if (!fs.existsSync(directory)) return { handlers, errors };
+
+  const files = fs.readdirSync(directory)
+    .filter(file => /\.m?js$/.test(file) && !/\.example\.m?js$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    const name = file.replace(/\.m?js$/, '');
+    try {
+      const { default: definition } = await import(pathToFileURL(path.join(directory, file)).href);
+      const problems = validateToolHandler(name, definition);
+      if (problems.length > 0) {
+        problems.forEach(problem => errors.push(`tools/${file}: ${problem}`));
+        continue;
+      }
+      handlers[name] = {
+        name,
+        file,
+        description: definition.description,
+        dynamicParameters: (definition.dynamicParameters || []).map(parameter => ({
+          location: 'PARAMETER_LOCATION_BODY',
+          required: false,
+          ...parameter
+        })),
+        responseSchema: definition.responseSchema,
+        handler: definition.handler
+      };
+    } catch (error) {
+      errors.push(`tools/${file}: failed to load (${error.message})`);
+    }
+  }
+  return { handlers, errors };
+}
+
+const { handlers, errors: loadErrors } = await loadToolHandlers();
+
+/**
+ * Problems found while loading handler modules (reported at startup)
+ * @returns {Array<string>}
+ */
+function getToolHandlerErrors() {
+  return loadErrors;
+}
+
+/**
+ * Get a hosted tool
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} - { name, file, description, dynamicParameters, responseSchema, handler }
+ */
+function getToolHandler(name) {
+  return Object.prototype.hasOwnProperty.call(handlers, name) ? handlers[name] : undefined;
+}
+
+/**
+ * Tool catalog entries for the hosted tools, in the shape of config/tools.js
+ * Their URL depends on the public base URL, so `http.baseUrlPattern` is
+ * filled in when a call is created (see getTemporaryTools).
+ * @returns {Object} - Tool definitions by name
+ */
+function getHostedToolDefinitions() {
+  const definitions = {};
+  for (const tool of Object.values(handlers)) {
+    definitions[tool.name] = {
+      name: tool.name,
+      description: tool.description,
+      hosted: true,
+      dynamicParameters: tool.dynamicParameters,
+      automaticParameters: [
+        { name: 'callId', location: 'PARAMETER_LOCATION_QUERY', knownValue: 'KNOWN_PARAM_CALL_ID' }
+      ],
+      ...(process.env.TOOL_HANDLERS_SECRET
+        ? { staticParameters: [{ name: SECRET_HEADER, location: 'PARAMETER_LOCATION_HEADER', secret: 'TOOL_HANDLERS_SECRET' }] }
+        : {}),
+      http: { httpMethod: 'POST' }
+    };
+  }
+  return definitions;
+}
+
+/**
+ * Static parameters for a temporary tool that calls back into this server
+ * Temporary tools are sent as they are, so the header carries the secret's value.
+ * @returns {Array<Object>} - The X-Tool-Secret header, or none without TOOL_HANDLERS_SECRET
+ */
+function getToolSecretParameters() {
+  const secret = resolveSecret('TOOL_HANDLERS_SECRET');
+  return secret ? [{ name: SECRET_HEADER, location: 'PARAMETER_LOCATION_HEADER', value: secret }] : [];
+}
+
+/**
+ * Check the shared secret on a request to a hosted tool
+ * Without TOOL_HANDLERS_SECRET every request is accepted.
+ * @param {Object} req - Express request
+ * @returns {boolean} - Whether the request carries the secret
+ */
+function verifyToolSecret(req) {
+  const secret = process.env.TOOL_HANDLERS_SECRET;
+  if (!secret) return true;
+
+  const given = Buffer.from(req.get(SECRET_HEADER) || '');
+  const expected = Buffer.from(secret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Express middleware that refuses tool requests without the shared secret (401)
+ * @returns {Function} - Express middleware
+ */
+function requireToolSecret() {
+  return (req, res, next) => {
+    if (verifyToolSecret(req)) return next();
+    console.warn(`🚫 Rejected call to ${req.path} from ${req.ip}: missing or wrong ${SECRET_HEADER} header`);
+    res.status(401).json({ error: `Missing or invalid ${SECRET_HEADER} header` });
+  };
+}
+
+/**
+ * Validate request parameters against a hosted tool's parameter schemas
+ * @param {Object} tool - Hosted tool
+ * @param {Object} params - Request body
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateToolParameters(tool, params) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return ['body must be a JSON object'];
+  }
+
+  const errors = [];
+  const known = new Set(tool.dynamicParameters.map(parameter => parameter.name));
+  for (const parameter of tool.dynamicParameters) {
+    const value = params[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) errors.push(`${parameter.name}: is required`);
+      continue;
+    }
+    errors.push(...validateSchema(value, parameter.schema, parameter.name));
+  }
+  Object.keys(params)
+    .filter(name => !known.has(name))
+    .forEach(name => errors.push(`${name}: unknown parameter`));
+  return errors;
+}
+
+export {
+  getToolHandlersDir,
+  validateToolHandler,
+  getToolHandlerErrors,
+  getToolHandler,
+  getHostedToolDefinitions,
+  getToolSecretParameters,
+  verifyToolSecret,
+  requireToolSecret,
+  validateToolParameters
+};
@@ -5,6 +5,7 @@
  */
 
 import { tools } from '../config/tools.js';
+import { resolveSecret } from './secrets.js';
 
 /**
  * Get the list of available tools by name
@@ -23,29 +24,69 @@ function getToolsByName(toolNames = null) {
     .map(name => ({ toolName: name }));
 }
 
+/**
+ * Build the Ultravox tool definition for a catalog entry
+ * Used inline as a temporary tool, or as the `definition` of a registered tool.
+ * Static parameters given as `secret` get their value from the environment here,
+ * so log the result only through redactSecrets().
+ * @param {Object} toolConfig - Catalog entry
+ * @param {Object} options - { baseUrl } public base URL of this server, for server-hosted tools
+ * @returns {Object|null} - Tool definition, or null for a hosted tool when no base URL is known
+ */
+function buildToolDefinition(toolConfig, { baseUrl } = {}) {
+  // Server-hosted tools are served from our own /tools/:name route
+  if (toolConfig.hosted && !baseUrl) return null;
+  const http = toolConfig.hosted
+    ? { ...toolConfig.http, baseUrlPattern: `${baseUrl}/tools/${toolConfig.name}` }
+    : toolConfig.http;
+
+  const definition = {
+    modelToolName: toolConfig.name,
+    description: toolConfig.description,
+    dynamicParameters: toolConfig.dynamicParameters || [],
+    http
+  };
+  if (toolConfig.staticParameters) {
+    definition.staticParameters = toolConfig.staticParameters.map(({ name, location, value, secret }) => ({
+      name,
+      location,
+      value: secret ? resolveSecret(secret) : value
+    }));
+  }
+  if (toolConfig.automaticParameters) {
+    definition.automaticParameters = toolConfig.automaticParameters;
+  }
+  // Ultravox expects a duration string; plain numbers are seconds
+  if (toolConfig.timeout !== undefined) {
+    definition.timeout = typeof toolConfig.timeout === 'number' ? `${toolConfig.timeout}s` : toolConfig.timeout;
+  }
+  if (toolConfig.precomputable !== undefined) {
+    definition.precomputable = toolConfig.precomputable;
+  }
+  return definition;
+}
+
 /**
  * Get temporary tool definitions
  * This is useful if you need to use tools that haven't been registered yet
  * @param {Array<string>} toolNames - Optional array of specific tool names to retrieve
+ * @param {Object} options - { baseUrl } public base URL of this server, for server-hosted tools
  * @returns {Array} - Array of temporary tool definitions
  */
-function getTemporaryTools(toolNames = null) {
+function getTemporaryTools(toolNames = null, { baseUrl = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, '') } = {}) {
   // Filter tools by name if provided
   const toolsToInclude = toolNames 
     ? toolNames.filter(name => tools[name])
     : Object.keys(tools);
   
   // Convert to temporary tool format
-  return toolsToInclude.map(name => {
-    const toolConfig = tools[name];
-    return {
-      temporaryTool: {
-        modelToolName: toolConfig.name,
-        description: toolConfig.description,
-        dynamicParameters: toolConfig.dynamicParameters || [],
-        http: toolConfig.http
-      }
-    };
+  return toolsToInclude.flatMap(name => {
+    const temporaryTool = buildToolDefinition(tools[name], { baseUrl });
+    if (!temporaryTool) {
+      console.warn(`⚠️ Skipping hosted tool ${name}: no public base URL known (set PUBLIC_BASE_URL)`);
+      return [];
+    }
+    return [{ temporaryTool }];
   });
 }
 
@@ -57,9 +98,10 @@ function getTemporaryTools(toolNames = null) {
  * - ULTRAVOX_USE_PERMANENT_TOOLS="false" or undefined - Use temporary tools
  * 
  * @param {Array<string>} toolNames - Optional array of specific tool names to include
+ * @param {Object} options - { baseUrl } public base URL of this server, for server-hosted tools
  * @returns {Array} - Array of tool configurations ready to include in a call
  */
-function getToolsForCall(toolNames = null) {
+function getToolsForCall(toolNames = null, options = {}) {
   // Determine whether to use permanent or temporary tools
   const usePermanent = process.env.ULTRAVOX_USE_PERMANENT_TOOLS === 'true';
   
@@ -69,10 +111,11 @@ function getToolsForCall(toolNames = null) {
   }
   
   // Otherwise, return temporary tool definitions
-  return getTemporaryTools(toolNames);
+  return getTemporaryTools(toolNames, options);
 }
 
 export {
+  buildToolDefinition,
   getToolsByName,
   getTemporaryTools,
   getToolsForCall
@@ -0,0 +1,218 @@
+/**
+ * Tool Test Harness
+ *
+ * Invokes a catalog tool the way Ultravox would during a call, so a broken
+ * URL template, parameter location or response shows up before a caller
+ * hears it. The request is built from the tool definition and sample
+ * arguments (path parameters substituted into the URL, query parameters
+ * appended, header parameters sent as headers, body parameters as a JSON
+ * object), then either sent or answered from a recorded fixture, and the
+ * response is checked against the tool's `responseSchema`. Static parameters
+ * are sent too; results pass through redactSecrets() before they are shown.
+ *
+ * Examples with an `arguments` object double as test cases:
+ *   examples:
+ *     - query: What's the weather in Paris?
+ *       response: In Paris it's 64 degrees and sunny.
+ *       arguments: { location: Paris }
+ */
+
+import axios from 'axios';
+import { buildToolDefinition } from './tool-manager.js';
+import { validateSchema } from './json-schema.js';
+import { redactSecrets } from './secrets.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Stand-ins for the values Ultravox fills into automatic parameters
+const KNOWN_VALUES = {
+  KNOWN_PARAM_CALL_ID: ({ callId }) => callId,
+  KNOWN_PARAM_CONVERSATION_HISTORY: () => [],
+  KNOWN_PARAM_CALL_STATE: () => ({})
+};
+
+/**
+ * Build the HTTP request Ultravox would send for a tool call
+ * @param {Object} tool - Catalog entry
+ * @param {Object} args - Arguments the agent would pass, by parameter name
+ * @param {Object} options - { baseUrl (for server-hosted tools), callId }
+ * @returns {{request: Object|null, errors: Array<string>}} - { method, url, headers, body } and argument errors
+ */
+function buildToolRequest(tool, args = {}, { baseUrl, callId = 'test-call' } = {}) {
+  const definition = buildToolDefinition(tool, { baseUrl });
+  if (!definition) {
+    return { request: null, errors: ['hosted tool needs a public base URL (set PUBLIC_BASE_URL)'] };
+  }
+
+  const errors = [];
+  const parameters = definition.dynamicParameters || [];
+  const known = new Set(parameters.map(parameter => parameter.name));
+  Object.keys(args)
+    .filter(name => !known.has(name))
+    .forEach(name => errors.push(`${name}: not a parameter of ${tool.name}`));
+
+  let url = definition.http.baseUrlPattern;
+  const query = new URLSearchParams();
+  const headers = {};
+  const body = {};
+
+  const place = (location, name, value) => {
+    switch (location) {
+      case 'PARAMETER_LOCATION_PATH':
+        url = url.replaceAll(`{${name}}`, encodeURIComponent(value));
+        break;
+      case 'PARAMETER_LOCATION_QUERY':
+        query.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        break;
+      case 'PARAMETER_LOCATION_HEADER':
+        headers[name] = String(value);
+        break;
+      default:
+        body[name] = value;
+    }
+  };
+
+  for (const parameter of parameters) {
+    const value = args[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) errors.push(`${parameter.name}: is required`);
+      continue;
+    }
+    errors.push(...validateSchema(value, parameter.schema, parameter.name));
+    place(parameter.location, parameter.name, value);
+  }
+  for (const parameter of definition.staticParameters || []) {
+    if (parameter.value !== undefined) place(parameter.location, parameter.name, parameter.value);
+  }
+  for (const parameter of definition.automaticParameters || []) {
+    const value = KNOWN_VALUES[parameter.knownValue]?.({ callId });
+    if (value !== undefined) place(parameter.location, parameter.name, value);
+  }
+
+  const unfilled = url.match(/\{[^}]+\}/g);
+  if (unfilled) {
+    errors.push(`url: no value for ${unfilled.join(', ')}`);
+  }
+
+  const queryString = query.toString();
+  if (queryString) {
+    url += (url.includes('?') ? '&' : '?') + queryString;
+  }
+
+  const method = definition.http.httpMethod || 'GET';
+  const hasBody = Object.keys(body).length > 0;
+  if (hasBody) headers['Content-Type'] = 'application/json';
+  return {
+    request: { method, url, headers, ...(hasBody ? { body } : {}) },
+    errors
+  };
+}
+
+/**
+ * Send a built request
+ * @param {Object} request - { method, url, headers, body }
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<Object>} - { status, contentType, body, durationMs }
+ */
+async function executeToolRequest(request, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  const response = await axios({
+    method: request.method,
+    url: request.url,
+    headers: request.headers,
+    data: request.body,
+    timeout: timeoutMs,
+    responseType: 'text',
+    transformResponse: [data => data],
+    validateStatus: () => true
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  let body = response.data;
+  if (contentType.includes('json')) {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // Reported by validateToolResponse
+    }
+  }
+  return { status: response.status, contentType, body, durationMs: Date.now() - startedAt };
+}
+
+/**
+ * Check a response the way the agent would consume it
+ * @param {Object} tool - Catalog entry
+ * @param {Object} response - { status, contentType, body }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateToolResponse(tool, response) {
+  if (response.status < 200 || response.status >= 300) {
+    return [`status: ${response.status} (the agent would be told the tool failed)`];
+  }
+  if (!tool.responseSchema) return [];
+  if (typeof response.body === 'string') {
+    return ['body: not JSON, but the tool has a responseSchema'];
+  }
+  return validateSchema(response.body, tool.responseSchema, 'response');
+}
+
+/**
+ * Build, run and check one tool call
+ * @param {Object} tool - Catalog entry
+ * @param {Object} options - Test case
+ * @param {Object} options.args - Tool arguments
+ * @param {Object} options.fixture - Recorded response ({ status, body, contentType }); when given, nothing is sent
+ * @param {boolean} options.execute - Send the request (default false, which only builds it)
+ * @param {string} options.baseUrl - Public base URL, for server-hosted tools
+ * @param {string} options.callId - Value for the call ID automatic parameter
+ * @param {number} options.timeoutMs - Request timeout (default: the tool's `timeout`, else 10 s)
+ * @returns {Promise<Object>} - { ok, request, response, errors }, with secrets redacted
+ */
+async function runToolTest(tool, { args = {}, fixture, execute = false, baseUrl, callId, timeoutMs } = {}) {
+  const { request, errors } = buildToolRequest(tool, args, { baseUrl, callId });
+  const result = { ok: false, request, response: null, errors };
+  if (!request || errors.length > 0 || (!execute && !fixture)) {
+    result.ok = errors.length === 0 && !!request;
+    return redactSecrets(result);
+  }
+
+  // Tool timeouts are seconds ("20s" or 20)
+  if (timeoutMs === undefined && tool.timeout !== undefined) {
+    timeoutMs = parseFloat(tool.timeout) * 1000;
+  }
+
+  if (fixture) {
+    result.response = { status: 200, contentType: 'application/json', ...fixture, fixture: true };
+  } else {
+    try {
+      result.response = await executeToolRequest(request, { timeoutMs });
+    } catch (error) {
+      const reason = error.code === 'ECONNABORTED' ? `timed out after ${timeoutMs || DEFAULT_TIMEOUT_MS}ms` : error.message;
+      result.errors = [`request: ${reason}`];
+      return redactSecrets(result);
+    }
+  }
+
+  result.errors = validateToolResponse(tool, result.response);
+  result.ok = result.errors.length === 0;
+  return redactSecrets(result);
+}
+
+/**
+ * Test cases from a tool's examples (those with an `arguments` object)
+ * @param {Object} tool - Catalog entry
+ * @returns {Array<Object>} - { name, args }
+ */
+function exampleTestCases(tool) {
+  return (tool.examples || [])
+    .filter(example => example.arguments && typeof example.arguments === 'object')
+    .map(example => ({ name: example.query, args: example.arguments }));
+}
+
+export {
+  buildToolRequest,
+  executeToolRequest,
+  validateToolResponse,
+  runToolTest,
+  exampleTestCases
+};
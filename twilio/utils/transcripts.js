@@ -0,0 +1,226 @@
+/**
+ * Call Transcripts
+ *
+ * Fetches a finished call's message history from Ultravox and stores it next
+ * to the call registry (data/transcripts/<call record id>.json), with a
+ * summary on the call record itself (`transcript`). Transcripts can be
+ * rendered as JSON, plain text, SRT or WebVTT.
+ *
+ * A fetch is attempted TRANSCRIPT_FETCH_DELAY_MS (default 5000) after the
+ * call reaches a final status, and right away when Ultravox posts
+ * `call.ended` to /callback (only once its webhook is registered, see
+ * ULTRAVOX_REGISTER_WEBHOOK). The messages of a call that is still going
+ * can be fetched with fetchLiveTranscript; they are not stored.
+ */
+
+import fs from 'fs';
+import { dataPath } from './json-store.js';
+import { findCall, updateCall } from './call-registry.js';
+import { ultravox } from './ultravox-client.js';
+import { publishEvent } from './webhook-subscriptions.js';
+
+const TRANSCRIPTS_DIR = dataPath(process.env.TRANSCRIPTS_DIR || 'transcripts');
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5000;
+
+const SPEAKERS = {
+  MESSAGE_ROLE_AGENT: 'agent',
+  MESSAGE_ROLE_USER: 'user',
+  MESSAGE_ROLE_TOOL_CALL: 'tool-call',
+  MESSAGE_ROLE_TOOL_RESULT: 'tool-result'
+};
+
+// Fetches in progress, by call record ID
+const inFlight = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function transcriptFile(recordId) {
+  return `${TRANSCRIPTS_DIR}/${recordId}.json`;
+}
+
+// Ultravox durations look like "12.345s"
+function parseSeconds(duration) {
+  const seconds = parseFloat(duration);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+/**
+ * Convert Ultravox messages into transcript entries
+ * @param {Array<Object>} messages - Ultravox call messages
+ * @returns {Array<Object>} - { speaker, text, start, end, toolName, medium }
+ */
+function normalizeMessages(messages) {
+  return messages
+    .filter(message => message.text || message.toolName)
+    .map(message => ({
+      speaker: SPEAKERS[message.role] || message.role,
+      text: message.text || '',
+      start: parseSeconds(message.timespan?.start),
+      end: parseSeconds(message.timespan?.end),
+      ...(message.toolName ? { toolName: message.toolName } : {}),
+      ...(message.medium ? { medium: message.medium.replace('MESSAGE_MEDIUM_', '').toLowerCase() } : {})
+    }));
+}
+
+// Transcript of a call from its Ultravox messages
+function buildTranscript(call, messages) {
+  return {
+    callId: call.id,
+    ultravoxCallId: call.ultravoxCallId,
+    fetchedAt: new Date().toISOString(),
+    messages: normalizeMessages(messages)
+  };
+}
+
+/**
+ * Fetch and store the transcript of a call
+ * Safe to call repeatedly; concurrent calls for the same call share one fetch.
+ * @param {string} id - Any identifier of the call (record ID, provider call ID, Ultravox call ID)
+ * @returns {Promise<Object|null>} - The stored transcript, or null if it could not be fetched
+ */
+function captureTranscript(id) {
+  const call = findCall(id);
+  if (!call?.ultravoxCallId) return Promise.resolve(null);
+  if (inFlight.has(call.id)) return inFlight.get(call.id);
+
+  const capture = (async () => {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        const transcript = buildTranscript(call, await ultravox.listCallMessages(call.ultravoxCallId));
+
+        fs.mkdirSync(TRANSCRIPTS_DIR, { recursive: true });
+        fs.writeFileSync(transcriptFile(call.id), JSON.stringify(transcript, null, 2));
+        updateCall(call.id, {
+          transcript: { status: 'stored', fetchedAt: transcript.fetchedAt, messageCount: transcript.messages.length }
+        });
+        console.log(`📝 Stored transcript for call ${call.id} (${transcript.messages.length} messages)`);
+        publishEvent('transcript.ready', { call: findCall(call.id), path: `/calls/${call.id}/transcript` });
+        return transcript;
+      } catch (error) {
+        console.error(`📝 Transcript fetch for call ${call.id} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+        if (attempt < MAX_ATTEMPTS) await sleep(RETRY_DELAY_MS * attempt);
+      }
+    }
+    updateCall(call.id, { transcript: { status: 'failed', failedAt: new Date().toISOString() } });
+    return null;
+  })().finally(() => inFlight.delete(call.id));
+
+  inFlight.set(call.id, capture);
+  return capture;
+}
+
+/**
+ * Fetch the messages so far of a call that has not ended, without storing them
+ * @param {Object} call - Call record (with an ultravoxCallId)
+ * @returns {Promise<Object>} - Transcript, with `live: true`
+ */
+async function fetchLiveTranscript(call) {
+  const messages = await ultravox.listCallMessages(call.ultravoxCallId);
+  return { ...buildTranscript(call, messages), live: true };
+}
+
+/**
+ * Fetch the transcript a little after the provider reports a call ended,
+ * unless one has been stored already
+ * @param {Object} call - Call record
+ */
+function scheduleTranscriptCapture(call) {
+  const delay = parseInt(process.env.TRANSCRIPT_FETCH_DELAY_MS, 10) || 5000;
+  setTimeout(() => {
+    if (findCall(call.id)?.transcript?.status !== 'stored') {
+      captureTranscript(call.id);
+    }
+  }, delay).unref();
+}
+
+/**
+ * Read a stored transcript
+ * @param {string} recordId - Call record ID
+ * @returns {Object|null} - { callId, ultravoxCallId, fetchedAt, messages }
+ */
+function getTranscript(recordId) {
+  try {
+    return JSON.parse(fs.readFileSync(transcriptFile(recordId), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Spoken lines only (tool traffic is left out of the human-readable formats)
+function spokenMessages(transcript) {
+  return transcript.messages.filter(message => message.speaker === 'agent' || message.speaker === 'user');
+}
+
+function speakerLabel(message, agentName) {
+  return message.speaker === 'agent' ? (agentName || 'Agent') : 'Caller';
+}
+
+// 83.5 -> "00:01:23.500" (SRT uses a comma before the milliseconds)
+function formatTimestamp(seconds, separator = '.') {
+  const totalMs = Math.round((seconds || 0) * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+// Cue timing; messages without an end are shown until the next one starts
+function cueTimes(messages, index) {
+  const message = messages[index];
+  const start = message.start ?? 0;
+  const end = message.end ?? messages[index + 1]?.start ?? start + 3;
+  return { start, end: Math.max(end, start) };
+}
+
+/**
+ * Render a transcript as plain text ("[00:00:01.200] Agent: Hello")
+ * @param {Object} transcript - Stored transcript
+ * @param {Object} options - { agentName }
+ * @returns {string}
+ */
+function toText(transcript, { agentName } = {}) {
+  return spokenMessages(transcript)
+    .map(message => `[${formatTimestamp(message.start)}] ${speakerLabel(message, agentName)}: ${message.text}`)
+    .join('\n') + '\n';
+}
+
+/**
+ * Render a transcript as SRT subtitles
+ * @param {Object} transcript - Stored transcript
+ * @param {Object} options - { agentName }
+ * @returns {string}
+ */
+function toSrt(transcript, { agentName } = {}) {
+  const messages = spokenMessages(transcript);
+  return messages.map((message, index) => {
+    const { start, end } = cueTimes(messages, index);
+    return `${index + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${speakerLabel(message, agentName)}: ${message.text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Render a transcript as WebVTT captions (speakers as voice tags)
+ * @param {Object} transcript - Stored transcript
+ * @param {Object} options - { agentName }
+ * @returns {string}
+ */
+function toVtt(transcript, { agentName } = {}) {
+  const messages = spokenMessages(transcript);
+  const cues = messages.map((message, index) => {
+    const { start, end } = cueTimes(messages, index);
+    return `${formatTimestamp(start)} --> ${formatTimestamp(end)}\n<v ${speakerLabel(message, agentName)}>${message.text}\n`;
+  });
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+export {
+  captureTranscript,
+  fetchLiveTranscript,
+  scheduleTranscriptCapture,
+  getTranscript,
+  toText,
+  toSrt,
+  toVtt
+};
@@ -0,0 +1,300 @@
+/**
+ * Ultravox API Client
+ *
+ * The single way this project talks to the Ultravox REST API. Handles:
+ * - Authentication (X-API-Key)
+ * - Base URL normalization (ULTRAVOX_API_URL may be given with or without /calls)
+ * - Request timeouts (ULTRAVOX_TIMEOUT_MS, default 10s)
+ * - Retries with exponential backoff on 429, and on 5xx/network errors for
+ *   idempotent requests (ULTRAVOX_MAX_RETRIES, default 3)
+ * - Typed errors carrying the response body
+ * - Cursor pagination of list endpoints
+ * - Binary downloads (call recordings)
+ *
+ * To test against a local stand-in server, point ULTRAVOX_API_URL at it
+ * (e.g. http://localhost:4010/api) or pass `baseUrl` to createUltravoxClient.
+ */
+
+import axios from 'axios';
+
+const DEFAULT_API_URL = 'https://api.ultravox.ai/api';
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Base class for all Ultravox client errors (network failures, timeouts)
+ */
+class UltravoxError extends Error {
+  constructor(message, { method, path, cause } = {}) {
+    super(message);
+    this.name = 'UltravoxError';
+    this.method = method;
+    this.path = path;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * The Ultravox API answered with a non-2xx status
+ * `status` is the HTTP status and `body` the parsed (or raw) response body.
+ */
+class UltravoxApiError extends UltravoxError {
+  constructor(message, { method, path, status, body } = {}) {
+    super(message, { method, path });
+    this.name = 'UltravoxApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Normalize an Ultravox API URL to the API root (e.g. https://api.ultravox.ai/api)
+ * Accepts the historic ULTRAVOX_API_URL form ending in /calls.
+ * @param {string} url - Configured URL
+ * @returns {string} - API root without trailing slash
+ */
+function normalizeApiUrl(url = DEFAULT_API_URL) {
+  // Remove trailing slashes and a trailing /calls
+  url = url.trim().replace(/\/+$/, '').replace(/\/calls$/, '');
+
+  // Ensure the URL has a protocol
+  if (!/^https?:\/\//.test(url)) {
+    url = `https://${url}`;
+  }
+
+  // The public API lives under /api
+  if (!/\/api$/.test(url)) {
+    url = `${url}/api`;
+  }
+
+  return url;
+}
+
+// Pull a readable message out of an Ultravox error body
+function describeErrorBody(body) {
+  if (!body) return '';
+  if (typeof body === 'string') return body.slice(0, 200);
+  return body.detail || body.message || body.error || JSON.stringify(body).slice(0, 200);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create an Ultravox API client
+ * @param {Object} options - Client options (all default to environment variables)
+ * @param {string} options.apiKey - API key (ULTRAVOX_API_KEY)
+ * @param {string} options.baseUrl - API URL (ULTRAVOX_API_URL)
+ * @param {number} options.timeout - Per-request timeout in ms (ULTRAVOX_TIMEOUT_MS)
+ * @param {number} options.maxRetries - Retries after the first attempt (ULTRAVOX_MAX_RETRIES)
+ * @param {number} options.retryDelay - Base backoff delay in ms
+ * @returns {Object} - Client
+ */
+function createUltravoxClient(options = {}) {
+  const apiKey = options.apiKey ?? process.env.ULTRAVOX_API_KEY;
+  const baseUrl = normalizeApiUrl(options.baseUrl ?? process.env.ULTRAVOX_API_URL ?? DEFAULT_API_URL);
+  const timeout = options.timeout ?? (parseInt(process.env.ULTRAVOX_TIMEOUT_MS, 10) || 10000);
+  // ULTRAVOX_MAX_RETRIES=0 turns retries off, so only fall back when it is unset or invalid
+  const configuredRetries = parseInt(process.env.ULTRAVOX_MAX_RETRIES, 10);
+  const maxRetries = options.maxRetries
+    ?? (Number.isNaN(configuredRetries) || configuredRetries < 0 ? 3 : configuredRetries);
+  const retryDelay = options.retryDelay ?? 500;
+
+  function shouldRetry(method, status) {
+    if (status === 429) return true;
+    // Don't risk duplicating e.g. a created call on a POST that may have succeeded
+    return IDEMPOTENT_METHODS.includes(method) && (status === undefined || status >= 500);
+  }
+
+  function backoff(attempt, retryAfterHeader) {
+    const retryAfter = parseFloat(retryAfterHeader);
+    if (Number.isFinite(retryAfter)) return retryAfter * 1000;
+    return retryDelay * 2 ** attempt + Math.floor(Math.random() * retryDelay);
+  }
+
+  /**
+   * Send a request to the Ultravox API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the API root (e.g. /calls) or an absolute URL
+   * @param {Object} requestOptions - { data, params }
+   * @returns {Promise<any>} - Parsed response body
+   */
+  async function request(method, path, { data, params } = {}) {
+    method = method.toUpperCase();
+    const url = /^https?:\/\//.test(path) ? path : `${baseUrl}${path}`;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await axios({
+          method,
+          url,
+          params,
+          data,
+          timeout,
+          headers: {
+            'X-API-Key': apiKey,
+            'Accept': 'application/json',
+            ...(data !== undefined ? { 'Content-Type': 'application/json' } : {})
+          },
+          validateStatus: () => true
+        });
+      } catch (error) {
+        const reason = error.code === 'ECONNABORTED' ? `timed out after ${timeout}ms` : error.message;
+        if (attempt < maxRetries && shouldRetry(method)) {
+          await sleep(backoff(attempt));
+          continue;
+        }
+        throw new UltravoxError(`Ultravox ${method} ${path} failed: ${reason}`, { method, path, cause: error });
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        // Guard against proxies answering with an HTML page
+        if (typeof response.data === 'string' && /<html/i.test(response.data)) {
+          throw new UltravoxApiError(`Ultravox ${method} ${path} returned an HTML page instead of JSON`, {
+            method, path, status: response.status, body: response.data
+          });
+        }
+        return response.data;
+      }
+
+      if (attempt < maxRetries && shouldRetry(method, response.status)) {
+        await sleep(backoff(attempt, response.headers?.['retry-after']));
+        continue;
+      }
+
+      throw new UltravoxApiError(
+        `Ultravox ${method} ${path} failed with status ${response.status}: ${describeErrorBody(response.data)}`,
+        { method, path, status: response.status, body: response.data }
+      );
+    }
+  }
+
+  /**
+   * Download a binary resource such as a call recording
+   * Redirects (e.g. to signed storage URLs) are followed; there are no retries.
+   * @param {string} path - Path below the API root or an absolute URL
+   * @returns {Promise<{stream: Readable, contentType: string, contentLength: number}>}
+   */
+  async function download(path) {
+    const url = /^https?:\/\//.test(path) ? path : `${baseUrl}${path}`;
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url,
+        timeout,
+        responseType: 'stream',
+        headers: { 'X-API-Key': apiKey },
+        validateStatus: () => true
+      });
+    } catch (error) {
+      const reason = error.code === 'ECONNABORTED' ? `timed out after ${timeout}ms` : error.message;
+      throw new UltravoxError(`Ultravox GET ${path} failed: ${reason}`, { method: 'GET', path, cause: error });
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      return {
+        stream: response.data,
+        contentType: response.headers['content-type'],
+        contentLength: parseInt(response.headers['content-length'], 10) || undefined
+      };
+    }
+
+    // Read (a bounded amount of) the error body for the message
+    let body = '';
+    for await (const chunk of response.data) {
+      body += chunk;
+      if (body.length > 2000) break;
+    }
+    response.data.destroy();
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // Keep the raw text
+    }
+    throw new UltravoxApiError(
+      `Ultravox GET ${path} failed with status ${response.status}: ${describeErrorBody(body)}`,
+      { method: 'GET', path, status: response.status, body }
+    );
+  }
+
+  /**
+   * Iterate over every item of a paginated list endpoint
+   * @param {string} path - List endpoint (e.g. /voices)
+   * @param {Object} params - Query parameters for the first page
+   * @yields {Object} - One result at a time
+   */
+  async function* paginate(path, params = {}) {
+    let page = await request('GET', path, { params });
+    while (true) {
+      for (const item of page?.results || []) {
+        yield item;
+      }
+      if (!page?.next) return;
+      page = await request('GET', page.next);
+    }
+  }
+
+  /**
+   * Fetch every item of a paginated list endpoint
+   * @param {string} path - List endpoint
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - All results
+   */
+  async function listAll(path, params = {}) {
+    const items = [];
+    for await (const item of paginate(path, params)) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  return {
+    baseUrl,
+    request,
+    download,
+    paginate,
+    listAll,
+    get: (path, params) => request('GET', path, { params }),
+    post: (path, data) => request('POST', path, { data }),
+    patch: (path, data) => request('PATCH', path, { data }),
+    put: (path, data) => request('PUT', path, { data }),
+    delete: (path) => request('DELETE', path),
+
+    // Calls
+    createCall: (config) => request('POST', '/calls', { data: config }),
+    getCall: (callId) => request('GET', `/calls/${callId}`),
+    listCallMessages: (callId) => listAll(`/calls/${callId}/messages`),
+    getCallRecording: (callId) => download(`/calls/${callId}/recording`),
+
+    // Voices
+    listVoices: () => listAll('/voices'),
+
+    // Corpora
+    listCorpora: () => listAll('/corpora'),
+    getCorpus: (corpusId) => request('GET', `/corpora/${corpusId}`),
+    createCorpus: (data) => request('POST', '/corpora', { data }),
+    createCorpusSource: (corpusId, data) => request('POST', `/corpora/${corpusId}/sources`, { data }),
+    deleteCorpus: (corpusId) => request('DELETE', `/corpora/${corpusId}`),
+
+    // Webhooks
+    listWebhooks: () => listAll('/webhooks'),
+    createWebhook: (data) => request('POST', '/webhooks', { data }),
+
+    // Tools
+    listTools: () => listAll('/tools'),
+    createTool: (data) => request('POST', '/tools', { data }),
+    updateTool: (toolId, data) => request('PUT', `/tools/${toolId}`, { data }),
+    deleteTool: (toolId) => request('DELETE', `/tools/${toolId}`)
+  };
+}
+
+// Shared client configured from the environment
+const ultravox = createUltravoxClient();
+
+export {
+  UltravoxError,
+  UltravoxApiError,
+  normalizeApiUrl,
+  createUltravoxClient,
+  ultravox
+};
@@ -0,0 +1,166 @@
+/**
+ * Webhook Security
+ * 
+ * Express middleware that rejects provider webhooks which cannot prove they
+ * were sent by the provider. Twilio requests are checked against the
+ * X-Twilio-Signature header using TWILIO_AUTH_TOKEN. Telnyx requests are
+ * checked against the telnyx-signature-ed25519 / telnyx-timestamp headers
+ * using TELNYX_PUBLIC_KEY, with a replay window of
+ * TELNYX_WEBHOOK_TOLERANCE_SECONDS (default 300).
+ * 
+ * Telnyx signatures cover the raw request body, so the JSON/urlencoded body
+ * parsers must keep it (see captureRawBody).
+ * 
+ * For local development only, set SKIP_WEBHOOK_VALIDATION=true to disable
+ * the checks.
+ */
+
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { getPublicRequestUrl } from './public-url.js';
+import { detectProvider } from '../providers/index.js';
+
+/**
+ * Whether webhook validation has been switched off for local development
+ * @returns {boolean}
+ */
+function isValidationDisabled() {
+  return process.env.SKIP_WEBHOOK_VALIDATION === 'true';
+}
+
+// DER prefix turning a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Body parser `verify` hook that keeps the unparsed body on req.rawBody
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Response
+ * @param {Buffer} buf - Raw body
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Reject the request with a 403 and log why
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} provider - Provider name for the log line
+ * @param {string} reason - Why validation failed
+ */
+function rejectWebhook(req, res, provider, reason) {
+  console.warn(`🚫 Rejected ${provider} webhook ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+  res.status(403).json({ error: 'Invalid webhook signature' });
+}
+
+/**
+ * Check a Twilio request signature
+ * @param {Object} req - Express request
+ * @returns {string|null} - Reason the request is invalid, or null if it is valid
+ */
+function checkTwilioSignature(req) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) return 'TWILIO_AUTH_TOKEN is not set';
+
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature) return 'missing X-Twilio-Signature header';
+
+  const url = getPublicRequestUrl(req);
+  const params = req.is('application/x-www-form-urlencoded') ? req.body : {};
+  if (!twilio.validateRequest(authToken, signature, url, params)) {
+    return `signature mismatch for ${url}`;
+  }
+  return null;
+}
+
+/**
+ * Check a Telnyx request signature
+ * Telnyx signs `${timestamp}|${rawBody}` with Ed25519.
+ * @param {Object} req - Express request (must have req.rawBody)
+ * @returns {string|null} - Reason the request is invalid, or null if it is valid
+ */
+function checkTelnyxSignature(req) {
+  const publicKey = process.env.TELNYX_PUBLIC_KEY;
+  if (!publicKey) return 'TELNYX_PUBLIC_KEY is not set';
+
+  const signature = req.get('telnyx-signature-ed25519');
+  const timestamp = req.get('telnyx-timestamp');
+  if (!signature || !timestamp) return 'missing telnyx-signature-ed25519 or telnyx-timestamp header';
+  if (!req.rawBody) return 'raw request body not available';
+
+  const tolerance = parseInt(process.env.TELNYX_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!Number.isFinite(age) || age > tolerance) {
+    return `timestamp ${timestamp} is outside the ${tolerance}s replay window`;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'base64')]),
+      format: 'der',
+      type: 'spki'
+    });
+    const signedPayload = Buffer.concat([Buffer.from(`${timestamp}|`), req.rawBody]);
+    if (!crypto.verify(null, signedPayload, key, Buffer.from(signature, 'base64'))) {
+      return 'signature mismatch';
+    }
+  } catch (error) {
+    return `could not verify signature: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Build middleware from a signature check
+ * @param {string} provider - Provider name for the log line
+ * @param {Function} check - Returns a failure reason or null
+ * @returns {Function} - Express middleware
+ */
+function signatureMiddleware(provider, check) {
+  return (req, res, next) => {
+    if (isValidationDisabled()) return next();
+
+    const reason = check(req);
+    if (reason) return rejectWebhook(req, res, provider, reason);
+    next();
+  };
+}
+
+/**
+ * Middleware validating the X-Twilio-Signature header
+ * @returns {Function} - Express middleware
+ */
+function validateTwilioWebhook() {
+  return signatureMiddleware('Twilio', checkTwilioSignature);
+}
+
+/**
+ * Middleware validating Telnyx Ed25519 webhook signatures
+ * @returns {Function} - Express middleware
+ */
+function validateTelnyxWebhook() {
+  return signatureMiddleware('Telnyx', checkTelnyxSignature);
+}
+
+/**
+ * Middleware for routes that receive both Twilio and Telnyx webhooks
+ * Telnyx JSON events are checked with the Telnyx key, everything else as Twilio.
+ * @returns {Function} - Express middleware
+ */
+function validateProviderWebhook() {
+  return (req, res, next) => {
+    if (detectProvider(req).name === 'telnyx') {
+      return signatureMiddleware('Telnyx', checkTelnyxSignature)(req, res, next);
+    }
+    return signatureMiddleware('Twilio', checkTwilioSignature)(req, res, next);
+  };
+}
+
+export {
+  captureRawBody,
+  isValidationDisabled,
+  rejectWebhook,
+  validateTwilioWebhook,
+  validateTelnyxWebhook,
+  validateProviderWebhook
+};
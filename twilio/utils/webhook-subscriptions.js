@@ -0,0 +1,394 @@
+/**
+ * Outbound Webhook Subscriptions
+ *
+ * Lets integrators subscribe a URL to call lifecycle events instead of
+ * polling. Each delivery is a JSON POST signed with the subscription's
+ * secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Deliveries go through a persistent queue (data/webhook-deliveries.json) and
+ * failed ones are retried with exponential backoff (WEBHOOK_MAX_ATTEMPTS,
+ * default 8). The queue doubles as the delivery log; any delivery can be
+ * sent again by hand.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { createJsonStore } from './json-store.js';
+import { callEvents } from './call-registry.js';
+
+const subscriptionStore = createJsonStore(process.env.WEBHOOK_SUBSCRIPTIONS_FILE || 'webhooks.json', { subscriptions: [] });
+const deliveryStore = createJsonStore(process.env.WEBHOOK_DELIVERIES_FILE || 'webhook-deliveries.json', { deliveries: [] });
+
+const EVENTS = [
+  'call.created',
+  'call.ringing',
+  'call.answered',
+  'call.completed',
+  'call.failed',
+  'transcript.ready',
+  'recording.ready',
+  'voicemail.recorded',
+  'voicemail.transcribed'
+];
+
+// Call registry status -> event
+const STATUS_EVENTS = {
+  'ringing': 'call.ringing',
+  'in-progress': 'call.answered',
+  'completed': 'call.completed',
+  'busy': 'call.failed',
+  'no-answer': 'call.failed',
+  'failed': 'call.failed',
+  'canceled': 'call.failed'
+};
+
+const TICK_MS = 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const BASE_RETRY_DELAY_MS = 30000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+function getMaxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+}
+
+// Finished deliveries kept in the log
+function getLogLimit() {
+  return parseInt(process.env.WEBHOOK_DELIVERY_LOG_LIMIT, 10) || 1000;
+}
+
+/**
+ * Sign a payload the way receivers should verify it
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} - X-Webhook-Signature header value
+ */
+function signPayload(secret, body, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Validate a subscription definition
+ * @param {Object} input - { url, events, secret, description, active }
+ * @param {Object} options - { partial } to allow omitting required fields (updates)
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateSubscription(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return ['subscription must be an object'];
+
+  const errors = [];
+  if (input.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url: must be an http(s) URL');
+    }
+  }
+  if (input.events !== undefined &&
+      !(Array.isArray(input.events) && input.events.length > 0 &&
+        input.events.every(event => event === '*' || EVENTS.includes(event)))) {
+    errors.push(`events: must be a non-empty array of "*" or ${EVENTS.join(', ')}`);
+  }
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    errors.push('secret: must be a string of at least 16 characters');
+  }
+  if (input.description !== undefined && typeof input.description !== 'string') {
+    errors.push('description: must be a string');
+  }
+  if (input.active !== undefined && typeof input.active !== 'boolean') {
+    errors.push('active: must be true or false');
+  }
+  return errors;
+}
+
+// Subscription as returned by list/get (secret masked)
+function present(subscription) {
+  return { ...subscription, secret: `${subscription.secret.slice(0, 10)}...` };
+}
+
+function findSubscription(id) {
+  return subscriptionStore.data.subscriptions.find(subscription => subscription.id === id);
+}
+
+/**
+ * Create a subscription; the response is the only time the full secret is shown
+ * @param {Object} input - { url, events (default all), secret (generated if omitted), description }
+ * @returns {Object} - The subscription
+ */
+function createSubscription({ url, events = ['*'], secret, description = '' }) {
+  const now = new Date().toISOString();
+  const subscription = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    description,
+    active: true,
+    createdAt: now,
+    updatedAt: now
+  };
+  subscriptionStore.data.subscriptions.push(subscription);
+  subscriptionStore.save();
+  return subscription;
+}
+
+/**
+ * List subscriptions
+ * @returns {Array<Object>}
+ */
+function listSubscriptions() {
+  return subscriptionStore.data.subscriptions.map(present);
+}
+
+/**
+ * Get a subscription
+ * @param {string} id - Subscription ID
+ * @returns {Object|undefined}
+ */
+function getSubscription(id) {
+  const subscription = findSubscription(id);
+  return subscription ? present(subscription) : undefined;
+}
+
+/**
+ * Update a subscription
+ * @param {string} id - Subscription ID
+ * @param {Object} changes - Any of url, events, secret, description, active
+ * @returns {Object|undefined} - The updated subscription
+ */
+function updateSubscription(id, changes) {
+  const subscription = findSubscription(id);
+  if (!subscription) return undefined;
+
+  for (const field of ['url', 'events', 'secret', 'description', 'active']) {
+    if (changes[field] !== undefined) subscription[field] = changes[field];
+  }
+  subscription.updatedAt = new Date().toISOString();
+  subscriptionStore.save();
+  return present(subscription);
+}
+
+/**
+ * Delete a subscription (pending deliveries to it are dropped)
+ * @param {string} id - Subscription ID
+ * @returns {boolean} - Whether a subscription was deleted
+ */
+function deleteSubscription(id) {
+  const { subscriptions } = subscriptionStore.data;
+  const index = subscriptions.findIndex(subscription => subscription.id === id);
+  if (index === -1) return false;
+
+  subscriptions.splice(index, 1);
+  subscriptionStore.save();
+  deliveryStore.data.deliveries
+    .filter(delivery => delivery.subscriptionId === id && delivery.status === 'pending')
+    .forEach(delivery => { delivery.status = 'canceled'; });
+  deliveryStore.save();
+  return true;
+}
+
+// Queue one delivery
+function enqueue(subscription, event, payload, extra = {}) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    subscriptionId: subscription.id,
+    url: subscription.url,
+    event,
+    payload,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: new Date().toISOString(),
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    ...extra
+  };
+  deliveryStore.data.deliveries.push(delivery);
+  return delivery;
+}
+
+// Drop the oldest finished deliveries beyond the log limit
+function trimLog() {
+  const { deliveries } = deliveryStore.data;
+  let excess = deliveries.filter(delivery => delivery.status !== 'pending').length - getLogLimit();
+  if (excess <= 0) return;
+  deliveryStore.data.deliveries = deliveries.filter(delivery => {
+    if (excess > 0 && delivery.status !== 'pending') {
+      excess--;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Queue an event for every active subscription that wants it
+ * @param {string} event - Event name (one of EVENTS)
+ * @param {Object} data - Event data
+ * @returns {number} - Number of deliveries queued
+ */
+function publishEvent(event, data) {
+  const subscribers = subscriptionStore.data.subscriptions.filter(subscription =>
+    subscription.active && (subscription.events.includes('*') || subscription.events.includes(event)));
+  if (subscribers.length === 0) return 0;
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    // A snapshot: registry records are updated in place, and later deliveries must show the call as it was
+    data: structuredClone(data)
+  };
+  subscribers.forEach(subscription => enqueue(subscription, event, payload));
+  trimLog();
+  deliveryStore.save();
+  return subscribers.length;
+}
+
+// Deliveries currently being sent
+const sending = new Set();
+
+// Send one delivery and schedule a retry if it failed
+async function attemptDelivery(delivery) {
+  const subscription = findSubscription(delivery.subscriptionId);
+  if (!subscription) {
+    delivery.status = 'canceled';
+    deliveryStore.save();
+    return;
+  }
+
+  sending.add(delivery.id);
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString() };
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      timeout: DELIVERY_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ultravox-twilio-integration-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signPayload(subscription.secret, body, timestamp)
+      },
+      // Only 2xx counts as delivered
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    attempt.responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.code === 'ECONNABORTED' ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms` : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= getMaxAttempts()) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`🪝 Webhook delivery ${delivery.id} (${delivery.event}) to ${subscription.url} failed for good: ${attempt.error}`);
+  } else {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (delivery.attempts.length - 1), MAX_RETRY_DELAY_MS);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.warn(`🪝 Webhook delivery ${delivery.id} (${delivery.event}) failed: ${attempt.error}; retrying at ${delivery.nextAttemptAt}`);
+  }
+
+  sending.delete(delivery.id);
+  deliveryStore.save();
+}
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filters - { subscriptionId, status, event, limit }
+ * @returns {Array<Object>}
+ */
+function listDeliveries({ subscriptionId, status, event, limit = 100 } = {}) {
+  return deliveryStore.data.deliveries
+    .filter(delivery =>
+      (!subscriptionId || delivery.subscriptionId === subscriptionId) &&
+      (!status || delivery.status === status) &&
+      (!event || delivery.event === event))
+    .reverse()
+    .slice(0, Math.min(parseInt(limit, 10) || 100, 1000));
+}
+
+/**
+ * Get a delivery
+ * @param {string} id - Delivery ID
+ * @returns {Object|undefined}
+ */
+function getDelivery(id) {
+  return deliveryStore.data.deliveries.find(delivery => delivery.id === id);
+}
+
+/**
+ * Send a delivery's payload again, as a new delivery to the same subscription
+ * @param {string} id - Delivery ID
+ * @returns {Object} - { delivery } or { error, message }
+ */
+function redeliver(id) {
+  const original = getDelivery(id);
+  if (!original) return { error: 'not-found' };
+  const subscription = findSubscription(original.subscriptionId);
+  if (!subscription) {
+    return { error: 'conflict', message: 'The subscription for this delivery no longer exists' };
+  }
+
+  const delivery = enqueue(subscription, original.event, original.payload, { redeliveryOf: original.id });
+  trimLog();
+  deliveryStore.save();
+  return { delivery };
+}
+
+/**
+ * Start the delivery loop and publish call registry status changes
+ * @returns {Function} - Stops the loop
+ */
+function startWebhookDispatcher() {
+  callEvents.on('created', call => publishEvent('call.created', { call }));
+  callEvents.on('status', (call, status) => {
+    const event = STATUS_EVENTS[status];
+    if (event) publishEvent(event, { call, status });
+  });
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const delivery of deliveryStore.data.deliveries) {
+      if (delivery.status !== 'pending' || sending.has(delivery.id)) continue;
+      if (Date.parse(delivery.nextAttemptAt) > now) continue;
+      attemptDelivery(delivery);
+    }
+  }, TICK_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export {
+  EVENTS,
+  signPayload,
+  validateSubscription,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  publishEvent,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  startWebhookDispatcher
+};